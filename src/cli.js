@@ -1,13 +1,33 @@
 #!/usr/bin/env node
 
 import path from 'path';
-import fs from 'fs';
-import { getMetadata, pickAudioFiles, extractSourceName } from './lib/metadata.js';
-import { downloadItemFiles } from './lib/download.js';
-import { processSides } from './lib/split.js';
-import { getPreset } from './lib/presets.js';
-import { maybeCleanupItem, checkSkipStatus } from './lib/cleanup.js';
-import { inferTrackTitle } from './lib/naming.js';
+import { processItem } from './lib/pipeline.js';
+import { resolveOptions, loadConfigFile, SETTING_KEYS, DEFAULT_OPTIONS } from './lib/config.js';
+import { listPresets, resolvePreset, savePreset } from './lib/presets.js';
+import { readIdentifiers, runBatch, writeBatchSummary } from './lib/batch.js';
+import { listCollection, getCollectionCachePath, markCollectionItem } from './lib/collection.js';
+import { getOutputStatus, formatStatusTable } from './lib/status.js';
+import { verifyOutput, formatVerifyReport } from './lib/verify.js';
+import { createDownloadCache, getCacheOptions, formatCacheStats } from './lib/cache.js';
+import {
+  findFailedItems,
+  groupByCategory,
+  getRetryOptions,
+  recordRetryAttempt,
+  markSuperseded,
+  ERROR_CATEGORIES,
+  NON_RETRYABLE_CATEGORIES
+} from './lib/retry.js';
+import { createJobQueue } from './lib/queue.js';
+import { createHttpClient, getHttpOptions } from './lib/http.js';
+import { createApiServer } from './lib/server.js';
+import { createLogger, configureLogger } from './lib/logger.js';
+import { describeError, ERROR_TAXONOMY } from './lib/errors.js';
+
+const log = createLogger(null);
+const collectionLog = createLogger('collection');
+const retryLog = createLogger('retry');
+const serveLog = createLogger('serve');
 
 /**
  * Parse CLI arguments
@@ -24,56 +44,137 @@ function parseArgs() {
   const config = {
     command,
     identifier: null,
-    out: './out',
-    introTrimSec: null,
-    noiseDb: null,
-    minSilence: null,
-    minSegment: null,
-    concurrency: null,
-    preset: null,
-    cleanup: false,
-    cleanupLevel: 'all',
-    dryRun: false,
-    purgeTrash: false,
-    trashDir: null,
-    generateNames: false,
-    renameFiles: false
+    positionals: [],
+    configPath: null,
+    json: false,
+    port: 8787,
+    host: '127.0.0.1',
+    filters: {},
+    cli: {} // Only options given on the command line (see lib/config.js for precedence)
   };
 
   for (let i = 1; i < args.length; i++) {
     const arg = args[i];
 
-    if (arg === '--out' && args[i + 1]) {
-      config.out = args[++i];
+    if (arg === '--config' && args[i + 1]) {
+      config.configPath = args[++i];
+    } else if (arg === '--out' && args[i + 1]) {
+      config.cli.out = args[++i];
     } else if (arg === '--introTrimSec' && args[i + 1]) {
-      config.introTrimSec = parseFloat(args[++i]);
+      config.cli.introTrimSec = parseFloat(args[++i]);
     } else if (arg === '--noiseDb' && args[i + 1]) {
-      config.noiseDb = parseFloat(args[++i]);
+      const value = args[++i];
+      config.cli.noiseDb = value === 'auto' ? value : parseFloat(value);
     } else if (arg === '--minSilence' && args[i + 1]) {
-      config.minSilence = parseFloat(args[++i]);
+      config.cli.minSilence = parseFloat(args[++i]);
     } else if (arg === '--minSegment' && args[i + 1]) {
-      config.minSegment = parseFloat(args[++i]);
+      config.cli.minSegment = parseFloat(args[++i]);
     } else if (arg === '--concurrency' && args[i + 1]) {
-      config.concurrency = parseInt(args[++i]);
+      config.cli.concurrency = parseInt(args[++i]);
+    } else if (arg === '--sourceFormat' && args[i + 1]) {
+      config.cli.sourceFormat = args[++i];
+    } else if (arg === '--outputFormat' && args[i + 1]) {
+      config.cli.outputFormat = args[++i];
+    } else if (arg === '--outputBitrate' && args[i + 1]) {
+      config.cli.outputBitrate = parseInt(args[++i]);
+    } else if (arg === '--sidePattern' && args[i + 1]) {
+      config.cli.sidePatterns = [...(config.cli.sidePatterns || []), args[++i]];
     } else if (arg === '--preset' && args[i + 1]) {
-      config.preset = args[++i];
+      config.cli.preset = args[++i];
     } else if (arg === '--cleanup') {
-      config.cleanup = true;
+      config.cli.cleanup = true;
+    } else if (arg === '--noCleanup') {
+      config.cli.cleanup = false;
     } else if (arg === '--cleanupLevel' && args[i + 1]) {
-      config.cleanupLevel = args[++i];
+      config.cli.cleanupLevel = args[++i];
     } else if (arg === '--dryRun') {
-      config.dryRun = true;
+      config.cli.dryRun = true;
     } else if (arg === '--purgeTrash') {
-      config.purgeTrash = true;
+      config.cli.purgeTrash = true;
     } else if (arg === '--trashDir' && args[i + 1]) {
-      config.trashDir = args[++i];
+      config.cli.trashDir = args[++i];
     } else if (arg === '--generateNames') {
-      config.generateNames = true;
+      config.cli.generateNames = true;
     } else if (arg === '--renameFiles') {
-      config.renameFiles = true;
-      config.generateNames = true; // Auto-enable generateNames if renaming
-    } else if (!arg.startsWith('--') && !config.identifier) {
-      config.identifier = arg;
+      config.cli.renameFiles = true;
+      config.cli.generateNames = true; // Auto-enable generateNames if renaming
+    } else if (arg === '--summary' && args[i + 1]) {
+      config.cli.summary = args[++i];
+    } else if (arg === '--creator' && args[i + 1]) {
+      config.cli.creator = args[++i];
+    } else if (arg === '--date' && args[i + 1]) {
+      config.cli.date = args[++i];
+    } else if (arg === '--archiveUrl' && args[i + 1]) {
+      config.cli.archiveUrl = args[++i];
+    } else if (arg === '--metadataUrl' && args[i + 1]) {
+      config.cli.metadataUrl = args[++i];
+    } else if (arg === '--downloadUrl' && args[i + 1]) {
+      config.cli.downloadUrl = args[++i];
+    } else if (arg === '--refresh') {
+      config.cli.refresh = true;
+    } else if (arg === '--offline') {
+      config.cli.offline = true;
+    } else if (arg === '--metadataTtlHours' && args[i + 1]) {
+      config.cli.metadataTtlHours = parseFloat(args[++i]);
+    } else if (arg === '--httpRetries' && args[i + 1]) {
+      config.cli.httpRetries = parseInt(args[++i]);
+    } else if (arg === '--connectTimeoutSec' && args[i + 1]) {
+      config.cli.connectTimeoutSec = parseFloat(args[++i]);
+    } else if (arg === '--readTimeoutSec' && args[i + 1]) {
+      config.cli.readTimeoutSec = parseFloat(args[++i]);
+    } else if (arg === '--requestsPerSecond' && args[i + 1]) {
+      config.cli.requestsPerSecond = parseFloat(args[++i]);
+    } else if (arg === '--downloadConcurrency' && args[i + 1]) {
+      config.cli.downloadConcurrency = parseInt(args[++i]);
+    } else if (arg === '--cache') {
+      config.cli.cache = true;
+    } else if (arg === '--noCache') {
+      config.cli.cache = false;
+    } else if (arg === '--cacheDir' && args[i + 1]) {
+      config.cli.cacheDir = args[++i];
+    } else if (arg === '--cacheMaxGb' && args[i + 1]) {
+      config.cli.cacheMaxGb = parseFloat(args[++i]);
+    } else if (arg === '--ffmpegTimeoutSec' && args[i + 1]) {
+      config.cli.ffmpegTimeoutSec = parseFloat(args[++i]);
+    } else if (arg === '--cue' && args[i + 1]) {
+      config.cli.cue = [...(config.cli.cue || []), args[++i]];
+    } else if (arg === '--labels' && args[i + 1]) {
+      config.cli.labels = [...(config.cli.labels || []), args[++i]];
+    } else if (arg === '--olderThanDays' && args[i + 1]) {
+      config.olderThanDays = parseFloat(args[++i]);
+    } else if (arg === '--quiet') {
+      config.cli.logLevel = 'warn';
+    } else if (arg === '--verbose') {
+      config.cli.logLevel = 'verbose';
+    } else if (arg === '--debug') {
+      config.cli.logLevel = 'debug';
+    } else if ((arg === '--log-format' || arg === '--logFormat') && args[i + 1]) {
+      config.cli.logFormat = args[++i];
+    } else if (arg === '--log-file' || arg === '--logFile') {
+      config.cli.logFile = true;
+    } else if (arg === '--presetsDir' && args[i + 1]) {
+      config.cli.presetsDir = args[++i];
+    } else if (arg === '--description' && args[i + 1]) {
+      config.description = args[++i];
+    } else if (arg === '--json') {
+      config.json = true;
+    } else if (arg === '--failed') {
+      config.filters.failed = true;
+    } else if (arg === '--source' && args[i + 1]) {
+      config.filters.source = args[++i];
+    } else if (arg === '--category' && args[i + 1]) {
+      config.filters.category = args[++i];
+    } else if (arg === '--list') {
+      config.listOnly = true;
+    } else if (arg === '--port' && args[i + 1]) {
+      config.port = parseInt(args[++i]);
+    } else if (arg === '--host' && args[i + 1]) {
+      config.host = args[++i];
+    } else if (!arg.startsWith('--')) {
+      config.positionals.push(arg);
+      if (!config.identifier) {
+        config.identifier = arg;
+      }
     }
   }
 
@@ -93,23 +194,91 @@ USAGE:
 COMMANDS:
   item <identifier>   Process a single item
   run <identifier>    Process item(s) (alias for 'item')
+  resplit <identifier> Re-export tracks from edited splits/*.splits.json (no silence
+                      detection, no download; only changed tracks are re-encoded)
+  batch [file]        Process identifiers from a .txt/.csv file (or stdin)
+  collection <name>   List an Archive.org collection and process every item
+  presets list        List built-in and user presets
+  presets show <name> Show a preset's resolved settings
+  presets save <name> Save the CLI setting flags as a user preset
+  status              Inventory processed items under the output directory
+  verify [identifier] Re-check raw/ files against the checksums in metadata.json
+  cache stats         Show the shared download cache location and size
+  cache prune         Evict cached downloads (--cacheMaxGb, --olderThanDays, --dryRun)
+  retry-failed        Retry failed items with the settings they ran with
+  serve               Run the job queue with a local HTTP API
 
 OPTIONS:
+  --config <file>        Config file (default: ./niven.config.json or ./.nivenrc)
   --out <dir>            Output directory (default: ./out)
-  --preset <name>        Use preset: niven (default), default
+  --preset <name>        Use preset: niven (default), default, or a user preset
+  --presetsDir <dir>     User presets directory (default: ./presets)
+  --description <text>   Description for presets save
+  --json                 Status/verify: print JSON instead of a table
+  --failed               Status: only failed items
+  --source <name>        Status/verify: only items of this source (e.g. Larry_Niven)
+  --category <cat>       Retry: only this category (network, rate-limited, not-found,
+                         restricted, missing-sides, no-audio, download, ffmpeg...);
+                         non-retryable categories are skipped unless selected
+  --list                 Retry: show failed items by category without retrying
+  --port <n>             Serve: HTTP port (default: 8787)
+  --host <addr>          Serve: bind address (default: 127.0.0.1)
   --introTrimSec <sec>   Trim N seconds from intro (default: 12)
-  --noiseDb <db>         Noise threshold for silence detection (default: -35)
+  --noiseDb <db|auto>    Noise threshold for silence detection (default: -35);
+                         auto measures each side's noise floor and picks its own
   --minSilence <sec>     Minimum silence duration (default: 0.6)
   --minSegment <sec>     Minimum segment duration to keep (default: 20)
-  --concurrency <n>      Concurrent operations (default: 2)
+  --concurrency <n>      Items processed in parallel by batch (default: 2)
+  --sourceFormat <fmt>   File to split per side: mp3 (default), original, flac, best (lossless if any)
+  --outputFormat <fmt>   Track format: mp3 (default) or flac
+  --outputBitrate <kbps> MP3 bitrate when encoding from a non-MP3 source (default: 192)
+  --sidePattern <regex>  Extra side pattern with (?<side>) and optional (?<tape>) groups (repeatable)
+  --cue <file>           Split at the tracks of a CUE sheet instead of detecting silence;
+                         FILE entries are matched to side file names (repeatable)
+  --labels <file>        Same with an Audacity label track, named after its side
+                         (e.g. Side_A.labels.txt, repeatable)
+  --quiet                Only log warnings and errors
+  --verbose              Log extra detail
+  --debug                Log everything (ffmpeg commands, silence lists)
+  --log-format <fmt>     text (default) or json (one event per line)
+  --log-file             Also write each item's log to <item>/process.log
+  --summary <file>       Batch summary path (default: out/batch-summary-<timestamp>.json); verify: save the result
+  --creator <name>       Collection: only items by this creator
+  --date <date>          Collection: only items from a year (yyyy), year range
+                         (yyyy-yyyy), month (yyyy-mm) or day (yyyy-mm-dd)
+  --archiveUrl <url>     Archive.org base URL (env: ARCHIVE_BASE_URL)
+  --metadataUrl <url>    Metadata endpoint (default: <archiveUrl>/metadata, env: ARCHIVE_METADATA_URL)
+  --downloadUrl <url>    Download endpoint (default: <archiveUrl>/download, env: ARCHIVE_DOWNLOAD_URL)
+  --refresh              Collection: re-list and re-process, ignoring the cache
+  --offline              No network: cached metadata.json and existing raw/ files only
+  --metadataTtlHours <h> Reuse cached metadata.json younger than this (default: 24, 0 = always fetch)
+  --httpRetries <n>      Retries of a failed Archive.org request, with backoff (default: 4)
+  --connectTimeoutSec <s> Wait for a response at most this long (default: 15, 0 = no limit)
+  --readTimeoutSec <s>   Abort a transfer idle for this long (default: 60, 0 = no limit)
+  --requestsPerSecond <n> Process-wide request rate limit (default: 0 = unlimited)
+  --downloadConcurrency <n> Files of an item downloaded in parallel (default: 2)
+  --noCache              Do not use the shared download cache
+  --cacheDir <dir>       Download cache (default: $NIVEN_CACHE_DIR or ~/.cache/niven-tapes)
+  --cacheMaxGb <n>       Cache size limit, least recently used files evicted first
+                         (default: 20, 0 = unlimited); cache prune: size to prune to
+  --olderThanDays <d>    Cache prune: evict files unused for this many days
+  --ffmpegTimeoutSec <s> Kill an ffmpeg/ffprobe run after this long (default: 1800, 0 = none)
   --cleanup              Enable cleanup after processing
+  --noCleanup            Disable cleanup (overrides the config file)
   --cleanupLevel <lvl>   Cleanup level: raw|tracks|all (default: all)
-  --dryRun               Simulate cleanup without actually deleting
+  --dryRun               Simulate cleanup (or cache prune) without actually deleting
   --purgeTrash           Permanently delete trash after moving
   --trashDir <dir>       Trash directory (default: out/.trash)
   --generateNames        Generate names.json with enriched track titles
   --renameFiles          Rename MP3 files with enriched titles (implies --generateNames)
 
+EXIT CODES:
+  0 success, 1 other failure (batch/collection: at least one item failed),
+  2 invalid config, 3 item not found, 4 dark/restricted item, 5 rate limited,
+  6 network error, 7 malformed metadata, 8 no decodable audio, 9 missing sides,
+  10 offline data missing, 11 checksum mismatch (also verify), 12 ffmpeg failed,
+  130 cancelled
+
 EXAMPLES:
   # Process Louis Armstrong tape with default Niven preset
   node src/cli.js item Louis_Armstrong_Tape_1_1923-1924
@@ -122,6 +291,12 @@ EXAMPLES:
     --minSilence 0.6 \\
     --minSegment 20
 
+  # Re-split with split points fixed by hand in Audacity
+  node src/cli.js item MyItem --labels fixes/MyItem_Side_B.labels.txt
+
+  # Move split points in out/<source>/MyItem/splits/*.splits.json, then
+  node src/cli.js resplit MyItem
+
   # Use explicit preset
   node src/cli.js item MyItem --preset niven
 
@@ -133,297 +308,404 @@ EXAMPLES:
 
   # Progressive cleanup with permanent deletion
   node src/cli.js item MyItem --cleanup --cleanupLevel raw --purgeTrash
+
+  # Batch from a list file, 4 items at a time
+  node src/cli.js batch ids.txt --concurrency 4
+
+  # Batch from stdin
+  cat ids.txt | node src/cli.js batch -
+
+  # Save a user preset extending niven, then use it
+  node src/cli.js presets save hissy --preset niven --noiseDb -30
+  node src/cli.js item MyItem --preset hissy
+
+  # Failed items of one source
+  node src/cli.js status --failed --source Larry_Niven
+
+  # Prove the raw copies are bit-exact
+  node src/cli.js verify --source Larry_Niven --summary verify.json
+
+  # Compare presets without downloading the tape twice (shared download cache)
+  node src/cli.js item MyItem --out ./out-niven
+  node src/cli.js item MyItem --out ./out-default --preset default
+
+  # Shrink the download cache to 5 GB
+  node src/cli.js cache prune --cacheMaxGb 5
+
+  # Large batch, polite to archive.org
+  node src/cli.js batch ids.txt --requestsPerSecond 2 --httpRetries 6
+
+  # Retry only network failures
+  node src/cli.js retry-failed --category network
+
+  # Job queue on the shared box, 3 workers
+  node src/cli.js serve --concurrency 3
+  curl -X POST localhost:8787/jobs -d '{"identifier": "MyItem"}'
+
+  # Whole collection, filtered by creator
+  node src/cli.js collection niven-tapes --creator "Larry Niven"
 `);
 }
 
 /**
- * Generate enriched track names and optionally rename files
- * @param {object} options - Configuration
- * @returns {object} - Track names data
+ * Process one item through the library API, printing its log
  */
-async function generateTrackNames(options) {
-  const { tracks, identifier, metadata, itemDir, renameFiles = false } = options;
-
-  const trackNamesData = {
-    identifier,
-    generatedAt: new Date().toISOString(),
-    tracks: [],
-    renamedCount: 0
-  };
+function runItem(identifier, config) {
+  return processItem(identifier, {
+    ...config.cli,
+    config: config.fileConfig,
+    configFile: config.configFile,
+    console: true
+  });
+}
 
-  for (let i = 0; i < tracks.length; i++) {
-    const trackPath = tracks[i];
-    const trackFilename = path.basename(trackPath);
-    const trackIndex = i + 1;
-
-    // Determine side from filename pattern
-    let side = null;
-    const sideMatch = trackFilename.match(/track_(\d{3})\.mp3/i);
-    if (sideMatch) {
-      const trackNum = parseInt(sideMatch[1]);
-      // Simple heuristic: if track number > half of total, likely Side B
-      side = trackNum <= Math.ceil(tracks.length / 2) ? 'Side A' : 'Side B';
-    }
+/**
+ * Process many items with a worker pool sized by the concurrency setting
+ */
+async function processBatch(config) {
+  const { options, settings } = resolveOptions(null, config.cli, config.fileConfig);
+  const identifiers = await readIdentifiers(config.identifier);
 
-    // Infer track title (no transcript for now, but structure is ready)
-    const titleInfo = inferTrackTitle({
-      identifier,
-      metadata,
-      transcriptText: null, // Will be available when transcription is implemented
-      trackIndex,
-      side,
-      sourceFilename: trackFilename
-    });
+  if (identifiers.length === 0) {
+    throw new Error('No identifiers found in batch input');
+  }
 
-    // Clean title for filesystem
-    const safeName = sanitizeFilename(titleInfo.title);
-    const newFilename = `${safeName}.mp3`;
-    const newPath = path.join(path.dirname(trackPath), newFilename);
-
-    const trackData = {
-      originalFilename: trackFilename,
-      originalPath: trackPath,
-      trackIndex,
-      side,
-      suggestedTitle: titleInfo.title,
-      suggestedFilename: newFilename,
-      newPath: renameFiles ? newPath : null,
-      renamed: false,
-      ...titleInfo // Include all metadata from inferTrackTitle
-    };
+  const summary = await runBatch(
+    identifiers,
+    identifier => runItem(identifier, config),
+    { concurrency: settings.concurrency }
+  );
+
+  const timestamp = summary.startedAt.replace(/[:.]/g, '-');
+  const summaryPath = options.summary || path.join(options.out, `batch-summary-${timestamp}.json`);
+  writeBatchSummary(summary, summaryPath);
+
+  log.info(`\n✓ Batch complete in ${(summary.durationMs / 1000).toFixed(1)}s`);
+  log.info(`  Succeeded: ${summary.succeeded.length}`);
+  log.info(`  Failed:    ${summary.failed.length}`);
+  log.info(`  Skipped:   ${summary.skipped.length}\n`);
+
+  return summary;
+}
 
-    // Rename file if requested
-    if (renameFiles) {
+/**
+ * List an Archive.org collection and process its items
+ *
+ * Items already processed by a previous run (cached in out/.collections)
+ * are not processed again unless --refresh is set.
+ */
+async function processCollection(config) {
+  const { options, settings } = resolveOptions(null, config.cli, config.fileConfig);
+  const collection = config.identifier;
+  const cacheDir = path.join(options.out, '.collections');
+
+  const listing = await listCollection(collection, {
+    cacheDir,
+    creator: options.creator,
+    date: options.date,
+    baseUrl: options.archiveUrl,
+    refresh: options.refresh,
+    offline: options.offline,
+    http: createHttpClient(getHttpOptions(options))
+  });
+
+  const processed = listing.processed || {};
+  const identifiers = listing.items
+    .map(item => item.identifier)
+    .filter(id => options.refresh || !['succeeded', 'skipped'].includes(processed[id]?.status));
+
+  const alreadyDone = listing.items.length - identifiers.length;
+  if (alreadyDone > 0) {
+    collectionLog.info(`Resuming: ${alreadyDone} items already processed`);
+  }
+
+  if (identifiers.length === 0) {
+    log.info(`\n✓ Collection ${collection} already complete\n`);
+    return null;
+  }
+
+  const cachePath = getCollectionCachePath(cacheDir, collection);
+
+  const summary = await runBatch(
+    identifiers,
+    async identifier => {
       try {
-        // Check if file exists and new name is different
-        if (fs.existsSync(trackPath) && trackPath !== newPath) {
-          fs.renameSync(trackPath, newPath);
-          trackData.renamed = true;
-          trackData.newPath = newPath;
-          trackNamesData.renamedCount++;
-        }
+        const report = await runItem(identifier, config);
+        markCollectionItem(cachePath, identifier, report ? 'succeeded' : 'skipped');
+        return report;
       } catch (error) {
-        console.warn(`[naming] ⚠ Failed to rename ${trackFilename}: ${error.message}`);
-        trackData.renameError = error.message;
+        markCollectionItem(cachePath, identifier, 'failed');
+        throw error;
       }
-    }
+    },
+    { concurrency: settings.concurrency }
+  );
 
-    trackNamesData.tracks.push(trackData);
-  }
+  summary.collection = collection;
+  const timestamp = summary.startedAt.replace(/[:.]/g, '-');
+  const summaryPath = options.summary || path.join(options.out, `collection-${collection}-summary-${timestamp}.json`);
+  writeBatchSummary(summary, summaryPath);
 
-  // Save names.json
-  const namesPath = path.join(itemDir, 'names.json');
-  fs.writeFileSync(namesPath, JSON.stringify(trackNamesData, null, 2));
-  console.log(`[naming] Saved to ${namesPath}`);
+  log.info(`\n✓ Collection ${collection} processed in ${(summary.durationMs / 1000).toFixed(1)}s`);
+  log.info(`  Succeeded: ${summary.succeeded.length}`);
+  log.info(`  Failed:    ${summary.failed.length}`);
+  log.info(`  Skipped:   ${summary.skipped.length}\n`);
 
-  return trackNamesData;
+  return summary;
 }
 
 /**
- * Sanitize filename for filesystem
- * @param {string} title - Title to sanitize
- * @returns {string}
+ * status: inventory of the output tree
  */
-function sanitizeFilename(title) {
-  return title
-    .replace(/[<>:"/\\|?*]/g, '') // Remove invalid chars
-    .replace(/\s+/g, '_') // Replace spaces with underscores
-    .replace(/_+/g, '_') // Collapse multiple underscores
-    .replace(/^_|_$/g, '') // Remove leading/trailing underscores
-    .substring(0, 200); // Limit length
+async function statusCommand(config) {
+  const outDir = config.cli.out || config.fileConfig.out || DEFAULT_OPTIONS.out;
+  const status = await getOutputStatus(outDir, config.filters);
+
+  if (config.json) {
+    console.log(JSON.stringify(status, null, 2));
+  } else {
+    console.log(formatStatusTable(status).join('\n'));
+  }
+
+  return status;
 }
 
 /**
- * Process a single Archive.org item
+ * verify: hash raw/ files and compare them with the saved metadata.json
  */
-async function processItem(identifier, config) {
-  console.log(`\n========================================`);
-  console.log(`Processing item: ${identifier}`);
-  console.log(`========================================\n`);
-
-  const startTime = Date.now();
-  let processingFailed = false;
-
-  try {
-    // 1. Fetch metadata first to get source name
-    const metadata = await getMetadata(identifier);
-    const sourceName = extractSourceName(metadata);
+async function verifyCommand(config) {
+  const outDir = config.cli.out || config.fileConfig.out || DEFAULT_OPTIONS.out;
+  const result = await verifyOutput(outDir, { source: config.filters.source, identifier: config.identifier });
 
-    // Build item directory path with source organization
-    const itemDir = sourceName
-      ? path.join(config.out, sourceName, identifier)
-      : path.join(config.out, identifier);
+  if (config.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(formatVerifyReport(result).join('\n'));
+  }
+  if (config.cli.summary) {
+    writeBatchSummary(result, config.cli.summary);
+  }
 
-    if (sourceName) {
-      console.log(`[source] Organizing under: ${sourceName}`);
-    }
-    console.log(`[item] ${metadata.metadata?.title || identifier}\n`);
-
-    // Check if we can skip processing (intelligent re-run)
-    if (config.cleanup) {
-      const skipStatus = await checkSkipStatus(itemDir);
-      if (skipStatus.skip) {
-        console.log(`[skip] ✓ ${skipStatus.reason}`);
-        console.log(`\n✓ Already complete\n`);
-        return null;
-      }
+  return result;
+}
 
-      if (skipStatus.needsDownload) {
-        console.log(`[re-run] Missing raw files, will re-download`);
-      } else if (skipStatus.needsSplit) {
-        console.log(`[re-run] Missing tracks, will re-split`);
-      }
+/**
+ * cache stats|prune: inspect or shrink the shared download cache
+ */
+function cacheCommand(config) {
+  const [subcommand = 'stats'] = config.positionals;
+  const option = key => config.cli[key] ?? config.fileConfig[key] ?? DEFAULT_OPTIONS[key];
+  const cache = createDownloadCache(getCacheOptions({ cacheDir: option('cacheDir'), cacheMaxGb: option('cacheMaxGb') }));
+
+  if (subcommand === 'stats') {
+    const { objects, ...stats } = cache.stats();
+    if (config.json) {
+      console.log(JSON.stringify({ ...stats, objects }, null, 2));
+    } else {
+      console.log(formatCacheStats(stats).join('\n'));
     }
+    return stats;
+  }
 
-    // Get preset settings with CLI overrides
-    const settings = getPreset(config.preset, {
-      noiseDb: config.noiseDb,
-      minSilence: config.minSilence,
-      minSegment: config.minSegment,
-      introTrimSec: config.introTrimSec,
-      concurrency: config.concurrency
+  if (subcommand === 'prune') {
+    const result = cache.prune({
+      olderThanDays: config.olderThanDays ?? null,
+      dryRun: option('dryRun')
     });
+    if (config.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else if (result.removed.length === 0) {
+      console.log(`Nothing to evict (${formatCacheStats(cache.stats())[1].trim()})`);
+    }
+    return result;
+  }
 
-    // 2. Pick Side A/B MP3s
-    const audioFiles = pickAudioFiles(metadata, { preferMp3: true });
-    console.log('');
+  throw new Error(`Unknown cache subcommand "${subcommand}" (stats|prune)`);
+}
 
-    // 3. Download files (using itemDir which includes source folder)
-    const baseOutDir = sourceName
-      ? path.join(config.out, sourceName)
-      : config.out;
-
-    const downloadedPaths = await downloadItemFiles(
-      identifier,
-      audioFiles,
-      baseOutDir,
-      metadata
-    );
-    console.log('');
+/**
+ * retry-failed: re-run items whose report.json says failed
+ *
+ * Each item runs with the settings recorded in its error report
+ * (CLI flags still win) and the attempt is appended to its retry history.
+ */
+async function retryFailedCommand(config) {
+  const { options, settings } = resolveOptions(null, config.cli, config.fileConfig);
+  const { category = null } = config.filters;
 
-    // 4. Split into tracks
-    const tracksDir = path.join(itemDir, 'tracks');
+  if (category && !ERROR_CATEGORIES.includes(category)) {
+    throw new Error(`Unknown category "${category}" (${ERROR_CATEGORIES.join('|')})`);
+  }
 
-    const tracks = await processSides(downloadedPaths, tracksDir, {
-      ...settings,
-      progressiveCleanup: config.cleanup,
-      cleanupLevel: config.cleanupLevel,
-      trashDir: config.trashDir || path.join(config.out, '.trash'),
-      identifier,
-      dryRun: config.dryRun
-    });
+  const failedItems = await findFailedItems(options.out);
+  const groups = groupByCategory(failedItems);
 
-    console.log(`\n[done] ✓ Processed ${tracks.length} tracks`);
-
-    // 5. Generate enriched names if enabled
-    let trackNamesData = null;
-    if (config.generateNames) {
-      console.log(`\n[naming] Generating enriched track titles...`);
-      trackNamesData = generateTrackNames({
-        tracks,
-        identifier,
-        metadata,
-        itemDir,
-        renameFiles: config.renameFiles
-      });
-      console.log(`[naming] ✓ Generated ${trackNamesData.tracks.length} track titles`);
-
-      if (config.renameFiles) {
-        console.log(`[naming] ✓ Renamed ${trackNamesData.renamedCount} files`);
-      }
+  log.info(`\nFailed items in ${options.out}: ${failedItems.length}`);
+  for (const [name, items] of Object.entries(groups)) {
+    log.info(`  ${name.padEnd(14)} ${items.length}`);
+    for (const item of items) {
+      log.verbose(`    ${item.identifier}: ${item.report.error}`);
+    }
+  }
+  log.info('');
+
+  // Not found, restricted, missing sides... fail the same way until selected explicitly
+  const selected = failedItems.filter(item =>
+    category ? item.category === category : !NON_RETRYABLE_CATEGORIES.includes(item.category)
+  );
+  const held = failedItems.length - selected.length;
+  if (!category && held > 0) {
+    retryLog.info(`Skipping ${held} item(s) in non-retryable categories (${NON_RETRYABLE_CATEGORIES.join(', ')}); use --category to retry them`);
+  }
+  if (config.listOnly || selected.length === 0) {
+    if (selected.length === 0) {
+      log.info(`✓ Nothing to retry\n`);
     }
+    return null;
+  }
 
-    // 6. Cleanup if enabled
-    const trashDir = config.trashDir || path.join(config.out, '.trash');
-    const cleanupReport = await maybeCleanupItem({
-      itemDir,
-      identifier,
-      cleanup: config.cleanup,
-      cleanupLevel: config.cleanupLevel,
-      dryRun: config.dryRun,
-      trashDir,
-      purgeTrash: config.purgeTrash,
-      failed: processingFailed
-    });
+  const byIdentifier = new Map(selected.map(item => [item.identifier, item]));
 
-    // 6. Write report
-    const report = {
-      identifier,
-      source: sourceName || 'unknown',
-      timestamp: new Date().toISOString(),
-      settings,
-      inputFiles: audioFiles.map(f => f.name),
-      tracks: tracks.map(t => path.basename(t)),
-      trackCount: tracks.length,
-      durationMs: Date.now() - startTime,
-      cleanup: cleanupReport,
-      naming: trackNamesData ? {
-        enabled: true,
-        tracksNamed: trackNamesData.tracks.length,
-        filesRenamed: config.renameFiles,
-        renamedCount: trackNamesData.renamedCount || 0,
-        namesJsonPath: 'names.json'
-      } : {
-        enabled: false
+  const summary = await runBatch(
+    [...byIdentifier.keys()],
+    async identifier => {
+      const item = byIdentifier.get(identifier);
+      const retryOptions = getRetryOptions(item.report);
+      if (!retryOptions) {
+        retryLog.warn(`⚠ ${identifier}: no settings recorded in report.json, using current settings`);
       }
-    };
 
-    const reportPath = path.join(itemDir, 'report.json');
-    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
-    console.log(`[report] Saved to ${reportPath}`);
+      const startedAt = new Date();
+      try {
+        const report = await processItem(identifier, {
+          ...retryOptions,
+          ...config.cli,
+          out: options.out,
+          config: config.fileConfig,
+          configFile: config.configFile,
+          console: true
+        });
+
+        const itemDir = report && report.source !== 'unknown'
+          ? path.join(options.out, report.source, identifier)
+          : path.join(options.out, identifier);
+
+        await recordRetryAttempt(report ? itemDir : item.itemDir, item.report, {
+          startedAt: startedAt.toISOString(),
+          status: report ? 'succeeded' : 'skipped',
+          durationMs: Date.now() - startedAt.getTime()
+        });
+        if (report && path.resolve(itemDir) !== path.resolve(item.itemDir)) {
+          await markSuperseded(item.itemDir, itemDir);
+        }
+        return report;
+      } catch (error) {
+        const itemDir = error.itemDir || item.itemDir;
+        await recordRetryAttempt(itemDir, item.report, {
+          startedAt: startedAt.toISOString(),
+          status: 'failed',
+          durationMs: Date.now() - startedAt.getTime(),
+          error: error.message
+        });
+        if (path.resolve(itemDir) !== path.resolve(item.itemDir)) {
+          await markSuperseded(item.itemDir, itemDir);
+        }
+        throw error;
+      }
+    },
+    { concurrency: settings.concurrency }
+  );
 
-    console.log(`\n✓ Complete in ${(report.durationMs / 1000).toFixed(1)}s`);
-    console.log(`  Output: ${itemDir}\n`);
+  const timestamp = summary.startedAt.replace(/[:.]/g, '-');
+  const summaryPath = options.summary || path.join(options.out, `retry-summary-${timestamp}.json`);
+  writeBatchSummary({ ...summary, category }, summaryPath);
 
-    return report;
-  } catch (error) {
-    processingFailed = true;
-    console.error(`\n✗ Error processing ${identifier}:`);
-    console.error(`  ${error.message}\n`);
+  log.info(`\n✓ Retry complete in ${(summary.durationMs / 1000).toFixed(1)}s`);
+  log.info(`  Succeeded: ${summary.succeeded.length}`);
+  log.info(`  Failed:    ${summary.failed.length}`);
+  log.info(`  Skipped:   ${summary.skipped.length}\n`);
 
-    // Try to save error report
-    try {
-      // Try to get metadata for source name, but fallback if it fails
-      let itemDir;
-      try {
-        const metadata = await getMetadata(identifier);
-        const sourceName = extractSourceName(metadata);
-        itemDir = sourceName
-          ? path.join(config.out, sourceName, identifier)
-          : path.join(config.out, identifier);
-      } catch {
-        // If metadata fetch fails, use simple path
-        itemDir = path.join(config.out, identifier);
-      }
+  return summary;
+}
 
-      const trashDir = config.trashDir || path.join(config.out, '.trash');
-      const cleanupReport = await maybeCleanupItem({
-        itemDir,
-        identifier,
-        cleanup: config.cleanup,
-        cleanupLevel: config.cleanupLevel,
-        dryRun: config.dryRun,
-        trashDir,
-        purgeTrash: config.purgeTrash,
-        failed: true
-      });
-
-      const errorReport = {
-        identifier,
-        timestamp: new Date().toISOString(),
-        error: error.message,
-        failed: true,
-        cleanup: cleanupReport
-      };
-
-      const reportPath = path.join(itemDir, 'report.json');
-      fs.mkdirSync(itemDir, { recursive: true });
-      fs.writeFileSync(reportPath, JSON.stringify(errorReport, null, 2));
-    } catch (reportError) {
-      // Ignore report write errors
+/**
+ * serve: persistent job queue + local HTTP API
+ *
+ * Runs until SIGINT/SIGTERM; running jobs are then aborted and re-queued.
+ */
+async function serveCommand(config) {
+  const { options, settings } = resolveOptions(null, config.cli, config.fileConfig);
+
+  const queue = createJobQueue({
+    out: options.out,
+    concurrency: settings.concurrency,
+    itemOptions: {
+      ...config.cli,
+      config: config.fileConfig,
+      configFile: config.configFile,
+      console: true
     }
+  });
+  const server = createApiServer(queue);
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(config.port, config.host, resolve);
+  });
+
+  queue.start();
+  serveLog.info(`Listening on http://${config.host}:${config.port} (queue: ${path.join(options.out, '.queue', 'jobs.json')})`);
+
+  await new Promise(resolve => {
+    const shutdown = async signal => {
+      serveLog.info(`${signal} received, stopping...`);
+      server.close();
+      await queue.stop();
+      resolve();
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+  });
+}
 
-    process.exit(1);
+/**
+ * presets list|show|save
+ */
+function presetsCommand(config) {
+  const [subcommand = 'list', name] = config.positionals;
+  const presetsDir = config.cli.presetsDir || config.fileConfig.presetsDir || undefined;
+
+  if (subcommand === 'list') {
+    const presets = listPresets(presetsDir);
+    console.log('\nPRESETS:');
+    for (const preset of presets) {
+      const base = preset.extends ? ` (extends ${preset.extends})` : '';
+      console.log(`  ${preset.name.padEnd(16)} ${preset.source.padEnd(9)} ${preset.description}${base}`);
+    }
+    console.log('');
+    return;
+  }
+
+  if (!name) {
+    throw new Error(`presets ${subcommand} needs a preset name`);
+  }
+
+  if (subcommand === 'show') {
+    const { settings, chain } = resolvePreset(name, presetsDir);
+    console.log(JSON.stringify({ name, chain, settings }, null, 2));
+  } else if (subcommand === 'save') {
+    const overrides = Object.fromEntries(SETTING_KEYS.map(key => [key, config.cli[key]]));
+    const values = {
+      name,
+      extends: config.cli.preset || config.fileConfig.preset || 'niven',
+      description: config.description || undefined,
+      ...overrides
+    };
+    const presetPath = savePreset(name, values, presetsDir);
+    console.log(`[preset] ✓ Saved "${name}" to ${presetPath}`);
+    console.log(JSON.stringify(resolvePreset(name, presetsDir).settings, null, 2));
+  } else {
+    throw new Error(`Unknown presets subcommand "${subcommand}" (list|show|save)`);
   }
 }
 
@@ -433,6 +715,107 @@ async function processItem(identifier, config) {
 async function main() {
   const config = parseArgs();
 
+  try {
+    configureLogger({ level: config.cli.logLevel, format: config.cli.logFormat });
+    const { path: configFile, config: fileConfig } = loadConfigFile(config.configPath);
+    config.configFile = configFile;
+    config.fileConfig = fileConfig;
+    configureLogger({
+      level: config.cli.logLevel || fileConfig.logLevel,
+      format: config.cli.logFormat || fileConfig.logFormat
+    });
+  } catch (error) {
+    console.error(`Error: ${error.message}\n`);
+    process.exit(describeError(error).exitCode);
+  }
+
+  if (config.command === 'presets') {
+    try {
+      presetsCommand(config);
+      process.exit(0);
+    } catch (error) {
+      console.error(`Error: ${error.message}\n`);
+      process.exit(describeError(error).exitCode);
+    }
+  }
+
+  if (config.command === 'status') {
+    try {
+      await statusCommand(config);
+      process.exit(0);
+    } catch (error) {
+      console.error(`Error: ${error.message}\n`);
+      process.exit(describeError(error).exitCode);
+    }
+  }
+
+  if (config.command === 'verify') {
+    try {
+      const result = await verifyCommand(config);
+      const failed = result.totals.mismatch + result.totals.missing > 0;
+      process.exit(failed ? ERROR_TAXONOMY.CHECKSUM_MISMATCH.exitCode : 0);
+    } catch (error) {
+      console.error(`Error: ${error.message}\n`);
+      process.exit(describeError(error).exitCode);
+    }
+  }
+
+  if (config.command === 'cache') {
+    try {
+      cacheCommand(config);
+      process.exit(0);
+    } catch (error) {
+      console.error(`Error: ${error.message}\n`);
+      process.exit(describeError(error).exitCode);
+    }
+  }
+
+  if (config.command === 'retry-failed') {
+    try {
+      const summary = await retryFailedCommand(config);
+      process.exit(summary && summary.failed.length > 0 ? 1 : 0);
+    } catch (error) {
+      console.error(`Error: ${error.message}\n`);
+      process.exit(describeError(error).exitCode);
+    }
+  }
+
+  if (config.command === 'serve') {
+    try {
+      await serveCommand(config);
+      process.exit(0);
+    } catch (error) {
+      console.error(`Error: ${error.message}\n`);
+      process.exit(describeError(error).exitCode);
+    }
+  }
+
+  if (config.command === 'batch') {
+    try {
+      const summary = await processBatch(config);
+      process.exit(summary.failed.length > 0 ? 1 : 0);
+    } catch (error) {
+      console.error(`Error: ${error.message}\n`);
+      process.exit(describeError(error).exitCode);
+    }
+  }
+
+  if (config.command === 'collection') {
+    if (!config.identifier) {
+      console.error('Error: No collection specified\n');
+      printHelp();
+      process.exit(1);
+    }
+
+    try {
+      const summary = await processCollection(config);
+      process.exit(summary && summary.failed.length > 0 ? 1 : 0);
+    } catch (error) {
+      console.error(`Error: ${error.message}\n`);
+      process.exit(describeError(error).exitCode);
+    }
+  }
+
   if (!config.identifier) {
     console.error('Error: No identifier specified\n');
     printHelp();
@@ -440,7 +823,17 @@ async function main() {
   }
 
   if (config.command === 'item' || config.command === 'run') {
-    await processItem(config.identifier, config);
+    try {
+      await runItem(config.identifier, config);
+    } catch (error) {
+      process.exit(describeError(error).exitCode);
+    }
+  } else if (config.command === 'resplit') {
+    try {
+      await runItem(config.identifier, { ...config, cli: { ...config.cli, resplit: true } });
+    } catch (error) {
+      process.exit(describeError(error).exitCode);
+    }
   } else {
     console.error(`Error: Unknown command "${config.command}"\n`);
     printHelp();
@@ -0,0 +1,36 @@
+/**
+ * Collection query: quoted terms, accepted and rejected --date filters
+ */
+
+import { buildCollectionQuery } from '../../lib/collection.js';
+import { ConfigError } from '../../lib/errors.js';
+
+export const title = 'Collection query and date filters';
+
+const ACCEPTED = {
+  '1923': 'year:1923',
+  '1923-1930': 'year:[1923 TO 1930]',
+  '1924-02': 'date:[1924-02-01 TO 1924-02-29]',
+  '1923-05-12': 'date:[1923-05-12 TO 1923-05-12]'
+};
+const REJECTED = ['1930-1923', '1923-13', '1923-02-30', '23', '1923 OR collection:(x)', 'last year'];
+
+export default async function check({ assert }) {
+  const query = buildCollectionQuery('niven tapes', { creator: 'Larry "L." Niven' });
+  assert(query === 'collection:("niven tapes") AND creator:("Larry \\"L.\\" Niven")', `collection and creator are quoted: ${query}`);
+
+  for (const [date, clause] of Object.entries(ACCEPTED)) {
+    const dateQuery = buildCollectionQuery('niven', { date });
+    assert(dateQuery.endsWith(` AND ${clause}`), `--date ${date} → ${clause}`);
+  }
+
+  for (const date of REJECTED) {
+    let error = null;
+    try {
+      buildCollectionQuery('niven', { date });
+    } catch (e) {
+      error = e;
+    }
+    assert(error instanceof ConfigError, `--date "${date}" is rejected${error ? ` (${error.message})` : ''}`);
+  }
+}
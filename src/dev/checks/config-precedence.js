@@ -0,0 +1,82 @@
+/**
+ * Settings precedence: default < preset < config file < item override < CLI,
+ * and the source of each setting recorded in report.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { loadConfigFile, resolveOptions } from '../../lib/config.js';
+import { processItem } from '../../lib/pipeline.js';
+import { startMockArchive } from '../mock-archive.js';
+import { createItemFixture, hasFfmpeg, ITEM_IDENTIFIER } from '../item-fixture.js';
+
+export const title = 'Settings precedence and sources';
+
+const CONFIG = {
+  preset: 'default',
+  minSilence: 0.9,
+  minSegment: 10,
+  cleanup: false,
+  items: {
+    'Niven_Check_*': { minSilence: 0.5, minSegment: 5 }
+  }
+};
+const CLI = { minSegment: 2 };
+
+// Every layer wins for one key: introTrimSec and noiseDb come from the "default" preset
+const EXPECTED = {
+  cleanupLevel: ['all', 'default'],
+  introTrimSec: [0, 'preset:default'],
+  noiseDb: [-40, 'preset:default'],
+  preset: ['default', 'config'],
+  cleanup: [false, 'config'],
+  minSilence: [0.5, 'item:Niven_Check_*'],
+  minSegment: [2, 'cli']
+};
+
+/**
+ * @param {object} values - Effective values by key
+ * @param {object} sources - Sources by key
+ * @param {Function} assert
+ * @param {string} where
+ */
+function checkLayers(values, sources, assert, where) {
+  for (const [key, [value, source]] of Object.entries(EXPECTED)) {
+    const ok = values[key] === value && sources[key] === source;
+    assert(ok, `${where}: ${key} = ${values[key]} from ${sources[key]}${ok ? '' : `, expected ${value} from ${source}`}`);
+  }
+}
+
+export default async function check({ tmpDir, assert, skip }) {
+  const configPath = path.join(tmpDir, 'niven.config.json');
+  fs.writeFileSync(configPath, JSON.stringify(CONFIG, null, 2));
+
+  const { config } = loadConfigFile(configPath);
+  const { options, settings, sources, presetName } = resolveOptions(ITEM_IDENTIFIER, CLI, config);
+  checkLayers({ ...options, ...settings, preset: presetName }, sources, assert, 'resolveOptions');
+
+  if (!hasFfmpeg()) {
+    skip('ffmpeg not found, item run not checked');
+  }
+
+  const fixturesDir = path.join(tmpDir, 'fixtures');
+  const { identifier } = createItemFixture(fixturesDir);
+  const mock = await startMockArchive({ fixturesDir });
+
+  try {
+    const events = new EventEmitter();
+    let itemDir = null;
+    events.on('stage:end', e => {
+      itemDir ??= e.itemDir;
+    });
+    await processItem(identifier, { ...CLI, out: path.join(tmpDir, 'out'), archiveUrl: mock.url, cache: false, configFile: configPath, events });
+
+    const report = JSON.parse(fs.readFileSync(path.join(itemDir, 'report.json'), 'utf8'));
+    assert(report.configFile === configPath, `report.json names the config file`);
+    checkLayers(report.effectiveSettings, report.settingsSources, assert, 'report.json');
+    assert(report.trackCount === 5, `item is split with these settings (${report.trackCount} tracks)`);
+  } finally {
+    await mock.close();
+  }
+}
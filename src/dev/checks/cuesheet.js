@@ -0,0 +1,54 @@
+/**
+ * CUE sheets and Audacity labels read back the segments they were written
+ * from, pregaps and the REM END of the last track included
+ */
+
+import { formatCueSheet, formatLabels, parseCueSheet, parseLabels } from '../../lib/cuesheet.js';
+import { ConfigError } from '../../lib/errors.js';
+
+export const title = 'CUE sheet and label round trip';
+
+// Times on CUE frames (1/75 s); a gap before track 2, none before track 3
+const SEGMENTS = [
+  { start: 0, end: 181.2, title: 'Opening' },
+  { start: 183.48, end: 362.04, title: 'Track "Two"' },
+  { start: 362.04, end: 540 }
+];
+const CUE_TOLERANCE_SEC = 1 / 150;
+
+/**
+ * @param {Array<object>} actual
+ * @param {number} tolerance - Seconds
+ * @returns {boolean}
+ */
+function sameSegments(actual, tolerance) {
+  return actual.length === SEGMENTS.length && actual.every((segment, i) =>
+    Math.abs(segment.start - SEGMENTS[i].start) <= tolerance && Math.abs(segment.end - SEGMENTS[i].end) <= tolerance);
+}
+
+/**
+ * @param {Array<object>} segments
+ * @returns {string}
+ */
+function describe(segments) {
+  return segments.map(s => `${s.start}-${s.end}`).join(', ');
+}
+
+export default async function check({ assert }) {
+  const cue = formatCueSheet(SEGMENTS, { file: 'Tape_Side_A.mp3', title: 'Tape 1' });
+  const [entry, ...others] = parseCueSheet(cue, 'round-trip.cue');
+  assert(others.length === 0 && entry.file === 'Tape_Side_A.mp3', `CUE FILE entry: ${entry.file}`);
+  assert(/INDEX 00 03:01:15/.test(cue) && /REM END 09:00:00/.test(cue), 'CUE has the pregap of track 2 and the end of track 3');
+  assert(sameSegments(entry.segments, CUE_TOLERANCE_SEC), `CUE round trip: ${describe(entry.segments)}`);
+
+  const labels = parseLabels(formatLabels(SEGMENTS), 'round-trip.txt');
+  assert(sameSegments(labels, 1e-6), `labels round trip: ${describe(labels)}`);
+
+  let error = null;
+  try {
+    parseCueSheet(cue.replace('INDEX 01 03:03:36', 'INDEX 02 03:03:36'), 'broken.cue');
+  } catch (e) {
+    error = e;
+  }
+  assert(error instanceof ConfigError && /^broken\.cue:\d+: TRACK 2 has no INDEX 01/.test(error.message), `track without INDEX 01 is rejected: ${error?.message}`);
+}
@@ -0,0 +1,60 @@
+/**
+ * Shared HTTP client: a 503 is retried, a 429 waits for its Retry-After,
+ * and the retries and waits of an item run end up in report.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { createHttpClient } from '../../lib/http.js';
+import { getMetadata } from '../../lib/metadata.js';
+import { processItem } from '../../lib/pipeline.js';
+import { startMockArchive } from '../mock-archive.js';
+import { createItemFixture, hasFfmpeg, ITEM_OPTIONS } from '../item-fixture.js';
+
+export const title = 'HTTP retries and rate limits';
+
+const IDENTIFIER = 'Louis_Armstrong_Tape_1_1923-1924';
+
+export default async function check({ tmpDir, assert, skip }) {
+  const mock = await startMockArchive();
+  try {
+    const metadataUrl = `${mock.url}/metadata`;
+
+    mock.setErrors([{ path: '/metadata/', status: 503, times: 1 }]);
+    let http = createHttpClient({ retries: 2 });
+    let metadata = await getMetadata(IDENTIFIER, { metadataUrl, http });
+    assert(metadata.files?.length > 0 && http.stats.requests === 2 && http.stats.retries === 1, `503 retried once, then served (${http.stats.requests} requests)`);
+
+    mock.setErrors([{ path: '/metadata/', status: 429, times: 1, retryAfter: 1 }]);
+    http = createHttpClient({ retries: 2 });
+    const startedAt = Date.now();
+    metadata = await getMetadata(IDENTIFIER, { metadataUrl, http });
+    const waitedMs = Date.now() - startedAt;
+    assert(metadata.files?.length > 0 && http.stats.rateLimited === 1 && http.stats.retryWaitMs === 1000 && waitedMs >= 1000, `429 waited for Retry-After: 1 (${waitedMs}ms)`);
+  } finally {
+    await mock.close();
+  }
+
+  if (!hasFfmpeg()) {
+    skip('ffmpeg not found, item run not checked');
+  }
+
+  const fixturesDir = path.join(tmpDir, 'fixtures');
+  const { identifier } = createItemFixture(fixturesDir);
+  const itemMock = await startMockArchive({ fixturesDir, errors: [{ path: '/download/', status: 503, times: 1 }] });
+
+  try {
+    const events = new EventEmitter();
+    let itemDir = null;
+    events.on('stage:end', e => {
+      itemDir ??= e.itemDir;
+    });
+    await processItem(identifier, { ...ITEM_OPTIONS, out: path.join(tmpDir, 'out'), archiveUrl: itemMock.url, cache: false, events });
+
+    const report = JSON.parse(fs.readFileSync(path.join(itemDir, 'report.json'), 'utf8'));
+    assert(report.http?.retries === 1 && report.http.retryWaitMs > 0, `report.json http: ${JSON.stringify(report.http)}`);
+  } finally {
+    await itemMock.close();
+  }
+}
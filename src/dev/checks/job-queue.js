@@ -0,0 +1,57 @@
+/**
+ * Job queue and local API: interrupted jobs are re-queued on start, per-job
+ * options are checked, and a queued job can be cancelled (workers are never
+ * started, so nothing is processed)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createJobQueue, QUEUE_DIR } from '../../lib/queue.js';
+import { createApiServer } from '../../lib/server.js';
+
+export const title = 'Job queue and API';
+
+const INTERRUPTED = {
+  nextId: 2,
+  jobs: [{ id: 1, identifier: 'Interrupted_Tape', status: 'running', stage: 'split', options: {}, attempts: 1 }]
+};
+
+export default async function check({ tmpDir, assert }) {
+  const queuePath = path.join(tmpDir, QUEUE_DIR, 'jobs.json');
+  fs.mkdirSync(path.dirname(queuePath), { recursive: true });
+  fs.writeFileSync(queuePath, JSON.stringify(INTERRUPTED));
+
+  const queue = createJobQueue({ out: tmpDir });
+  const interrupted = queue.get(1);
+  assert(interrupted?.status === 'queued' && interrupted.stage === null, `job left running in jobs.json is queued again (${interrupted?.status})`);
+
+  const server = createApiServer(queue);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const post = body => fetch(`${base}/jobs`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+  try {
+    let response = await post({ identifier: 'Test_Tape', options: { out: '/etc' } });
+    assert(response.status === 400, `option outside the allowlist → ${response.status}`);
+
+    response = await post({ identifier: 'Test_Tape', options: { minSilence: 1 } });
+    const [job] = (await response.json()).jobs || [];
+    assert(response.status === 201 && job?.status === 'queued', `new job → ${response.status} ${job?.status}`);
+
+    response = await post({ identifier: 'Test_Tape', options: { minSilence: 2 } });
+    assert(response.status === 409, `same identifier with other options → ${response.status}`);
+
+    response = await post({ identifier: 'Test_Tape', options: { minSilence: 1 } });
+    const [again] = (await response.json()).jobs || [];
+    assert(response.status === 201 && again?.id === job?.id, `same identifier with the same options → job ${again?.id}`);
+
+    response = await fetch(`${base}/jobs/${job?.id}`, { method: 'DELETE' });
+    const cancelled = await response.json();
+    assert(response.status === 202 && cancelled.status === 'cancelled', `DELETE on a queued job → ${response.status} ${cancelled.status}`);
+
+    const saved = JSON.parse(fs.readFileSync(queuePath, 'utf8')).jobs;
+    assert(saved.map(j => j.status).join(',') === 'queued,cancelled', `jobs.json: ${saved.map(j => `${j.id} ${j.status}`).join(', ')}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Resumable downloads: an interrupted transfer leaves a .part that the next
+ * run continues with a Range request, and a file of the wrong size is
+ * never renamed into place
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { downloadItemFiles } from '../../lib/download.js';
+import { createHttpClient } from '../../lib/http.js';
+import { NetworkError } from '../../lib/errors.js';
+import { startMockArchive, generateAudio, DEFAULT_FIXTURES_DIR } from '../mock-archive.js';
+
+export const title = 'Resume interrupted downloads';
+
+const IDENTIFIER = 'Louis_Armstrong_Tape_1_1923-1924';
+const SHORT_BY = 1000;
+
+/**
+ * @param {string} fixturesDir
+ * @returns {object} - Metadata of the fixture item
+ */
+function loadMetadata(fixturesDir) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesDir, 'metadata', `${IDENTIFIER}.json`), 'utf8'));
+}
+
+/**
+ * @param {Function} fn - async function expected to reject
+ * @returns {Promise<Error|null>}
+ */
+async function rejection(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+export default async function check({ tmpDir, assert }) {
+  const metadata = loadMetadata(DEFAULT_FIXTURES_DIR);
+  const file = metadata.files.find(f => f.name.endsWith('_Side_A.mp3'));
+  const out = path.join(tmpDir, 'out');
+  const dest = path.join(out, IDENTIFIER, 'raw', file.name);
+  const http = createHttpClient({ retries: 0 });
+
+  const mock = await startMockArchive({ errors: [{ path: `/download/${IDENTIFIER}/${file.name}`, truncate: true, times: 1 }] });
+  try {
+    const options = { downloadUrl: `${mock.url}/download`, http };
+    const error = await rejection(() => downloadItemFiles(IDENTIFIER, [file], out, metadata, options));
+    const partSize = fs.existsSync(`${dest}.part`) ? fs.statSync(`${dest}.part`).size : 0;
+    assert(error && partSize > 0 && partSize < Number(file.size) && !fs.existsSync(dest), `truncated transfer fails and keeps ${partSize} bytes in .part`);
+
+    mock.requests.length = 0;
+    const { verification } = await downloadItemFiles(IDENTIFIER, [file], out, metadata, options);
+    const ranges = mock.requests.filter(r => r.method === 'GET').map(r => r.range);
+    assert(ranges.length === 1 && ranges[0] === `bytes=${partSize}-`, `rerun asks for the rest: ${ranges.join(', ')}`);
+    assert(fs.existsSync(dest) && fs.statSync(dest).size === Number(file.size) && !fs.existsSync(`${dest}.part`), '.part completed and renamed');
+    assert(verification[0]?.status === 'ok', `resumed file passes its checksums (${verification[0]?.status})`);
+  } finally {
+    await mock.close();
+  }
+
+  // The item lists a bigger size than the archive serves
+  const fixturesDir = path.join(tmpDir, 'fixtures');
+  const shortMetadata = { ...metadata, files: metadata.files.map(f => f === file ? { ...f, size: String(Number(f.size) + SHORT_BY) } : f) };
+  fs.mkdirSync(path.join(fixturesDir, 'metadata'), { recursive: true });
+  fs.mkdirSync(path.join(fixturesDir, 'audio', IDENTIFIER), { recursive: true });
+  fs.writeFileSync(path.join(fixturesDir, 'metadata', `${IDENTIFIER}.json`), JSON.stringify(shortMetadata));
+  fs.writeFileSync(path.join(fixturesDir, 'audio', IDENTIFIER, file.name), generateAudio(file.name, Number(file.size)));
+
+  const shortMock = await startMockArchive({ fixturesDir });
+  try {
+    const shortOut = path.join(tmpDir, 'short');
+    const shortFile = shortMetadata.files.find(f => f.name === file.name);
+    const error = await rejection(() => downloadItemFiles(IDENTIFIER, [shortFile], shortOut, shortMetadata, { downloadUrl: `${shortMock.url}/download`, http }));
+    assert(error instanceof NetworkError && /Incomplete download/.test(error.message), `size mismatch is rejected: ${error?.message}`);
+    assert(!fs.existsSync(path.join(shortOut, IDENTIFIER, 'raw', file.name)), 'short file is not renamed into place');
+  } finally {
+    await shortMock.close();
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Resplit: editing one segment of a splits.json plan re-exports that track
+ * only, offline, and an overlapping plan is rejected with its position
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { processItem } from '../../lib/pipeline.js';
+import { STATE_FILE } from '../../lib/state.js';
+import { getSplitPlanPath } from '../../lib/splitplan.js';
+import { ConfigError } from '../../lib/errors.js';
+import { startMockArchive } from '../mock-archive.js';
+import { createItemFixture, hasFfmpeg, ITEM_OPTIONS } from '../item-fixture.js';
+
+export const title = 'Resplit from edited plans';
+
+/**
+ * @param {string} itemDir
+ * @returns {Array<string>} - Current track paths
+ */
+function readTracks(itemDir) {
+  return JSON.parse(fs.readFileSync(path.join(itemDir, STATE_FILE), 'utf8')).stages.split.outputs.tracks;
+}
+
+/**
+ * @param {string} planPath
+ * @param {Function} edit - (segments) => void
+ */
+function editPlan(planPath, edit) {
+  const plan = JSON.parse(fs.readFileSync(planPath, 'utf8'));
+  edit(plan.segments);
+  fs.writeFileSync(planPath, JSON.stringify(plan, null, 2));
+}
+
+export default async function check({ tmpDir, assert, skip }) {
+  if (!hasFfmpeg()) {
+    skip('ffmpeg not found');
+  }
+
+  const fixturesDir = path.join(tmpDir, 'fixtures');
+  const { identifier, metadata } = createItemFixture(fixturesDir);
+  const [sideA, sideB] = metadata.files.map(f => f.name);
+  const mock = await startMockArchive({ fixturesDir });
+  const options = { ...ITEM_OPTIONS, out: path.join(tmpDir, 'out'), archiveUrl: mock.url, cache: false };
+
+  try {
+    const events = new EventEmitter();
+    let itemDir = null;
+    events.on('stage:end', e => {
+      itemDir ??= e.itemDir;
+    });
+    await processItem(identifier, { ...options, events });
+    const splitsDir = path.join(itemDir, 'splits');
+    const before = readTracks(itemDir).map(track => ({ track, mtimeMs: fs.statSync(track).mtimeMs }));
+
+    // Shorten the second track of Side A by half a second
+    editPlan(getSplitPlanPath(splitsDir, sideA), segments => {
+      segments[1].end -= 0.5;
+    });
+    mock.requests.length = 0;
+    const report = await processItem(identifier, { ...options, resplit: true });
+    const after = readTracks(itemDir);
+
+    assert(report?.resplit?.exported === 1 && report.resplit.kept === 4, `resplit: ${JSON.stringify(report?.resplit)}`);
+    const untouched = before.filter(({ track, mtimeMs }, i) => i !== 1 && after[i] === track && fs.statSync(track).mtimeMs === mtimeMs);
+    assert(untouched.length === 4 && fs.statSync(after[1]).mtimeMs !== before[1].mtimeMs, `only track 2 is written again (${untouched.length} of 4 others untouched)`);
+    assert(mock.requests.length === 0, `resplit stays offline (${mock.requests.length} request(s))`);
+
+    // Make the first track of Side B run into the second
+    const planB = getSplitPlanPath(splitsDir, sideB);
+    let overlapStart = null;
+    let previousEnd = null;
+    editPlan(planB, segments => {
+      previousEnd = segments[0].end = segments[1].start + 1;
+      overlapStart = segments[1].start;
+    });
+    let error = null;
+    try {
+      await processItem(identifier, { ...options, resplit: true });
+    } catch (e) {
+      error = e;
+    }
+    const position = `segment at ${overlapStart}s overlaps the one ending at ${previousEnd}s`;
+    assert(error instanceof ConfigError && error.message.includes(planB) && error.message.includes(position), `overlapping plan is rejected: ${error?.message}`);
+    assert(readTracks(itemDir).every(track => fs.existsSync(track)), 'current tracks are left alone');
+  } finally {
+    await mock.close();
+  }
+}
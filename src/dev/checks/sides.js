@@ -0,0 +1,39 @@
+/**
+ * Side detection: complete tapes are accepted, duplicate or missing sides
+ * are rejected rather than guessed
+ */
+
+import { pickAudioFiles } from '../../lib/metadata.js';
+import { MissingSidesError } from '../../lib/errors.js';
+
+export const title = 'Side detection';
+
+const REJECTED = {
+  'two files for one side': [['Tape_1_Side_A.mp3', 'Tape_1A.mp3', 'Tape_1_Side_B.mp3'], 'duplicate Side A: Tape_1_Side_A.mp3, Tape_1A.mp3'],
+  'a side missing on the second tape': [['Tape_1_Side_A.mp3', 'Tape_1_Side_B.mp3', 'Tape_2_Side_A.mp3'], 'missing Tape 2 Side B'],
+  'a gap between sides': [['Item_Side_A.mp3', 'Item_Side_C.mp3'], 'missing Side B']
+};
+
+/**
+ * @param {Array<string>} names
+ * @returns {object} - Metadata with these MP3 files
+ */
+function itemWith(names) {
+  return { files: names.map(name => ({ name, source: 'original', format: 'VBR MP3', size: '1000' })) };
+}
+
+export default async function check({ assert }) {
+  const names = ['K7_2_Face_B.mp3', 'Tape_1_Side_B.mp3', 'K7_2_Face_A.mp3', 'Tape_1_Side_A.mp3'];
+  const picked = pickAudioFiles(itemWith(names)).map(f => f.sideInfo.label);
+  assert(picked.join(',') === 'Tape 1 Side A,Tape 1 Side B,Tape 2 Side A,Tape 2 Side B', `two tapes are ordered: ${picked.join(', ')}`);
+
+  for (const [what, [files, problem]] of Object.entries(REJECTED)) {
+    let error = null;
+    try {
+      pickAudioFiles(itemWith(files));
+    } catch (e) {
+      error = e;
+    }
+    assert(error instanceof MissingSidesError && error.problems?.includes(problem), `${what} is rejected: ${error?.problems?.join('; ') ?? 'accepted'}`);
+  }
+}
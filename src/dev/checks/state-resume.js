@@ -0,0 +1,54 @@
+/**
+ * Stage checkpoints: a rerun with another minSilence reuses the metadata
+ * and the download, and only the split (and the stages after it) run again
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { processItem } from '../../lib/pipeline.js';
+import { STATE_FILE } from '../../lib/state.js';
+import { startMockArchive } from '../mock-archive.js';
+import { createItemFixture, hasFfmpeg, ITEM_OPTIONS } from '../item-fixture.js';
+
+export const title = 'Resume from the first stale stage';
+
+export default async function check({ tmpDir, assert, skip }) {
+  if (!hasFfmpeg()) {
+    skip('ffmpeg not found');
+  }
+
+  const fixturesDir = path.join(tmpDir, 'fixtures');
+  const { identifier } = createItemFixture(fixturesDir);
+  const mock = await startMockArchive({ fixturesDir });
+  const options = { ...ITEM_OPTIONS, out: path.join(tmpDir, 'out'), archiveUrl: mock.url, cache: false };
+
+  try {
+    const events = new EventEmitter();
+    let itemDir = null;
+    events.on('stage:end', e => {
+      itemDir ??= e.itemDir;
+    });
+    await processItem(identifier, { ...options, events });
+    const first = JSON.parse(fs.readFileSync(path.join(itemDir, STATE_FILE), 'utf8'));
+
+    mock.requests.length = 0;
+    const rerun = new EventEmitter();
+    const started = [];
+    const skipped = [];
+    rerun.on('stage:start', e => started.push(e.stage));
+    rerun.on('stage:skip', e => skipped.push(e.stage));
+    const report = await processItem(identifier, { ...options, minSilence: 0.8, events: rerun });
+    const second = JSON.parse(fs.readFileSync(path.join(itemDir, STATE_FILE), 'utf8'));
+
+    const fetched = mock.requests.filter(r => r.path.startsWith('/metadata/') || r.path.startsWith('/download/'));
+    assert(fetched.length === 0, `metadata and audio are not fetched again (${fetched.length} request(s))`);
+    assert(second.stages.download.completedAt === first.stages.download.completedAt, 'download stage is reused');
+    assert(skipped.includes('download') && !started.includes('download'), 'download stage is skipped');
+    assert(second.stages.split.settingsHash !== first.stages.split.settingsHash, 'split settings hash changed');
+    assert(second.stages.split.completedAt !== first.stages.split.completedAt && started.includes('split'), 'split stage ran again');
+    assert(report?.stagesRun?.join(',') === 'split,naming,cleanup', `stages run: ${report?.stagesRun?.join(', ')}`);
+  } finally {
+    await mock.close();
+  }
+}
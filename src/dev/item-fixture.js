@@ -0,0 +1,86 @@
+/**
+ * Generated item for the end-to-end checks (src/dev/checks)
+ *
+ * Two real MP3 sides made with ffmpeg: 440 Hz tones of 6 s separated by
+ * 1.5 s of silence, 3 tones on Side A and 2 on Side B, so a run with
+ * ITEM_OPTIONS exports 5 tracks. The metadata lists their sizes and
+ * checksums like archive.org does. Serve it with
+ * startMockArchive({ fixturesDir }).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { spawnSync } from 'child_process';
+
+export const ITEM_IDENTIFIER = 'Niven_Check_Tape_1';
+
+// Silence settings matching the generated tones
+export const ITEM_OPTIONS = {
+  introTrimSec: 0,
+  noiseDb: -40,
+  minSilence: 0.5,
+  minSegment: 2,
+  cleanup: false
+};
+
+const SIDES = [
+  { name: 'Side_A', frequency: 440, tones: 3 },
+  { name: 'Side_B', frequency: 660, tones: 2 }
+];
+const TONE_SEC = 6;
+const GAP_SEC = 1.5;
+
+/**
+ * @returns {boolean} - ffmpeg and ffprobe are on the PATH
+ */
+export function hasFfmpeg() {
+  return ['ffmpeg', 'ffprobe'].every(tool => spawnSync(tool, ['-version'], { stdio: 'ignore' }).status === 0);
+}
+
+/**
+ * Write the item's audio and metadata under a fixtures directory
+ * @param {string} fixturesDir - Gets metadata/<id>.json and audio/<id>/*.mp3
+ * @param {string} identifier
+ * @returns {object} - { identifier, metadata }
+ */
+export function createItemFixture(fixturesDir, identifier = ITEM_IDENTIFIER) {
+  const audioDir = path.join(fixturesDir, 'audio', identifier);
+  fs.mkdirSync(audioDir, { recursive: true });
+  fs.mkdirSync(path.join(fixturesDir, 'metadata'), { recursive: true });
+
+  const files = SIDES.map(side => {
+    const name = `${identifier}_${side.name}.mp3`;
+    const filePath = path.join(audioDir, name);
+    const period = TONE_SEC + GAP_SEC;
+    const source = `aevalsrc='0.4*sin(2*PI*${side.frequency}*t)*lt(mod(t,${period}),${TONE_SEC})':s=44100:d=${side.tones * period}`;
+    const result = spawnSync('ffmpeg', ['-hide_banner', '-loglevel', 'error', '-y', '-f', 'lavfi', '-i', source, '-c:a', 'libmp3lame', '-b:a', '64k', filePath], { encoding: 'utf8' });
+    if (result.status !== 0) {
+      throw new Error(`ffmpeg could not generate ${name}: ${result.stderr || result.error?.message}`);
+    }
+
+    const content = fs.readFileSync(filePath);
+    return {
+      name,
+      source: 'original',
+      format: 'VBR MP3',
+      size: String(content.length),
+      md5: crypto.createHash('md5').update(content).digest('hex'),
+      sha1: crypto.createHash('sha1').update(content).digest('hex'),
+      title: side.name.replace('_', ' ')
+    };
+  });
+
+  const metadata = {
+    files,
+    metadata: {
+      identifier,
+      mediatype: 'audio',
+      title: identifier.replace(/_/g, ' '),
+      collection: ['niven-checks']
+    }
+  };
+  fs.writeFileSync(path.join(fixturesDir, 'metadata', `${identifier}.json`), JSON.stringify(metadata, null, 2));
+
+  return { identifier, metadata };
+}
@@ -2,27 +2,138 @@
 
 /**
  * Smoke test for Louis Armstrong Tape 1
- * Verifies that Side A + Side B MP3s are correctly detected
+ * Verifies that Side A + Side B MP3s are correctly detected and downloaded,
+ * and that --noiseDb auto finds the hiss of a side with ~1% gaps
+ * (fixtures/noise/quiet-side.txt, recorded analysis output: no ffmpeg needed)
+ *
+ * Runs offline against the bundled mock server (src/dev/mock-archive.js);
+ * set ARCHIVE_BASE_URL=https://archive.org to run it against the real site.
+ *
+ * Then runs the feature checks in src/dev/checks, always against a mock.
+ * Each module exports a title and a default async function receiving
+ * { tmpDir, assert, skip }; checks that run whole items need ffmpeg and
+ * are skipped without it.
  */
 
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { getMetadata, pickAudioFiles } from '../lib/metadata.js';
+import { downloadItemFiles } from '../lib/download.js';
+import { resolveEndpoints } from '../lib/endpoints.js';
+import { parseNoiseAnalysis, pickNoiseThreshold } from '../lib/noisefloor.js';
+import { startMockArchive } from './mock-archive.js';
 
 const IDENTIFIER = 'Louis_Armstrong_Tape_1_1923-1924';
+const DEV_DIR = path.dirname(fileURLToPath(import.meta.url));
+const NOISE_FIXTURE = path.join(DEV_DIR, 'fixtures', 'noise', 'quiet-side.txt');
+const CHECKS_DIR = path.join(DEV_DIR, 'checks');
+// 150 s side, analysis windows of 0.1 s: one 1.5 s gap at 74.3 s, quiet passages around -45 dB
+const NOISE_WINDOW_SEC = 0.1;
+const NOISE_GAP_START_SEC = 74.3;
+const NOISE_MIN_SILENCE_SEC = 0.6;
+
+/**
+ * Remove the temp dir and stop the mock before exiting
+ * @param {string} tmpDir
+ * @param {object|null} mock
+ */
+async function cleanup(tmpDir, mock) {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  if (mock) {
+    await mock.close();
+  }
+}
+
+/**
+ * Start times of the runs of windows under a threshold lasting at least NOISE_MIN_SILENCE_SEC
+ * @param {Array<number>} levels - Window levels (dB), in file order
+ * @param {number} noiseDb - Threshold
+ * @returns {Array<number>} - Seconds
+ */
+function findSilences(levels, noiseDb) {
+  const starts = [];
+  let runStart = null;
+  [...levels, Infinity].forEach((level, i) => {
+    if (level < noiseDb) {
+      runStart ??= i;
+    } else if (runStart !== null) {
+      if ((i - runStart) * NOISE_WINDOW_SEC >= NOISE_MIN_SILENCE_SEC) {
+        starts.push(Math.round(runStart * NOISE_WINDOW_SEC * 10) / 10);
+      }
+      runStart = null;
+    }
+  });
+  return starts;
+}
+
+/**
+ * Thrown by skip() to stop a check without failing it
+ */
+class SkipCheck extends Error {}
+
+/**
+ * Run every module of src/dev/checks in name order, each with its own temp dir
+ * @returns {Promise<boolean>} - false when an assertion failed or a check threw
+ */
+async function runChecks() {
+  const names = fs.readdirSync(CHECKS_DIR).filter(name => name.endsWith('.js')).sort();
+  let passed = true;
+
+  for (const name of names) {
+    const check = await import(pathToFileURL(path.join(CHECKS_DIR, name)).href);
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'niven-check-'));
+    const assert = (condition, message) => {
+      if (condition) {
+        console.log(`  ✓ ${message}`);
+      } else {
+        console.error(`  ✗ ${message}`);
+        passed = false;
+      }
+    };
+    const skip = reason => {
+      throw new SkipCheck(reason);
+    };
+
+    console.log(`${check.title} (${name})`);
+    try {
+      await check.default({ tmpDir, assert, skip });
+    } catch (error) {
+      if (error instanceof SkipCheck) {
+        console.log(`  - skipped: ${error.message}`);
+      } else {
+        console.error(`  ✗ ${error.message}`);
+        passed = false;
+      }
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+    console.log('');
+  }
+
+  return passed;
+}
 
 async function smokeTest() {
   console.log('========================================');
   console.log('SMOKE TEST: Louis Armstrong Tape 1');
   console.log('========================================\n');
 
+  const mock = process.env.ARCHIVE_BASE_URL ? null : await startMockArchive();
+  const endpoints = resolveEndpoints({ archiveUrl: mock?.url });
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'niven-smoke-'));
+  console.log(`Archive: ${endpoints.base}${mock ? ' (mock)' : ''}\n`);
+
   try {
     // Fetch metadata
-    console.log('[1/3] Fetching metadata...');
-    const metadata = await getMetadata(IDENTIFIER);
+    console.log('[1/5] Fetching metadata...');
+    const metadata = await getMetadata(IDENTIFIER, { metadataUrl: endpoints.metadata });
     console.log(`  ✓ Got metadata for: ${metadata.metadata?.title || IDENTIFIER}\n`);
 
     // List all files
     const allFiles = Object.values(metadata.files || {});
-    console.log(`[2/3] Total files in item: ${allFiles.length}`);
+    console.log(`[2/5] Total files in item: ${allFiles.length}`);
     console.log('  Audio files:');
     allFiles
       .filter(f => {
@@ -35,10 +146,21 @@ async function smokeTest() {
     console.log('');
 
     // Pick audio files
-    console.log('[3/3] Running pickAudioFiles with preferMp3=true...');
+    console.log('[3/5] Running pickAudioFiles with preferMp3=true...');
     const selectedFiles = pickAudioFiles(metadata, { preferMp3: true });
     console.log('');
 
+    // Download the selected files
+    console.log('[4/5] Downloading selected files...');
+    const { files: downloaded, verification } = await downloadItemFiles(IDENTIFIER, selectedFiles, tmpDir, metadata, { downloadUrl: endpoints.download });
+    console.log('');
+
+    // Pick a silence threshold from a recorded analysis
+    console.log('[5/5] Estimating the noise threshold of a quiet side (fixture)...');
+    const noiseAnalysis = parseNoiseAnalysis(fs.readFileSync(NOISE_FIXTURE, 'utf8'));
+    const noise = pickNoiseThreshold(noiseAnalysis);
+    console.log(`  floor ${noise.noiseFloorDb} dB, median ${noise.programDb} dB → threshold ${noise.noiseDb} dB\n`);
+
     // Assertions
     console.log('========================================');
     console.log('ASSERTIONS');
@@ -72,8 +194,46 @@ async function smokeTest() {
       passed = false;
     }
 
-    // Final result
+    // Check downloads against metadata sizes
+    for (const file of selectedFiles) {
+      const dest = downloaded.find(p => path.basename(p) === path.basename(file.name));
+      const size = dest && fs.existsSync(dest) ? fs.statSync(dest).size : null;
+      if (size !== null && size === Number(file.size)) {
+        console.log(`✓ Downloaded ${file.name} (${size} bytes)`);
+      } else {
+        console.error(`✗ ${file.name}: expected ${file.size} bytes, got ${size ?? 'no file'}`);
+        passed = false;
+      }
+    }
+
+    // Check checksums against metadata
+    for (const entry of verification) {
+      if (entry.status === 'ok') {
+        console.log(`✓ Checksums match for ${entry.file} (${entry.checked.join(', ')})`);
+      } else {
+        console.error(`✗ ${entry.file}: checksum ${entry.status}`);
+        passed = false;
+      }
+    }
+
+    // Check the threshold only finds the real gap, like silencedetect would
+    const silences = findSilences(noiseAnalysis.levels, noise.noiseDb);
+    if (silences.length === 1 && Math.abs(silences[0] - NOISE_GAP_START_SEC) < 0.5) {
+      console.log(`✓ Noise threshold ${noise.noiseDb} dB finds only the gap at ${silences[0]}s`);
+    } else {
+      console.error(`✗ Noise threshold ${noise.noiseDb} dB finds ${silences.length} silence(s) (at ${silences.join(', ')}s), expected one at ${NOISE_GAP_START_SEC}s`);
+      passed = false;
+    }
+
+    // Feature checks
     console.log('');
+    console.log('========================================');
+    console.log('CHECKS');
+    console.log('========================================\n');
+    passed = (await runChecks()) && passed;
+
+    // Final result
+    await cleanup(tmpDir, mock);
     if (passed) {
       console.log('========================================');
       console.log('✓ ALL TESTS PASSED');
@@ -86,6 +246,7 @@ async function smokeTest() {
       process.exit(1);
     }
   } catch (error) {
+    await cleanup(tmpDir, mock);
     console.error('');
     console.error('========================================');
     console.error('✗ TEST ERROR');
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Archive.org server for offline tests
+ *
+ * Serves the endpoints the pipeline uses:
+ *   GET /metadata/<id>                  fixtures/metadata/<id>.json ({} if unknown, like archive.org)
+ *   GET /download/<id>/<file>           fixtures/audio/<id>/<file>, or generated audio of the size
+ *                                       listed in the metadata (silent MP3 frames for .mp3)
+ *   GET /services/search/v1/scrape      collection listing built from the metadata fixtures
+ *
+ * Downloads support HEAD and single Range requests (206/416).
+ *
+ * Error injection, by path prefix:
+ *   { path: '/download/', status: 503, times: 2, retryAfter: 1 }
+ *   { path: '/metadata/X', truncate: true }   (sends half the body, then drops the connection)
+ * Rules are given at startup (--error "/download/=503*2", "/metadata/X=truncate")
+ * or at runtime with POST /__mock/errors (JSON array, replaces the rules).
+ * GET /__mock/requests lists the requests received.
+ *
+ * Usage:
+ *   node src/dev/mock-archive.js [--port 8090] [--error <path>=<status|truncate>[*times]]
+ *   node src/cli.js item Louis_Armstrong_Tape_1_1923-1924 --archiveUrl http://127.0.0.1:8090
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+// MPEG-1 Layer III, 128 kbps, 44.1 kHz, mono: 417-byte frames, all-zero side info = silence
+const MP3_FRAME_HEADER = Buffer.from([0xff, 0xfb, 0x90, 0xc4]);
+const MP3_FRAME_SIZE = 417;
+
+/**
+ * Generate deterministic fixture audio of an exact size
+ * @param {string} filename - Extension decides the content (silent MP3 frames for .mp3)
+ * @param {number} size - Size in bytes
+ * @returns {Buffer}
+ */
+export function generateAudio(filename, size) {
+  const buffer = Buffer.alloc(size);
+
+  if (filename.toLowerCase().endsWith('.mp3')) {
+    for (let offset = 0; offset < size; offset += MP3_FRAME_SIZE) {
+      MP3_FRAME_HEADER.copy(buffer, offset, 0, Math.min(MP3_FRAME_HEADER.length, size - offset));
+    }
+  } else {
+    for (let i = 0; i < size; i++) {
+      buffer[i] = i % 251;
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Parse an --error spec: "<path>=<status|truncate>[*times]"
+ * @param {string} spec
+ * @returns {object} - Error rule
+ */
+export function parseErrorSpec(spec) {
+  const match = spec.match(/^(.+)=(\d{3}|truncate)(?:\*(\d+))?$/);
+  if (!match) {
+    throw new Error(`Invalid error spec "${spec}" (expected <path>=<status|truncate>[*times])`);
+  }
+
+  const [, rulePath, kind, times] = match;
+  return {
+    path: rulePath,
+    ...(kind === 'truncate' ? { truncate: true } : { status: Number(kind) }),
+    times: times ? Number(times) : null
+  };
+}
+
+/**
+ * Create the mock server (not listening yet)
+ * @param {object} options - { fixturesDir?, errors?: Array<object> }
+ * @returns {object} - { server, requests, setErrors(rules) }
+ */
+export function createMockArchive({ fixturesDir = DEFAULT_FIXTURES_DIR, errors = [] } = {}) {
+  let rules = errors.map(rule => ({ ...rule }));
+  const requests = [];
+
+  const loadMetadata = identifier => {
+    const metadataPath = path.join(fixturesDir, 'metadata', `${identifier}.json`);
+    return fs.existsSync(metadataPath) ? JSON.parse(fs.readFileSync(metadataPath, 'utf8')) : null;
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = decodeURIComponent(url.pathname);
+    requests.push({ method: req.method, path: pathname, range: req.headers.range || null, time: new Date().toISOString() });
+
+    if (pathname === '/__mock/errors' && req.method === 'POST') {
+      const chunks = [];
+      for await (const chunk of req) {
+        chunks.push(chunk);
+      }
+      rules = JSON.parse(Buffer.concat(chunks).toString('utf8') || '[]');
+      return sendJson(res, 200, { errors: rules });
+    }
+    if (pathname === '/__mock/requests') {
+      return sendJson(res, 200, { requests });
+    }
+
+    const rule = rules.find(r => pathname.startsWith(r.path) && (r.times === null || r.times === undefined || r.times > 0));
+    if (rule) {
+      if (typeof rule.times === 'number') {
+        rule.times--;
+      }
+      if (rule.status) {
+        const headers = rule.retryAfter ? { 'Retry-After': String(rule.retryAfter) } : {};
+        return sendJson(res, rule.status, { error: `Injected ${rule.status}` }, headers);
+      }
+    }
+
+    let match;
+    if ((match = pathname.match(/^\/metadata\/([^/]+)\/?$/))) {
+      const metadata = loadMetadata(match[1]) || {};
+      return sendBody(req, res, Buffer.from(JSON.stringify(metadata)), 'application/json', !!rule?.truncate);
+    }
+
+    if ((match = pathname.match(/^\/download\/([^/]+)\/(.+)$/))) {
+      const [, identifier, filename] = match;
+      const fixturePath = path.join(fixturesDir, 'audio', identifier, filename);
+      let body;
+
+      if (fs.existsSync(fixturePath)) {
+        body = fs.readFileSync(fixturePath);
+      } else {
+        const file = (loadMetadata(identifier)?.files || []).find(f => f.name === filename);
+        if (!file) {
+          return sendJson(res, 404, { error: 'Not found' });
+        }
+        body = generateAudio(filename, Number(file.size) || 0);
+      }
+
+      return sendBody(req, res, body, 'audio/mpeg', !!rule?.truncate);
+    }
+
+    if (pathname === '/services/search/v1/scrape') {
+      return sendJson(res, 200, scrape(fixturesDir, url.searchParams));
+    }
+
+    return sendJson(res, 404, { error: 'Not found' });
+  });
+
+  return {
+    server,
+    requests,
+    setErrors(newRules) {
+      rules = newRules.map(rule => ({ ...rule }));
+    }
+  };
+}
+
+/**
+ * Start a mock server
+ * @param {object} options - { port?: number (0 = random), host?, fixturesDir?, errors? }
+ * @returns {Promise<object>} - { url, server, requests, setErrors, close() }
+ */
+export async function startMockArchive({ port = 0, host = '127.0.0.1', ...options } = {}) {
+  const mock = createMockArchive(options);
+
+  await new Promise((resolve, reject) => {
+    mock.server.once('error', reject);
+    mock.server.listen(port, host, resolve);
+  });
+
+  const address = mock.server.address();
+  return {
+    ...mock,
+    url: `http://${host}:${address.port}`,
+    close: () => new Promise(resolve => {
+      mock.server.closeAllConnections();
+      mock.server.close(resolve);
+    })
+  };
+}
+
+/**
+ * Scrape API over the metadata fixtures: collection:(x) or collection:("x") only, cursor = offset
+ * @param {string} fixturesDir
+ * @param {URLSearchParams} params
+ * @returns {object}
+ */
+function scrape(fixturesDir, params) {
+  const collection = (params.get('q') || '').match(/collection:\("?([^")]+)"?\)/)?.[1];
+  const count = Number(params.get('count')) || 100;
+  const offset = Number(params.get('cursor')) || 0;
+  const metadataDir = path.join(fixturesDir, 'metadata');
+
+  const items = (fs.existsSync(metadataDir) ? fs.readdirSync(metadataDir) : [])
+    .filter(name => name.endsWith('.json'))
+    .map(name => ({ identifier: path.basename(name, '.json'), ...JSON.parse(fs.readFileSync(path.join(metadataDir, name), 'utf8')).metadata }))
+    .filter(item => !collection || [].concat(item.collection || []).includes(collection))
+    .map(({ identifier, title, creator, date }) => ({ identifier, title, creator, date }));
+
+  const page = items.slice(offset, offset + count);
+  const next = offset + count < items.length ? String(offset + count) : undefined;
+  return { items: page, count: page.length, total: items.length, ...(next ? { cursor: next } : {}) };
+}
+
+/**
+ * Send a body, honouring HEAD and Range, optionally truncated
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {Buffer} body
+ * @param {string} contentType
+ * @param {boolean} truncate - Send half the bytes, then drop the connection
+ */
+function sendBody(req, res, body, contentType, truncate) {
+  let start = 0;
+  let end = body.length - 1;
+  let status = 200;
+  const headers = { 'Content-Type': contentType, 'Accept-Ranges': 'bytes' };
+
+  const range = req.headers.range?.match(/^bytes=(\d*)-(\d*)$/);
+  if (req.headers.range) {
+    if (!range || (range[1] === '' && range[2] === '')) {
+      res.writeHead(416, { 'Content-Range': `bytes */${body.length}` });
+      return res.end();
+    }
+    if (range[1] === '') {
+      start = Math.max(0, body.length - Number(range[2]));
+    } else {
+      start = Number(range[1]);
+      end = range[2] === '' ? end : Math.min(end, Number(range[2]));
+    }
+    if (start >= body.length || start > end) {
+      res.writeHead(416, { 'Content-Range': `bytes */${body.length}` });
+      return res.end();
+    }
+    status = 206;
+    headers['Content-Range'] = `bytes ${start}-${end}/${body.length}`;
+  }
+
+  const slice = body.subarray(start, end + 1);
+  headers['Content-Length'] = slice.length;
+  res.writeHead(status, headers);
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+  if (truncate) {
+    res.write(slice.subarray(0, Math.floor(slice.length / 2)), () => res.destroy());
+    return;
+  }
+  res.end(slice);
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {object} body
+ * @param {object} headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+// Standalone mode
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  const args = process.argv.slice(2);
+  const errors = [];
+  let port = 8090;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--port' && args[i + 1]) {
+      port = parseInt(args[++i]);
+    } else if (args[i] === '--error' && args[i + 1]) {
+      errors.push(parseErrorSpec(args[++i]));
+    }
+  }
+
+  const mock = await startMockArchive({ port, errors });
+  console.log(`Mock Archive.org listening on ${mock.url}`);
+  if (errors.length > 0) {
+    console.log(`Injected errors: ${JSON.stringify(errors)}`);
+  }
+}
@@ -0,0 +1,44 @@
+/**
+ * Niven Tapes Processor - library entry point
+ *
+ *   import { EventEmitter } from 'events';
+ *   import { processItem } from 'niven-tapes-processor';
+ *
+ *   const events = new EventEmitter();
+ *   events.on('track', e => console.log(e.track));
+ *   const report = await processItem('Some_Tape_Identifier', { out: './out', events });
+ *
+ * processItem never exits the process and prints nothing unless
+ * { console: true } is set; failures are thrown as typed NivenErrors
+ * (ItemNotFoundError, RateLimitedError, ... or StageError for the rest,
+ * see describeError), and an aborted options.signal rejects with CancelledError.
+ */
+
+export { processItem } from './lib/pipeline.js';
+export { PROGRESS_EVENTS } from './lib/progress.js';
+export {
+  NivenError,
+  ConfigError,
+  StageError,
+  CancelledError,
+  OfflineError,
+  ItemNotFoundError,
+  ItemRestrictedError,
+  RateLimitedError,
+  NetworkError,
+  MalformedMetadataError,
+  NoAudioError,
+  MissingSidesError,
+  ChecksumMismatchError,
+  FfmpegError,
+  ERROR_TAXONOMY,
+  describeError
+} from './lib/errors.js';
+export { loadConfigFile, resolveOptions, DEFAULT_OPTIONS, SETTING_KEYS } from './lib/config.js';
+export { PRESETS, listPresets, resolvePreset } from './lib/presets.js';
+export { configureLogger, LOG_LEVELS } from './lib/logger.js';
+export { STAGES } from './lib/state.js';
+export { DEFAULT_SIDE_PATTERNS, detectSides } from './lib/sides.js';
+export { getOutputStatus } from './lib/status.js';
+export { verifyOutput } from './lib/verify.js';
+export { createDownloadCache, getDefaultCacheDir } from './lib/cache.js';
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+import { describeError } from './errors.js';
+
+const log = createLogger('batch');
+
+/**
+ * Parse identifiers from a text or CSV listing
+ *
+ * Text: one identifier per line, blank lines and # comments ignored.
+ * CSV: uses the "identifier" column if a header has one, otherwise the first column.
+ *
+ * @param {string} content - Raw file content
+ * @param {object} options - { csv: boolean }
+ * @returns {Array<string>} - Unique identifiers, in input order
+ */
+export function parseIdentifierList(content, { csv = false } = {}) {
+  const lines = content
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0 && !line.startsWith('#'));
+
+  let identifiers;
+
+  if (csv) {
+    const rows = lines.map(parseCsvLine);
+    const header = rows[0] || [];
+    const column = header.findIndex(h => h.toLowerCase() === 'identifier');
+    const dataRows = column >= 0 ? rows.slice(1) : rows;
+    identifiers = dataRows.map(row => row[Math.max(column, 0)] || '');
+  } else {
+    identifiers = lines.map(line => line.split(/\s+/)[0]);
+  }
+
+  return [...new Set(identifiers.map(id => id.trim()).filter(id => id.length > 0))];
+}
+
+/**
+ * Split a CSV line into fields (supports double-quoted fields)
+ * @param {string} line
+ * @returns {Array<string>}
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',' || char === ';') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current.trim());
+  return fields;
+}
+
+/**
+ * Read identifiers from a file, or from stdin when source is "-" or missing
+ * @param {string|null} source - File path or "-"
+ * @returns {Promise<Array<string>>}
+ */
+export async function readIdentifiers(source) {
+  let content;
+
+  if (!source || source === '-') {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    content = Buffer.concat(chunks).toString('utf8');
+  } else {
+    content = fs.readFileSync(source, 'utf8');
+  }
+
+  const csv = !!source && source !== '-' && path.extname(source).toLowerCase() === '.csv';
+  return parseIdentifierList(content, { csv });
+}
+
+/**
+ * Run a worker over identifiers with a fixed-size pool
+ *
+ * A worker failure is recorded and never stops the batch.
+ * A worker returning null counts the item as skipped.
+ *
+ * @param {Array<string>} identifiers - Identifiers to process
+ * @param {Function} worker - async (identifier) => report|null
+ * @param {object} options - { concurrency: number }
+ * @returns {Promise<object>} - Batch summary
+ */
+export async function runBatch(identifiers, worker, { concurrency = 2 } = {}) {
+  const poolSize = Math.max(1, Math.min(concurrency || 1, identifiers.length || 1));
+  const startedAt = new Date();
+  const startTime = Date.now();
+  const items = new Array(identifiers.length);
+  let next = 0;
+
+  log.info(`${identifiers.length} items, concurrency ${poolSize}`);
+
+  async function runWorker() {
+    while (next < identifiers.length) {
+      const index = next++;
+      const identifier = identifiers[index];
+      const itemStart = Date.now();
+
+      try {
+        const report = await worker(identifier);
+        items[index] = {
+          identifier,
+          status: report ? 'succeeded' : 'skipped',
+          durationMs: Date.now() - itemStart,
+          trackCount: report ? report.trackCount : null
+        };
+      } catch (error) {
+        const { code, category } = describeError(error);
+        items[index] = {
+          identifier,
+          status: 'failed',
+          durationMs: Date.now() - itemStart,
+          error: error.message,
+          errorCode: code,
+          category
+        };
+      }
+
+      log.info(`${items[index].status}: ${identifier} (${index + 1}/${identifiers.length})`, items[index]);
+    }
+  }
+
+  await Promise.all(Array.from({ length: poolSize }, () => runWorker()));
+
+  const byStatus = status => items.filter(item => item.status === status);
+
+  return {
+    startedAt: startedAt.toISOString(),
+    finishedAt: new Date().toISOString(),
+    durationMs: Date.now() - startTime,
+    concurrency: poolSize,
+    total: items.length,
+    succeeded: byStatus('succeeded'),
+    failed: byStatus('failed'),
+    skipped: byStatus('skipped')
+  };
+}
+
+/**
+ * Write batch summary JSON
+ * @param {object} summary - Summary from runBatch
+ * @param {string} summaryPath - Destination path
+ * @returns {string} - Path written
+ */
+export function writeBatchSummary(summary, summaryPath) {
+  fs.mkdirSync(path.dirname(summaryPath), { recursive: true });
+  fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2));
+  log.info(`Summary saved to ${summaryPath}`);
+  return summaryPath;
+}
@@ -0,0 +1,356 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLogger } from './logger.js';
+import { formatBytes } from './cleanup.js';
+
+/**
+ * Content-addressed download cache shared by every output root
+ *
+ * Raw files are stored once under <cacheDir>/objects/<sha1 prefix>/<sha1>,
+ * keyed by the sha1 of the metadata files list, so the same tape processed
+ * into several --out directories is only downloaded once. A file is put in
+ * raw/ with a hardlink when the cache is on the same filesystem, otherwise
+ * with a reflink (copy-on-write) or a plain copy.
+ *
+ * Each object has a <sha1>.json sidecar ({ sha1, size, name, identifier,
+ * storedAt }) whose mtime is the last use, for LRU eviction once the cache
+ * grows past maxBytes.
+ */
+
+const log = createLogger('cache');
+
+const SHA1_PATTERN = /^[0-9a-f]{40}$/;
+
+/**
+ * Default cache location: $NIVEN_CACHE_DIR, else $XDG_CACHE_HOME/niven-tapes
+ * or ~/.cache/niven-tapes
+ * @returns {string}
+ */
+export function getDefaultCacheDir() {
+  if (process.env.NIVEN_CACHE_DIR) {
+    return process.env.NIVEN_CACHE_DIR;
+  }
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'niven-tapes');
+}
+
+/**
+ * Open a download cache
+ * @param {object} options - { dir?: string, maxBytes?: number (0 = unlimited) }
+ * @returns {object} - { dir, maxBytes, has, restore, store, evict, stats, prune }
+ */
+export function createDownloadCache({ dir = null, maxBytes = 0 } = {}) {
+  const cacheDir = path.resolve(dir || getDefaultCacheDir());
+  const objectsDir = path.join(cacheDir, 'objects');
+
+  /**
+   * @param {string} sha1
+   * @returns {string} - Object path
+   */
+  function objectPath(sha1) {
+    return path.join(objectsDir, sha1.slice(0, 2), sha1);
+  }
+
+  /**
+   * Cache key of a metadata file, null when it has no usable sha1
+   * @param {object} file - Metadata file object
+   * @returns {string|null}
+   */
+  function keyOf(file) {
+    const sha1 = String(file?.sha1 || '').toLowerCase();
+    return SHA1_PATTERN.test(sha1) ? sha1 : null;
+  }
+
+  /**
+   * Mark an object as just used
+   * @param {string} sha1
+   */
+  function touch(sha1) {
+    const now = new Date();
+    try {
+      fs.utimesSync(`${objectPath(sha1)}.json`, now, now);
+    } catch {
+      // Sidecar lost: the object mtime stands in for the last use
+    }
+  }
+
+  /**
+   * Whether the cache holds a file (same sha1 and, when known, size)
+   * @param {object} file - Metadata file object
+   * @returns {boolean}
+   */
+  function has(file) {
+    const sha1 = keyOf(file);
+    if (!sha1) {
+      return false;
+    }
+    try {
+      const size = fs.statSync(objectPath(sha1)).size;
+      return !Number(file.size) || size === Number(file.size);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Put a cached file at dest (replacing any partial copy)
+   *
+   * The caller still verifies the result: a cached object that fails its
+   * checksums should be evicted.
+   *
+   * @param {object} file - Metadata file object
+   * @param {string} dest - Destination path
+   * @returns {string|null} - hardlink|reflink|copy, null when not cached
+   */
+  function restore(file, dest) {
+    if (!has(file)) {
+      return null;
+    }
+    const sha1 = keyOf(file);
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.rmSync(dest, { force: true });
+    fs.rmSync(`${dest}.part`, { force: true });
+    const method = placeFile(objectPath(sha1), dest);
+    touch(sha1);
+    log.verbose(`${file.name} <- ${sha1} (${method})`, { file: file.name, sha1, method });
+    return method;
+  }
+
+  /**
+   * Add a verified file to the cache, then evict least recently used
+   * objects past maxBytes
+   * @param {object} file - Metadata file object (its sha1 is the key)
+   * @param {string} src - Verified file on disk
+   * @param {object} info - { identifier }
+   * @returns {boolean} - true if the file was added
+   */
+  function store(file, src, { identifier = null } = {}) {
+    const sha1 = keyOf(file);
+    if (!sha1) {
+      return false;
+    }
+    if (has(file)) {
+      touch(sha1);
+      return false;
+    }
+
+    const target = objectPath(sha1);
+    const tmp = `${target}.${process.pid}-${Date.now()}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      placeFile(src, tmp);
+      fs.renameSync(tmp, target);
+      const size = fs.statSync(target).size;
+      fs.writeFileSync(`${target}.json`, JSON.stringify({
+        sha1,
+        size,
+        name: file.name,
+        identifier,
+        storedAt: new Date().toISOString()
+      }, null, 2));
+      log.verbose(`${file.name} -> ${sha1} (${formatBytes(size)})`, { file: file.name, sha1, bytes: size });
+    } catch (error) {
+      fs.rmSync(tmp, { force: true });
+      log.warn(`⚠ could not cache ${file.name}: ${error.message}`, { file: file.name, error: error.message });
+      return false;
+    }
+
+    if (maxBytes > 0) {
+      prune({ maxBytes, keep: [sha1] });
+    }
+    return true;
+  }
+
+  /**
+   * Remove an object (e.g. a cached copy that failed verification)
+   * @param {object} file - Metadata file object
+   */
+  function evict(file) {
+    const sha1 = keyOf(file);
+    if (sha1) {
+      fs.rmSync(objectPath(sha1), { force: true });
+      fs.rmSync(`${objectPath(sha1)}.json`, { force: true });
+    }
+  }
+
+  /**
+   * Every object, least recently used first
+   * @returns {Array<object>} - [{ sha1, name, identifier, bytes, lastUsedAt, path }]
+   */
+  function listObjects() {
+    if (!fs.existsSync(objectsDir)) {
+      return [];
+    }
+    const objects = [];
+    for (const prefix of fs.readdirSync(objectsDir)) {
+      const prefixDir = path.join(objectsDir, prefix);
+      if (!fs.statSync(prefixDir).isDirectory()) {
+        continue;
+      }
+      for (const name of fs.readdirSync(prefixDir)) {
+        if (!SHA1_PATTERN.test(name)) {
+          continue;
+        }
+        const objectFile = path.join(prefixDir, name);
+        const stat = fs.statSync(objectFile);
+        let sidecar = null;
+        let lastUsed = stat.mtimeMs;
+        try {
+          sidecar = JSON.parse(fs.readFileSync(`${objectFile}.json`, 'utf8'));
+          lastUsed = fs.statSync(`${objectFile}.json`).mtimeMs;
+        } catch {
+          // Object without sidecar: still counted and evictable
+        }
+        objects.push({
+          sha1: name,
+          name: sidecar?.name || null,
+          identifier: sidecar?.identifier || null,
+          bytes: stat.size,
+          lastUsedAt: new Date(lastUsed).toISOString(),
+          path: objectFile
+        });
+      }
+    }
+    return objects.sort((a, b) => a.lastUsedAt.localeCompare(b.lastUsedAt));
+  }
+
+  /**
+   * Cache size and contents
+   * @returns {object} - { dir, maxBytes, files, bytes, oldestUse, newestUse, objects }
+   */
+  function stats() {
+    const objects = listObjects();
+    return {
+      dir: cacheDir,
+      maxBytes,
+      files: objects.length,
+      bytes: objects.reduce((sum, object) => sum + object.bytes, 0),
+      oldestUse: objects[0]?.lastUsedAt || null,
+      newestUse: objects.at(-1)?.lastUsedAt || null,
+      objects
+    };
+  }
+
+  /**
+   * Evict objects: unused for olderThanDays, then least recently used until
+   * the cache fits in maxBytes. Leftover .tmp files are removed too.
+   * @param {object} options - { maxBytes?: number (0 = no size limit), olderThanDays?: number, dryRun?: boolean, keep?: Array<string> }
+   * @returns {object} - { removed: [{ sha1, name, bytes, lastUsedAt }], freedBytes, remainingBytes, dryRun }
+   */
+  function prune({ maxBytes: limit = maxBytes, olderThanDays = null, dryRun = false, keep = [] } = {}) {
+    const objects = listObjects();
+    let total = objects.reduce((sum, object) => sum + object.bytes, 0);
+    const cutoff = olderThanDays !== null ? Date.now() - olderThanDays * 24 * 3600 * 1000 : null;
+    const removed = [];
+
+    for (const object of objects) {
+      if (keep.includes(object.sha1)) {
+        continue;
+      }
+      const stale = cutoff !== null && Date.parse(object.lastUsedAt) <= cutoff;
+      const over = limit > 0 && total > limit;
+      if (!stale && !over) {
+        continue;
+      }
+      if (!dryRun) {
+        fs.rmSync(object.path, { force: true });
+        fs.rmSync(`${object.path}.json`, { force: true });
+      }
+      total -= object.bytes;
+      removed.push({ sha1: object.sha1, name: object.name, bytes: object.bytes, lastUsedAt: object.lastUsedAt });
+    }
+
+    if (!dryRun) {
+      removeStaleTmp(objectsDir);
+    }
+
+    const freedBytes = removed.reduce((sum, object) => sum + object.bytes, 0);
+    if (removed.length > 0) {
+      log.info(`${dryRun ? '[DRY-RUN] would evict' : 'evicted'} ${removed.length} file(s) (${formatBytes(freedBytes)}), ${formatBytes(total)} left`, {
+        removed: removed.length,
+        freedBytes,
+        remainingBytes: total,
+        dryRun
+      });
+    }
+    return { removed, freedBytes, remainingBytes: total, dryRun };
+  }
+
+  return { dir: cacheDir, maxBytes, has, restore, store, evict, stats, prune };
+}
+
+/**
+ * Link or copy src to dest: hardlink, else reflink, else plain copy
+ * @param {string} src
+ * @param {string} dest - Must not exist
+ * @returns {string} - hardlink|reflink|copy
+ */
+function placeFile(src, dest) {
+  try {
+    fs.linkSync(src, dest);
+    return 'hardlink';
+  } catch {
+    // Other filesystem (EXDEV) or no hardlink support
+  }
+  try {
+    fs.copyFileSync(src, dest, fs.constants.COPYFILE_FICLONE_FORCE);
+    return 'reflink';
+  } catch {
+    fs.copyFileSync(src, dest);
+    return 'copy';
+  }
+}
+
+/**
+ * Remove .tmp files left by interrupted stores (older than an hour)
+ * @param {string} objectsDir
+ */
+function removeStaleTmp(objectsDir) {
+  if (!fs.existsSync(objectsDir)) {
+    return;
+  }
+  const cutoff = Date.now() - 3600 * 1000;
+  for (const prefix of fs.readdirSync(objectsDir)) {
+    const prefixDir = path.join(objectsDir, prefix);
+    if (!fs.statSync(prefixDir).isDirectory()) {
+      continue;
+    }
+    for (const name of fs.readdirSync(prefixDir)) {
+      const filePath = path.join(prefixDir, name);
+      if (name.endsWith('.tmp') && fs.statSync(filePath).mtimeMs < cutoff) {
+        fs.rmSync(filePath, { force: true });
+      }
+    }
+  }
+}
+
+/**
+ * Cache options from resolved processor options
+ * @param {object} options - Resolved options (cacheDir, cacheMaxGb)
+ * @returns {object} - createDownloadCache options
+ */
+export function getCacheOptions(options) {
+  return {
+    dir: options.cacheDir,
+    maxBytes: Math.round((options.cacheMaxGb || 0) * 1024 ** 3)
+  };
+}
+
+/**
+ * Render cache stats as text lines
+ * @param {object} stats - From cache.stats()
+ * @returns {Array<string>}
+ */
+export function formatCacheStats(stats) {
+  const limit = stats.maxBytes > 0 ? formatBytes(stats.maxBytes) : 'unlimited';
+  const lines = [
+    `Cache: ${stats.dir}`,
+    `  ${stats.files} files, ${formatBytes(stats.bytes)} (limit ${limit})`
+  ];
+  if (stats.files > 0) {
+    lines.push(`  Least recently used: ${stats.oldestUse}`);
+    lines.push(`  Most recently used:  ${stats.newestUse}`);
+  }
+  return lines;
+}
@@ -0,0 +1,89 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import zlib from 'zlib';
+
+/**
+ * Checksums of Archive.org files
+ *
+ * Every entry of the metadata files list carries md5, sha1 and crc32
+ * (lowercase hex). Files are hashed with all three in a single pass,
+ * either while they stream in (lib/download.js) or from disk (verify).
+ */
+
+export const CHECKSUM_ALGORITHMS = ['md5', 'sha1', 'crc32'];
+
+/**
+ * Incremental md5 + sha1 + crc32 of a byte stream
+ * @returns {object} - { update(chunk), digest() → { md5, sha1, crc32 } }
+ */
+export function createChecksums() {
+  const md5 = crypto.createHash('md5');
+  const sha1 = crypto.createHash('sha1');
+  // zlib.crc32 needs Node 20.15+; without it crc32 is left unchecked
+  const hasCrc32 = typeof zlib.crc32 === 'function';
+  let crc32 = 0;
+
+  return {
+    update(chunk) {
+      md5.update(chunk);
+      sha1.update(chunk);
+      if (hasCrc32) {
+        crc32 = zlib.crc32(chunk, crc32);
+      }
+    },
+    digest() {
+      return {
+        md5: md5.digest('hex'),
+        sha1: sha1.digest('hex'),
+        crc32: hasCrc32 ? (crc32 >>> 0).toString(16).padStart(8, '0') : null
+      };
+    }
+  };
+}
+
+/**
+ * Feed a file into a checksum accumulator
+ * @param {string} filePath
+ * @param {object} checksums - From createChecksums (a new one by default)
+ * @returns {Promise<object>} - The accumulator, for further updates or digest()
+ */
+export async function hashFile(filePath, checksums = createChecksums()) {
+  for await (const chunk of fs.createReadStream(filePath)) {
+    checksums.update(chunk);
+  }
+  return checksums;
+}
+
+/**
+ * Checksums listed for a file in the item metadata
+ * @param {object} file - Metadata file object
+ * @returns {object} - { md5?, sha1?, crc32? } (lowercase hex, only those present)
+ */
+export function expectedChecksums(file) {
+  const expected = {};
+  for (const algorithm of CHECKSUM_ALGORITHMS) {
+    if (typeof file?.[algorithm] === 'string' && file[algorithm]) {
+      expected[algorithm] = file[algorithm].toLowerCase();
+    }
+  }
+  return expected;
+}
+
+/**
+ * Compare computed checksums with the metadata ones
+ * @param {object} expected - From expectedChecksums
+ * @param {object} actual - From createChecksums().digest()
+ * @returns {object} - { status: ok|mismatch|unverified, checked: [algorithm], mismatched: [algorithm] }
+ */
+export function compareChecksums(expected, actual) {
+  const checked = CHECKSUM_ALGORITHMS.filter(algorithm => expected[algorithm] && actual[algorithm]);
+  const mismatched = checked.filter(algorithm => expected[algorithm] !== actual[algorithm]);
+
+  let status = 'ok';
+  if (checked.length === 0) {
+    status = 'unverified';
+  } else if (mismatched.length > 0) {
+    status = 'mismatch';
+  }
+  return { status, checked, mismatched };
+}
@@ -1,14 +1,16 @@
 import fs from 'fs-extra';
 import path from 'path';
-import { promisify } from 'util';
-import { exec } from 'child_process';
+import { createLogger } from './logger.js';
+import { emitProgress } from './progress.js';
+import { OUTPUT_FORMATS } from './split.js';
+import { probeDuration } from './ffmpeg.js';
 
-const execAsync = promisify(exec);
+const log = createLogger('cleanup');
 
 /**
  * Check if tracks output is valid for an item
  * @param {string} itemDir - Path to item directory (e.g., out/identifier)
- * @returns {Promise<object>} - { valid: boolean, reason?: string }
+ * @returns {Promise<object>} - { valid: boolean, reason?: string, trackCount?: number, durationSec?: number }
  */
 export async function isTracksOutputValid(itemDir) {
   const tracksDir = path.join(itemDir, 'tracks');
@@ -18,32 +20,31 @@ export async function isTracksOutputValid(itemDir) {
     return { valid: false, reason: 'tracks/ directory not found' };
   }
 
-  // Find MP3 files in tracks directory
+  // Find track files (MP3 or FLAC, see outputFormat) in tracks directory
   const files = await fs.readdir(tracksDir);
-  const mp3Files = files.filter(f => f.toLowerCase().endsWith('.mp3'));
+  const trackFiles = files.filter(f => OUTPUT_FORMATS.includes(path.extname(f).slice(1).toLowerCase()));
 
-  if (mp3Files.length === 0) {
-    return { valid: false, reason: 'no MP3 files in tracks/' };
+  if (trackFiles.length === 0) {
+    return { valid: false, reason: 'no track files in tracks/' };
   }
 
-  // Optional: Probe each MP3 to ensure duration > 10s
-  for (const mp3 of mp3Files) {
-    const mp3Path = path.join(tracksDir, mp3);
+  // Optional: Probe each track to ensure duration > 10s
+  let totalDuration = 0;
+  for (const track of trackFiles) {
+    const trackPath = path.join(tracksDir, track);
     try {
-      const { stdout } = await execAsync(
-        `ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${mp3Path}"`
-      );
-      const duration = parseFloat(stdout.trim());
+      const duration = await probeDuration(trackPath);
 
       if (isNaN(duration) || duration < 10) {
-        return { valid: false, reason: `${mp3} is too short (${duration.toFixed(1)}s < 10s)` };
+        return { valid: false, reason: `${track} is too short (${duration.toFixed(1)}s < 10s)` };
       }
+      totalDuration += duration;
     } catch (error) {
-      return { valid: false, reason: `failed to probe ${mp3}: ${error.message}` };
+      return { valid: false, reason: `failed to probe ${track}: ${error.message}` };
     }
   }
 
-  return { valid: true, mp3Count: mp3Files.length };
+  return { valid: true, trackCount: trackFiles.length, durationSec: totalDuration };
 }
 
 /**
@@ -66,7 +67,7 @@ export async function isMusicOutputValid(itemDir) {
  */
 export async function moveToTrash(srcPath, trashBaseDir, { identifier, dryRun = false }) {
   if (!await fs.pathExists(srcPath)) {
-    console.log(`[cleanup] skip (not found): ${srcPath}`);
+    log.info(`skip (not found): ${srcPath}`);
     return null;
   }
 
@@ -74,7 +75,8 @@ export async function moveToTrash(srcPath, trashBaseDir, { identifier, dryRun =
   const trashPath = path.join(trashBaseDir, identifier, timestamp, path.basename(srcPath));
 
   if (dryRun) {
-    console.log(`[cleanup] [DRY-RUN] would move: ${srcPath} -> ${trashPath}`);
+    log.info(`[DRY-RUN] would move: ${srcPath} -> ${trashPath}`);
+    emitProgress('cleanup', { action: 'dry-run', path: srcPath, trashPath });
     return null;
   }
 
@@ -87,10 +89,11 @@ export async function moveToTrash(srcPath, trashBaseDir, { identifier, dryRun =
       ? await getDirSize(trashPath)
       : stats.size;
 
-    console.log(`[cleanup] moved to trash: ${path.basename(srcPath)} (${formatBytes(sizeInfo)})`);
+    log.info(`moved to trash: ${path.basename(srcPath)} (${formatBytes(sizeInfo)})`, { path: srcPath, trashPath, bytes: sizeInfo });
+    emitProgress('cleanup', { action: 'trash', path: srcPath, trashPath, bytes: sizeInfo });
     return trashPath;
   } catch (error) {
-    console.error(`[cleanup] failed to move ${srcPath}: ${error.message}`);
+    log.error(`failed to move ${srcPath}: ${error.message}`, { path: srcPath, error: error.message });
     return null;
   }
 }
@@ -103,23 +106,24 @@ export async function moveToTrash(srcPath, trashBaseDir, { identifier, dryRun =
  */
 export async function purgeTrash(trashPath, dryRun = false) {
   if (!await fs.pathExists(trashPath)) {
-    console.log(`[cleanup] trash not found: ${trashPath}`);
+    log.info(`trash not found: ${trashPath}`);
     return false;
   }
 
   const size = await getDirSize(trashPath);
 
   if (dryRun) {
-    console.log(`[cleanup] [DRY-RUN] would purge: ${trashPath} (${formatBytes(size)})`);
+    log.info(`[DRY-RUN] would purge: ${trashPath} (${formatBytes(size)})`);
     return false;
   }
 
   try {
     await fs.remove(trashPath);
-    console.log(`[cleanup] purged trash: ${trashPath} (freed ${formatBytes(size)})`);
+    log.info(`purged trash: ${trashPath} (freed ${formatBytes(size)})`, { trashPath, bytes: size });
+    emitProgress('cleanup', { action: 'purge', path: trashPath, bytes: size });
     return true;
   } catch (error) {
-    console.error(`[cleanup] failed to purge ${trashPath}: ${error.message}`);
+    log.error(`failed to purge ${trashPath}: ${error.message}`, { trashPath, error: error.message });
     return false;
   }
 }
@@ -129,7 +133,7 @@ export async function purgeTrash(trashPath, dryRun = false) {
  * @param {string} dirPath - Directory path
  * @returns {Promise<number>} - Size in bytes
  */
-async function getDirSize(dirPath) {
+export async function getDirSize(dirPath) {
   let totalSize = 0;
 
   const items = await fs.readdir(dirPath);
@@ -158,6 +162,7 @@ async function getDirSize(dirPath) {
  * @param {string} options.trashDir - Trash base directory
  * @param {boolean} options.purgeTrash - Purge trash after move
  * @param {boolean} options.failed - Whether item processing failed
+ * @param {Function} options.isCached - (filePath) => true if the download cache holds the file
  * @returns {Promise<object>} - Cleanup report
  */
 export async function maybeCleanupItem(options) {
@@ -169,13 +174,15 @@ export async function maybeCleanupItem(options) {
     dryRun = false,
     trashDir = 'out/.trash',
     purgeTrash: shouldPurge = false,
-    failed = false
+    failed = false,
+    isCached = null
   } = options;
 
   const report = {
     enabled: cleanup,
     level: cleanupLevel,
     movedToTrash: [],
+    removedCached: [],
     purged: false,
     savedBytes: 0,
     skipped: null
@@ -187,26 +194,26 @@ export async function maybeCleanupItem(options) {
   }
 
   if (failed) {
-    console.log(`[cleanup] ⚠ skipping cleanup: item processing failed`);
+    log.warn(`⚠ skipping cleanup: item processing failed`);
     report.skipped = 'item failed';
     return report;
   }
 
   if (dryRun) {
-    console.log(`[cleanup] [DRY-RUN] mode active`);
+    log.info(`[DRY-RUN] mode active`);
   }
 
   // Validate tracks output (final output in current workflow)
-  console.log(`[cleanup] validating tracks output...`);
+  log.verbose(`validating tracks output...`);
   const tracksValidation = await isTracksOutputValid(itemDir);
 
   if (!tracksValidation.valid) {
-    console.warn(`[cleanup] ⚠ kept all files: ${tracksValidation.reason}`);
+    log.warn(`⚠ kept all files: ${tracksValidation.reason}`, { reason: tracksValidation.reason });
     report.skipped = tracksValidation.reason;
     return report;
   }
 
-  console.log(`[cleanup] ✓ tracks output valid (${tracksValidation.mp3Count} files)`);
+  log.info(`✓ tracks output valid (${tracksValidation.trackCount} files)`);
 
   // Determine what to cleanup based on level
   // For now, only 'raw' makes sense since tracks/ is the final output
@@ -215,18 +222,28 @@ export async function maybeCleanupItem(options) {
 
   if (cleanupLevel === 'raw' || cleanupLevel === 'tracks' || cleanupLevel === 'all') {
     if (await fs.pathExists(rawDir)) {
-      toClean.push({ path: rawDir, name: 'raw', size: await getDirSize(rawDir) });
+      report.removedCached = await removeCachedFiles(rawDir, isCached, dryRun);
+      const entries = await fs.readdir(rawDir, { recursive: true, withFileTypes: true });
+      const remaining = entries.filter(entry => entry.isFile()).length - (dryRun ? report.removedCached.length : 0);
+      // With a cache, a raw/ left empty (files removed here or by progressive cleanup) is just deleted
+      if (remaining > 0 || !isCached) {
+        toClean.push({ path: rawDir, name: 'raw', size: await getDirSize(rawDir) });
+      } else if (!dryRun) {
+        await fs.remove(rawDir);
+      }
     }
   }
 
   if (toClean.length === 0) {
-    console.log(`[cleanup] nothing to clean (level: ${cleanupLevel})`);
-    report.skipped = 'nothing to clean';
+    if (report.removedCached.length === 0) {
+      log.info(`nothing to clean (level: ${cleanupLevel})`);
+      report.skipped = 'nothing to clean';
+    }
     return report;
   }
 
   // Move to trash
-  console.log(`[cleanup] level=${cleanupLevel}, moving ${toClean.length} directories to trash...`);
+  log.info(`level=${cleanupLevel}, moving ${toClean.length} directories to trash...`);
 
   for (const item of toClean) {
     const trashPath = await moveToTrash(item.path, trashDir, { identifier, dryRun });
@@ -244,14 +261,53 @@ export async function maybeCleanupItem(options) {
   }
 
   if (report.savedBytes > 0) {
-    console.log(`[cleanup] ✓ saved ${formatBytes(report.savedBytes)} (${report.movedToTrash.join(', ')})`);
+    log.info(`✓ saved ${formatBytes(report.savedBytes)} (${report.movedToTrash.join(', ')})`, {
+      savedBytes: report.savedBytes,
+      movedToTrash: report.movedToTrash
+    });
   }
 
   return report;
 }
 
+/**
+ * Delete raw files the download cache holds (they can be restored from it,
+ * so they do not go to the trash)
+ * @param {string} rawDir
+ * @param {Function|null} isCached - (filePath) => boolean
+ * @param {boolean} dryRun
+ * @returns {Promise<Array<string>>} - Removed files, relative to rawDir
+ */
+async function removeCachedFiles(rawDir, isCached, dryRun) {
+  if (!isCached) {
+    return [];
+  }
+
+  const removed = [];
+  const entries = await fs.readdir(rawDir, { recursive: true, withFileTypes: true });
+  for (const entry of entries.filter(entry => entry.isFile())) {
+    const filePath = path.join(entry.parentPath ?? entry.path, entry.name);
+    if (!isCached(filePath)) {
+      continue;
+    }
+    if (dryRun) {
+      log.info(`[DRY-RUN] would remove (in download cache): ${filePath}`);
+    } else {
+      await fs.remove(filePath);
+      log.info(`removed ${entry.name} (in download cache)`, { path: filePath });
+      emitProgress('cleanup', { action: 'remove-cached', path: filePath });
+    }
+    removed.push(path.relative(rawDir, filePath));
+  }
+  return removed;
+}
+
 /**
  * Progressive cleanup - cleanup individual files as processing progresses
+ *
+ * Files the download cache holds (options.isCached) are deleted instead of
+ * being moved to the trash.
+ *
  * @param {string} filePath - File to cleanup
  * @param {object} options - Cleanup options
  * @returns {Promise<boolean>}
@@ -262,7 +318,8 @@ export async function progressiveCleanup(filePath, options) {
     trashDir = 'out/.trash',
     identifier,
     dryRun = false,
-    prerequisiteValid = true
+    prerequisiteValid = true,
+    isCached = null
   } = options;
 
   if (!enabled) {
@@ -270,10 +327,21 @@ export async function progressiveCleanup(filePath, options) {
   }
 
   if (!prerequisiteValid) {
-    console.log(`[cleanup] kept ${path.basename(filePath)} because prerequisite invalid`);
+    log.info(`kept ${path.basename(filePath)} because prerequisite invalid`);
     return false;
   }
 
+  if (isCached?.(filePath)) {
+    if (dryRun) {
+      log.info(`[DRY-RUN] would remove (in download cache): ${filePath}`);
+      return false;
+    }
+    await fs.remove(filePath);
+    log.info(`removed ${path.basename(filePath)} (in download cache)`, { path: filePath });
+    emitProgress('cleanup', { action: 'remove-cached', path: filePath });
+    return true;
+  }
+
   const trashPath = await moveToTrash(filePath, trashDir, { identifier, dryRun });
   return !!trashPath;
 }
@@ -283,7 +351,7 @@ export async function progressiveCleanup(filePath, options) {
  * @param {number} bytes
  * @returns {string}
  */
-function formatBytes(bytes) {
+export function formatBytes(bytes) {
   if (!bytes || bytes === 0) return '0 B';
   const k = 1024;
   const sizes = ['B', 'KB', 'MB', 'GB'];
@@ -0,0 +1,247 @@
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+import { ConfigError, OfflineError } from './errors.js';
+import { resolveEndpoints } from './endpoints.js';
+import { createHttpClient } from './http.js';
+
+const log = createLogger('collection');
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Build the advanced-search query for a collection
+ *
+ * Collection and creator are quoted. The date filter accepts a year
+ * ("1923"), a year range ("1923-1930"), a month ("1923-05") or a day
+ * ("1923-05-12"); anything else is rejected rather than pasted into the
+ * query.
+ *
+ * @param {string} collection - Collection name
+ * @param {object} filters - { creator?: string, date?: string }
+ * @returns {string}
+ * @throws {ConfigError} - Invalid date filter
+ */
+export function buildCollectionQuery(collection, { creator = null, date = null } = {}) {
+  const clauses = [`collection:(${quoteTerm(collection)})`];
+
+  if (creator) {
+    clauses.push(`creator:(${quoteTerm(creator)})`);
+  }
+
+  if (date) {
+    clauses.push(buildDateClause(String(date)));
+  }
+
+  return clauses.join(' AND ');
+}
+
+/**
+ * @param {string} value
+ * @returns {string} - Quoted search term
+ */
+function quoteTerm(value) {
+  return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+}
+
+/**
+ * Search clause of a --date filter
+ * @param {string} date - YYYY, YYYY-YYYY, YYYY-MM or YYYY-MM-DD
+ * @returns {string}
+ * @throws {ConfigError}
+ */
+function buildDateClause(date) {
+  let match;
+  if (/^\d{4}$/.test(date)) {
+    return `year:${date}`;
+  }
+  if ((match = date.match(/^(\d{4})-(\d{4})$/))) {
+    if (match[1] > match[2]) {
+      throw new ConfigError(`Invalid date range "${date}": ${match[1]} is after ${match[2]}`);
+    }
+    return `year:[${match[1]} TO ${match[2]}]`;
+  }
+  if ((match = date.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/))) {
+    const [, year, month, day] = match;
+    const lastDay = new Date(Date.UTC(Number(year), Number(month), 0)).getUTCDate();
+    if (Number(month) < 1 || Number(month) > 12 || (day && (Number(day) < 1 || Number(day) > lastDay))) {
+      throw new ConfigError(`Invalid date "${date}"`);
+    }
+    return day
+      ? `date:[${date} TO ${date}]`
+      : `date:[${year}-${month}-01 TO ${year}-${month}-${lastDay}]`;
+  }
+  throw new ConfigError(`Invalid date filter "${date}" (expected YYYY, YYYY-YYYY, YYYY-MM or YYYY-MM-DD)`);
+}
+
+/**
+ * Get the listing cache path for a collection
+ * @param {string} cacheDir - Cache directory (e.g., out/.collections)
+ * @param {string} collection - Collection name
+ * @returns {string}
+ */
+export function getCollectionCachePath(cacheDir, collection) {
+  const safeName = collection.replace(/[^a-zA-Z0-9_.-]/g, '_');
+  return path.join(cacheDir, `${safeName}.json`);
+}
+
+/**
+ * Load a collection cache file
+ * @param {string} cachePath
+ * @returns {object|null}
+ */
+export function loadCollectionCache(cachePath) {
+  if (!fs.existsSync(cachePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+  } catch (error) {
+    log.warn(`⚠ Ignoring unreadable cache ${cachePath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save a collection cache file
+ * @param {string} cachePath
+ * @param {object} cache
+ */
+export function saveCollectionCache(cachePath, cache) {
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  fs.writeFileSync(cachePath, JSON.stringify(cache, null, 2));
+}
+
+/**
+ * List every item in an Archive.org collection via the scrape API
+ *
+ * Pages are appended to the on-disk cache as they arrive, together with
+ * the scrape cursor, so an interrupted listing resumes where it stopped.
+ * A complete cache for the same query is reused unless refresh is set.
+ *
+ * @param {string} collection - Collection name
+ * @param {object} options - Listing options
+ * @param {string} options.cacheDir - Cache directory
+ * @param {string} options.creator - Optional creator filter
+ * @param {string} options.date - Optional date/year filter
+ * @param {string} options.baseUrl - Archive.org base URL
+ * @param {boolean} options.refresh - Ignore cached listing
+ * @param {boolean} options.offline - Only use a complete cached listing
+ * @param {object} options.http - HTTP client from lib/http.js (default: a new one)
+ * @returns {Promise<object>} - Cache object { collection, query, items, complete, ... }
+ * @throws {OfflineError|NetworkError|RateLimitedError|ConfigError}
+ */
+export async function listCollection(collection, options = {}) {
+  const {
+    cacheDir,
+    creator = null,
+    date = null,
+    baseUrl = null,
+    refresh = false,
+    offline = false,
+    http = null
+  } = options;
+
+  const query = buildCollectionQuery(collection, { creator, date });
+  const cachePath = getCollectionCachePath(cacheDir, collection);
+  let cache = refresh ? null : loadCollectionCache(cachePath);
+
+  if (cache && cache.query !== query) {
+    log.info(`Filters changed, discarding cached listing`);
+    cache = null;
+  }
+
+  if (offline && !(cache && cache.complete)) {
+    throw new OfflineError(`No complete cached listing for ${collection} (run once online first)`);
+  }
+
+  if (cache && cache.complete) {
+    log.info(`Using cached listing (${cache.items.length} items, ${cache.fetchedAt})`);
+    return cache;
+  }
+
+  if (!cache) {
+    cache = {
+      collection,
+      query,
+      fetchedAt: null,
+      complete: false,
+      cursor: null,
+      total: null,
+      items: [],
+      processed: {}
+    };
+  } else {
+    log.info(`Resuming listing after ${cache.items.length} items`);
+  }
+
+  const url = resolveEndpoints({ archiveUrl: baseUrl }).scrape;
+  const client = http || createHttpClient();
+  log.info(`Listing ${collection} (${query})`);
+
+  do {
+    const params = {
+      q: query,
+      fields: 'identifier,title,creator,date',
+      count: PAGE_SIZE
+    };
+    if (cache.cursor) {
+      params.cursor = cache.cursor;
+    }
+
+    let data;
+    try {
+      const response = await client.get(url, { params, what: `listing of ${collection}` });
+      data = response.data;
+    } catch (error) {
+      saveCollectionCache(cachePath, cache);
+      // Keep the typed error (network, rate limit...) for the exit code and category
+      if (!error.message.includes(collection)) {
+        error.message = `Failed to list collection ${collection}: ${error.message}`;
+      }
+      throw error;
+    }
+
+    const seen = new Set(cache.items.map(item => item.identifier));
+    for (const item of data.items || []) {
+      if (item.identifier && !seen.has(item.identifier)) {
+        cache.items.push(item);
+        seen.add(item.identifier);
+      }
+    }
+
+    cache.total = data.total ?? cache.total;
+    cache.cursor = data.cursor || null;
+    saveCollectionCache(cachePath, cache);
+
+    log.info(`${cache.items.length}${cache.total ? `/${cache.total}` : ''} items listed`, {
+      listed: cache.items.length,
+      total: cache.total
+    });
+  } while (cache.cursor);
+
+  cache.complete = true;
+  cache.fetchedAt = new Date().toISOString();
+  saveCollectionCache(cachePath, cache);
+  log.info(`✓ Cached listing to ${cachePath}`);
+
+  return cache;
+}
+
+/**
+ * Record the outcome of processing one collection item in the cache
+ * @param {string} cachePath
+ * @param {string} identifier
+ * @param {string} status - succeeded|failed|skipped
+ */
+export function markCollectionItem(cachePath, identifier, status) {
+  const cache = loadCollectionCache(cachePath);
+  if (!cache) {
+    return;
+  }
+
+  cache.processed = cache.processed || {};
+  cache.processed[identifier] = { status, at: new Date().toISOString() };
+  saveCollectionCache(cachePath, cache);
+}
@@ -0,0 +1,271 @@
+import fs from 'fs';
+import path from 'path';
+import { getPreset, DEFAULT_PRESETS_DIR } from './presets.js';
+import { createLogger } from './logger.js';
+import { ConfigError } from './errors.js';
+import { SOURCE_FORMATS } from './metadata.js';
+import { OUTPUT_FORMATS } from './split.js';
+import { DEFAULT_FFMPEG_TIMEOUT_SEC } from './ffmpeg.js';
+
+const log = createLogger('config');
+
+/**
+ * Project configuration (niven.config.json / .nivenrc)
+ *
+ * Precedence, highest first:
+ *   CLI flag > item override > config file > preset > built-in default
+ */
+
+export const CONFIG_FILES = ['niven.config.json', '.nivenrc'];
+
+/**
+ * Built-in defaults for options that are not part of a preset
+ */
+export const DEFAULT_OPTIONS = {
+  out: './out',
+  presetsDir: DEFAULT_PRESETS_DIR,
+  cleanup: false,
+  cleanupLevel: 'all',
+  dryRun: false,
+  purgeTrash: false,
+  trashDir: null,
+  generateNames: false,
+  renameFiles: false,
+  summary: null,
+  creator: null,
+  date: null,
+  archiveUrl: null,
+  metadataUrl: null,
+  downloadUrl: null,
+  refresh: false,
+  offline: false,
+  metadataTtlHours: 24,
+  httpRetries: 4,
+  connectTimeoutSec: 15,
+  readTimeoutSec: 60,
+  requestsPerSecond: 0,
+  downloadConcurrency: 2,
+  cache: true,
+  cacheDir: null,
+  cacheMaxGb: 20,
+  ffmpegTimeoutSec: DEFAULT_FFMPEG_TIMEOUT_SEC,
+  cue: null,
+  labels: null,
+  sourceFormat: 'mp3',
+  outputFormat: 'mp3',
+  outputBitrate: 192,
+  logLevel: 'info',
+  logFormat: 'text',
+  logFile: false
+};
+
+/**
+ * Settings provided by presets (and overridable everywhere else)
+ */
+export const SETTING_KEYS = ['noiseDb', 'minSilence', 'minSegment', 'introTrimSec', 'concurrency', 'sidePatterns'];
+
+/**
+ * Options restricted to a fixed set of values
+ */
+const CHOICES = {
+  sourceFormat: SOURCE_FORMATS,
+  outputFormat: OUTPUT_FORMATS
+};
+
+/**
+ * Numeric options and their minimum value
+ */
+const MIN_VALUES = {
+  metadataTtlHours: 0,
+  httpRetries: 0,
+  connectTimeoutSec: 0,
+  readTimeoutSec: 0,
+  requestsPerSecond: 0,
+  downloadConcurrency: 1,
+  cacheMaxGb: 0,
+  ffmpegTimeoutSec: 0
+};
+
+const KNOWN_KEYS = new Set(['preset', 'items', ...Object.keys(DEFAULT_OPTIONS), ...SETTING_KEYS]);
+
+/**
+ * Find and load the project config file
+ * @param {string|null} explicitPath - Path given with --config
+ * @param {string} cwd - Directory to search
+ * @returns {object} - { path: string|null, config: object }
+ */
+export function loadConfigFile(explicitPath = null, cwd = process.cwd()) {
+  const candidates = explicitPath
+    ? [path.resolve(cwd, explicitPath)]
+    : CONFIG_FILES.map(name => path.join(cwd, name));
+
+  const configPath = candidates.find(p => fs.existsSync(p));
+
+  if (!configPath) {
+    if (explicitPath) {
+      throw new ConfigError(`Config file not found: ${explicitPath}`);
+    }
+    return { path: null, config: {} };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Invalid config file ${configPath}: ${error.message}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(`Invalid config file ${configPath}: expected a JSON object`);
+  }
+
+  validateKeys(config, configPath);
+  for (const [pattern, values] of Object.entries(config.items || {})) {
+    validateKeys(values, `${configPath} (items["${pattern}"])`);
+  }
+
+  log.info(`Loaded ${configPath}`);
+  return { path: configPath, config };
+}
+
+/**
+ * Warn about keys the processor does not know
+ * @param {object} values
+ * @param {string} where - Location for the warning
+ */
+function validateKeys(values, where) {
+  for (const key of Object.keys(values || {})) {
+    if (!KNOWN_KEYS.has(key)) {
+      log.warn(`⚠ Unknown key "${key}" in ${where}`);
+    }
+  }
+}
+
+/**
+ * Convert an override pattern to a RegExp
+ *
+ * "/regex/flags" is used as-is, otherwise * and ? are glob wildcards.
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) {
+    return new RegExp(regexMatch[1], regexMatch[2]);
+  }
+
+  const escaped = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Find the item overrides matching an identifier
+ *
+ * Pattern overrides apply in file order; an exact identifier match applies last.
+ *
+ * @param {object} fileConfig - Parsed config file
+ * @param {string|null} identifier
+ * @returns {Array<object>} - [{ pattern, values }]
+ */
+export function findItemOverrides(fileConfig, identifier) {
+  if (!identifier || !fileConfig.items) {
+    return [];
+  }
+
+  const entries = Object.entries(fileConfig.items);
+  const patterns = entries.filter(([pattern]) => pattern !== identifier && patternToRegExp(pattern).test(identifier));
+  const exact = entries.filter(([pattern]) => pattern === identifier);
+
+  return [...patterns, ...exact].map(([pattern, values]) => ({ pattern, values }));
+}
+
+/**
+ * Merge defaults, preset, config file, item overrides and CLI flags
+ * @param {string|null} identifier - Item identifier (null for batch-level options)
+ * @param {object} cliOptions - Options explicitly given on the command line
+ * @param {object} fileConfig - Parsed config file ({} when none)
+ * @returns {object} - { options, settings, sources, presetName }
+ */
+export function resolveOptions(identifier, cliOptions = {}, fileConfig = {}) {
+  const { items, ...fileDefaults } = fileConfig;
+
+  const upperLayers = [
+    { source: 'config', values: fileDefaults },
+    ...findItemOverrides(fileConfig, identifier).map(o => ({ source: `item:${o.pattern}`, values: o.values })),
+    { source: 'cli', values: cliOptions }
+  ];
+
+  // The preset name itself follows the same precedence
+  let presetName = null;
+  for (const layer of upperLayers) {
+    if (isSet(layer.values.preset)) {
+      presetName = layer.values.preset;
+    }
+  }
+
+  const layers = [
+    { source: 'default', values: DEFAULT_OPTIONS },
+    { source: `preset:${presetName || 'niven'}`, values: {} },
+    ...upperLayers
+  ];
+
+  const merged = {};
+  const sources = {};
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer.values)) {
+      if (key !== 'preset' && isSet(value)) {
+        merged[key] = value;
+        sources[key] = layer.source;
+      }
+    }
+  }
+
+  for (const [key, choices] of Object.entries(CHOICES)) {
+    if (!choices.includes(merged[key])) {
+      throw new ConfigError(`Invalid ${key} "${merged[key]}" (from ${sources[key]}; expected ${choices.join('|')})`);
+    }
+  }
+
+  for (const [key, min] of Object.entries(MIN_VALUES)) {
+    if (typeof merged[key] !== 'number' || Number.isNaN(merged[key]) || merged[key] < min) {
+      throw new ConfigError(`Invalid ${key} "${merged[key]}" (from ${sources[key]}; expected a number >= ${min})`);
+    }
+  }
+
+  // --renameFiles implies --generateNames unless something sets it explicitly
+  if (merged.renameFiles && !merged.generateNames) {
+    merged.generateNames = true;
+    sources.generateNames = sources.renameFiles;
+  }
+
+  const settingOverrides = Object.fromEntries(SETTING_KEYS.map(key => [key, merged[key]]));
+  const settings = getPreset(presetName, settingOverrides, { presetsDir: merged.presetsDir });
+
+  for (const key of SETTING_KEYS) {
+    if (!sources[key]) {
+      sources[key] = `preset:${presetName || 'niven'}`;
+    }
+  }
+  sources.preset = presetName
+    ? upperLayers.filter(layer => isSet(layer.values.preset)).pop().source
+    : 'default';
+
+  const options = { ...merged };
+  for (const key of SETTING_KEYS) {
+    delete options[key];
+  }
+
+  return { options, settings, sources, presetName: presetName || 'niven' };
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isSet(value) {
+  return value !== undefined && value !== null;
+}
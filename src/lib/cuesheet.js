@@ -0,0 +1,323 @@
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+import { ConfigError } from './errors.js';
+
+/**
+ * Split points as CUE sheets and Audacity label tracks
+ *
+ * Every split writes, per side, <raw name>.cue and <raw name>.labels.txt
+ * with the start and end of each exported track. Times are in the raw file
+ * (the intro trim is added back), so both files line up with raw/ when
+ * opened next to it in Audacity or a CUE-aware player.
+ *
+ * The same files, edited by hand, can be given back with --cue/--labels:
+ * silence detection is skipped and the side is cut at those points.
+ *
+ * CUE sheets only store starts (INDEX 01, mm:ss:ff at 75 frames per
+ * second). The silence between two tracks is written as the pregap of the
+ * next one (INDEX 00) and the end of the last track as "REM END", so a
+ * sheet read back gives the same segments. Audacity labels are
+ * "start<TAB>end<TAB>text" lines in seconds; a point label (start = end)
+ * runs until the next label.
+ */
+
+const log = createLogger('cue');
+
+const CUE_FRAMES_PER_SEC = 75;
+
+/**
+ * Write the CUE sheet and label track of a split side
+ * @param {string} dir - Output directory (created if needed)
+ * @param {string} sourceFile - Raw side file the times refer to
+ * @param {Array<object>} segments - [{ start, end, title }] in raw file seconds
+ * @param {object} options - { title?: string (side label) }
+ * @returns {object} - { cue, labels } written paths
+ */
+export function writeSplitPoints(dir, sourceFile, segments, { title = null } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  const name = path.basename(sourceFile);
+  const stem = path.parse(name).name;
+  const cue = path.join(dir, `${stem}.cue`);
+  const labels = path.join(dir, `${stem}.labels.txt`);
+
+  fs.writeFileSync(cue, formatCueSheet(segments, { file: name, title }));
+  fs.writeFileSync(labels, formatLabels(segments));
+  log.verbose(`✓ ${path.basename(cue)}, ${path.basename(labels)} (${segments.length} tracks)`, { cue, labels, count: segments.length });
+  return { cue, labels };
+}
+
+/**
+ * Render a CUE sheet for one file
+ * @param {Array<object>} segments - [{ start, end, title? }] in seconds
+ * @param {object} options - { file: string (name in FILE), title?: string }
+ * @returns {string}
+ */
+export function formatCueSheet(segments, { file, title = null }) {
+  const type = path.extname(file).toLowerCase() === '.mp3' ? 'MP3' : 'WAVE';
+  const lines = ['REM GENERATOR "niven-tapes-processor"'];
+  if (title) {
+    lines.push(`TITLE ${quote(title)}`);
+  }
+  lines.push(`FILE ${quote(file)} ${type}`);
+
+  segments.forEach((segment, i) => {
+    lines.push(`  TRACK ${String(i + 1).padStart(2, '0')} AUDIO`);
+    lines.push(`    TITLE ${quote(segment.title || `Track ${String(i + 1).padStart(2, '0')}`)}`);
+    const previousEnd = i > 0 ? segments[i - 1].end : null;
+    if (previousEnd !== null && segment.start - previousEnd >= 1 / CUE_FRAMES_PER_SEC) {
+      lines.push(`    INDEX 00 ${formatCueTime(previousEnd)}`);
+    }
+    lines.push(`    INDEX 01 ${formatCueTime(segment.start)}`);
+  });
+
+  if (segments.length > 0) {
+    lines.push(`  REM END ${formatCueTime(segments.at(-1).end)}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Render an Audacity label track
+ * @param {Array<object>} segments - [{ start, end, title? }] in seconds
+ * @returns {string}
+ */
+export function formatLabels(segments) {
+  return segments
+    .map((segment, i) => `${segment.start.toFixed(6)}\t${segment.end.toFixed(6)}\t${segment.title || `Track ${String(i + 1).padStart(2, '0')}`}\n`)
+    .join('');
+}
+
+/**
+ * Parse a CUE sheet
+ * @param {string} text
+ * @param {string} source - File path, for error messages
+ * @returns {Array<object>} - [{ file, segments: [{ start, end|null }] }], one per FILE
+ * @throws {ConfigError}
+ */
+export function parseCueSheet(text, source) {
+  const files = [];
+  let current = null;
+  let track = null;
+
+  const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+    const where = `${source}:${i + 1}`;
+    const fileMatch = line.match(/^FILE\s+(?:"([^"]*)"|(\S+))/i);
+    const trackMatch = line.match(/^TRACK\s+(\d+)/i);
+    const indexMatch = line.match(/^INDEX\s+(\d+)\s+(\S+)/i);
+    const endMatch = line.match(/^REM\s+END\s+(\S+)/i);
+
+    if (fileMatch) {
+      current = { file: fileMatch[1] ?? fileMatch[2], tracks: [], end: null };
+      files.push(current);
+      track = null;
+    } else if (trackMatch) {
+      if (!current) {
+        throw new ConfigError(`${where}: TRACK before any FILE`);
+      }
+      track = { number: Number(trackMatch[1]), pregap: null, start: null, line: i + 1 };
+      current.tracks.push(track);
+    } else if (indexMatch && track) {
+      const seconds = parseCueTime(indexMatch[2], where);
+      if (Number(indexMatch[1]) === 0) {
+        track.pregap = seconds;
+      } else if (Number(indexMatch[1]) === 1) {
+        track.start = seconds;
+      }
+    } else if (endMatch && current) {
+      current.end = parseCueTime(endMatch[1], where);
+    }
+  });
+
+  if (files.length === 0) {
+    throw new ConfigError(`${source}: no FILE entry in CUE sheet`);
+  }
+
+  return files.map(entry => {
+    const missing = entry.tracks.find(t => t.start === null);
+    if (missing) {
+      throw new ConfigError(`${source}:${missing.line}: TRACK ${missing.number} has no INDEX 01`);
+    }
+    const segments = entry.tracks.map((t, i) => {
+      const next = entry.tracks[i + 1];
+      return { start: t.start, end: next ? (next.pregap ?? next.start) : entry.end };
+    });
+    return { file: entry.file, segments: checkSegments(segments, source) };
+  });
+}
+
+/**
+ * Parse an Audacity label track
+ * @param {string} text
+ * @param {string} source - File path, for error messages
+ * @returns {Array<object>} - [{ start, end|null }]
+ * @throws {ConfigError}
+ */
+export function parseLabels(text, source) {
+  const labels = [];
+  const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  lines.forEach((line, i) => {
+    // Spectral selections add a "\ low high" line below their label
+    if (!line.trim() || line.startsWith('\\')) {
+      return;
+    }
+    const [start, end] = line.split('\t').map(value => Number(String(value).trim().replace(',', '.')));
+    if (!Number.isFinite(start) || !Number.isFinite(end)) {
+      throw new ConfigError(`${source}:${i + 1}: expected "start<TAB>end<TAB>label"`);
+    }
+    labels.push({ start, end });
+  });
+
+  if (labels.length === 0) {
+    throw new ConfigError(`${source}: no labels`);
+  }
+
+  labels.sort((a, b) => a.start - b.start);
+  const segments = labels.map((label, i) => ({
+    start: label.start,
+    end: label.end > label.start ? label.end : labels[i + 1]?.start ?? null
+  }));
+  return checkSegments(segments, source);
+}
+
+/**
+ * Load hand-edited split points and match them to the sides of an item
+ *
+ * A CUE FILE entry applies to the side with the same file name. A label
+ * track applies to the side whose name it starts with (Side_A.labels.txt
+ * for Side_A.mp3). With a single side, a single file applies to it
+ * whatever its names. Sides without split points keep silence detection.
+ *
+ * @param {object} files - { cue?: string|Array<string>, labels?: string|Array<string> }
+ * @param {Array<string>} sideNames - Raw side file names
+ * @returns {object} - { [sideName]: { source: 'cue'|'labels', path, segments } }
+ * @throws {ConfigError}
+ */
+export function loadSplitPoints({ cue = null, labels = null } = {}, sideNames = []) {
+  const result = {};
+  const assign = (sideName, entry) => {
+    if (result[sideName]) {
+      throw new ConfigError(`Split points for ${sideName} given twice (${result[sideName].path}, ${entry.path})`);
+    }
+    result[sideName] = entry;
+  };
+
+  for (const cuePath of [].concat(cue || [])) {
+    const entries = parseCueSheet(readSplitFile(cuePath), cuePath);
+    for (const entry of entries) {
+      const sideName = entries.length === 1 && sideNames.length === 1
+        ? sideNames[0]
+        : findSide(sideNames, path.basename(entry.file));
+      if (!sideName) {
+        throw new ConfigError(`${cuePath}: FILE "${entry.file}" matches no side (${sideNames.join(', ')})`);
+      }
+      assign(sideName, { source: 'cue', path: path.resolve(cuePath), segments: entry.segments });
+    }
+  }
+
+  for (const labelsPath of [].concat(labels || [])) {
+    const segments = parseLabels(readSplitFile(labelsPath), labelsPath);
+    const sideName = sideNames.length === 1 ? sideNames[0] : findSide(sideNames, path.basename(labelsPath));
+    if (!sideName) {
+      throw new ConfigError(`${labelsPath}: cannot tell which side it belongs to; name it after a side file (${sideNames.map(n => `${path.parse(n).name}.labels.txt`).join(', ')})`);
+    }
+    assign(sideName, { source: 'labels', path: path.resolve(labelsPath), segments });
+  }
+
+  return result;
+}
+
+/**
+ * Side whose file name (or name without extension) the given name matches
+ * @param {Array<string>} sideNames
+ * @param {string} name - CUE FILE name or label file name
+ * @returns {string|null}
+ */
+function findSide(sideNames, name) {
+  const lower = name.toLowerCase();
+  const exact = sideNames.find(side => side.toLowerCase() === lower);
+  if (exact) {
+    return exact;
+  }
+  // Longest stem first, so "Side_A1" is not taken for "Side_A"
+  const byStem = [...sideNames].sort((a, b) => b.length - a.length);
+  return byStem.find(side => {
+    const stem = path.parse(side).name.toLowerCase();
+    return lower === stem || lower.startsWith(`${stem}.`);
+  }) || null;
+}
+
+/**
+ * @param {string} filePath
+ * @returns {string}
+ * @throws {ConfigError}
+ */
+function readSplitFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`Cannot read split points from ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Reject negative, empty or overlapping segments
+ * @param {Array<object>} segments - [{ start, end|null }]
+ * @param {string} source
+ * @returns {Array<object>}
+ * @throws {ConfigError}
+ */
+function checkSegments(segments, source) {
+  if (segments.length === 0) {
+    throw new ConfigError(`${source}: no tracks`);
+  }
+  segments.forEach((segment, i) => {
+    const label = `${source}: track ${i + 1}`;
+    if (segment.start < 0) {
+      throw new ConfigError(`${label} starts before 0`);
+    }
+    if (segment.end !== null && segment.end <= segment.start) {
+      throw new ConfigError(`${label} ends (${segment.end}s) before it starts (${segment.start}s)`);
+    }
+    if (i > 0 && segment.start < segments[i - 1].end) {
+      throw new ConfigError(`${label} starts (${segment.start}s) before track ${i} ends (${segments[i - 1].end}s)`);
+    }
+  });
+  return segments;
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} - mm:ss:ff (75 frames per second)
+ */
+function formatCueTime(seconds) {
+  const frames = Math.round(seconds * CUE_FRAMES_PER_SEC);
+  const m = Math.floor(frames / (60 * CUE_FRAMES_PER_SEC));
+  const s = Math.floor(frames / CUE_FRAMES_PER_SEC) % 60;
+  const f = frames % CUE_FRAMES_PER_SEC;
+  return `${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}:${String(f).padStart(2, '0')}`;
+}
+
+/**
+ * @param {string} value - mm:ss:ff
+ * @param {string} where - Location for the error message
+ * @returns {number} - Seconds
+ * @throws {ConfigError}
+ */
+function parseCueTime(value, where) {
+  const match = value.match(/^(\d+):(\d{1,2}):(\d{1,2})$/);
+  if (!match || Number(match[2]) > 59 || Number(match[3]) >= CUE_FRAMES_PER_SEC) {
+    throw new ConfigError(`${where}: invalid CUE time "${value}" (expected mm:ss:ff)`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]) + Number(match[3]) / CUE_FRAMES_PER_SEC;
+}
+
+/**
+ * @param {string} value
+ * @returns {string} - Double-quoted CUE string
+ */
+function quote(value) {
+  return `"${String(value).replace(/"/g, "'")}"`;
+}
@@ -1,6 +1,20 @@
-import axios from 'axios';
 import fs from 'fs';
 import path from 'path';
+import { createLogger } from './logger.js';
+import { emitProgress } from './progress.js';
+import { createHttpClient } from './http.js';
+import { createTransferTracker, formatRate } from './transfer.js';
+import { resolveEndpoints } from './endpoints.js';
+import { NetworkError, ChecksumMismatchError, OfflineError } from './errors.js';
+import { createChecksums, hashFile, expectedChecksums, compareChecksums } from './checksum.js';
+
+const log = createLogger('download');
+const metadataLog = createLogger('metadata');
+
+const PROGRESS_INTERVAL_MS = 250;
+
+// A file failing its checksum is downloaded again once before giving up
+const MAX_CHECKSUM_ATTEMPTS = 2;
 
 /**
  * Encode URL path preserving slashes
@@ -14,59 +28,340 @@ function encodePathPreservingSlashes(str) {
 /**
  * Download files from Archive.org item
  *
- * URL format: https://archive.org/download/<identifier>/<filename>
+ * URL format: <download endpoint>/<identifier>/<filename>
+ * (https://archive.org/download/... unless configured, see lib/endpoints.js)
  * Filenames with spaces are properly encoded
  *
+ * Each file is written to raw/<filename>.part and renamed once its size
+ * matches the metadata `size`. A .part left by an interrupted run is resumed
+ * with an HTTP Range request; files already complete are not fetched again.
+ * Interrupted or failed transfers are retried by the HTTP client (lib/http.js),
+ * each retry resuming the .part.
+ *
+ * Up to `concurrency` files are downloaded in parallel; progress is shown
+ * live on a TTY and as periodic lines otherwise (lib/transfer.js), and the
+ * measured throughput is returned.
+ *
+ * Every file is hashed while it streams (md5, sha1, crc32) and compared with
+ * the checksums of the metadata files list; a mismatching file is deleted
+ * and downloaded again.
+ *
+ * With a download cache (lib/cache.js), files are first looked up by sha1
+ * and linked or copied from it, then checked like a download; verified
+ * downloads are added to the cache. Offline, a file neither on disk nor
+ * restored intact from the cache fails instead of being downloaded.
+ *
  * @param {string} identifier - Archive.org identifier
  * @param {Array} files - Array of file objects from metadata
  * @param {string} outDir - Output directory (e.g., "./out")
  * @param {object} metadata - Full metadata to save
- * @returns {Promise<Array>} - Array of downloaded file paths
+ * @param {object} options - { downloadUrl?: string, http?: client from lib/http.js, concurrency?: number, cache?: cache from lib/cache.js, offline?: boolean }
+ * @returns {Promise<object>} - { files: [path], verification: [{ file, status, checked, attempts, md5, sha1, crc32, cached? }], throughput, cache: { dir, hits, stored } | null }
+ * @throws {ItemNotFoundError|ItemRestrictedError|RateLimitedError|NetworkError|ChecksumMismatchError|OfflineError}
  */
-export async function downloadItemFiles(identifier, files, outDir, metadata) {
+export async function downloadItemFiles(identifier, files, outDir, metadata, { downloadUrl = null, http = null, concurrency = 1, cache = null, offline = false } = {}) {
+  const baseUrl = downloadUrl || resolveEndpoints().download;
+  const client = http || createHttpClient();
   const itemDir = path.join(outDir, identifier);
   const rawDir = path.join(itemDir, 'raw');
 
   // Create directories
   fs.mkdirSync(rawDir, { recursive: true });
 
-  // Save metadata
+  // Save metadata (unless getMetadata already cached it: rewriting would reset the cache age)
   const metadataPath = path.join(itemDir, 'metadata.json');
-  fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
-  console.log(`[metadata] Saved to ${metadataPath}`);
+  if (!fs.existsSync(metadataPath)) {
+    fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
+    metadataLog.info(`Saved to ${metadataPath}`);
+  }
 
-  const downloadedFiles = [];
+  const tracker = createTransferTracker(identifier, files);
+  const poolSize = Math.max(1, Math.min(concurrency, files.length));
+  const results = new Array(files.length);
+  const cacheUse = { hits: [], stored: [] };
+  let next = 0;
+  let failure = null;
 
-  for (const file of files) {
+  /**
+   * Add a verified file to the cache
+   * @param {object} file
+   * @param {string} dest
+   */
+  function cacheFile(file, dest) {
+    if (cache?.store(file, dest, { identifier })) {
+      cacheUse.stored.push(file.name);
+    }
+  }
+
+  /**
+   * Download (or check) one file
+   * @param {object} file - Metadata file object
+   * @returns {Promise<object>} - { dest, verification }
+   */
+  async function fetchFile(file) {
     const filename = file.name;
     const encodedFilename = encodePathPreservingSlashes(filename);
-    const url = `https://archive.org/download/${identifier}/${encodedFilename}`;
+    const url = `${baseUrl}/${identifier}/${encodedFilename}`;
     const dest = path.join(rawDir, filename);
+    const expectedSize = Number(file.size) || null;
+    const expected = expectedChecksums(file);
 
-    console.log(`[download] ${identifier} ${filename} -> ${dest}`);
+    if (isComplete(dest, expectedSize)) {
+      const actual = (await hashFile(dest)).digest();
+      const check = compareChecksums(expected, actual);
+      if (check.status !== 'mismatch') {
+        const size = fs.statSync(dest).size;
+        tracker.finish(filename, size);
+        log.info(`✓ ${filename} already downloaded (${formatBytes(size)})`, { file: filename, skipped: true });
+        if (check.status === 'ok') {
+          cacheFile(file, dest);
+        }
+        return { dest, verification: { file: filename, ...describeCheck(check, actual), attempts: 0 } };
+      }
+      log.warn(`⚠ ${filename} on disk fails its ${check.mismatched.join('/')} check, downloading again`, { file: filename });
+      fs.unlinkSync(dest);
+    }
 
-    try {
-      const response = await axios.get(url, {
-        responseType: 'stream'
-      });
+    const method = cache?.restore(file, dest);
+    if (method) {
+      const actual = (await hashFile(dest)).digest();
+      const check = compareChecksums(expected, actual);
+      if (check.status === 'ok' && isComplete(dest, expectedSize)) {
+        const size = fs.statSync(dest).size;
+        tracker.finish(filename, size);
+        cacheUse.hits.push(filename);
+        log.info(`✓ ${filename} from cache (${formatBytes(size)}, ${method})`, { file: filename, bytes: size, cached: method });
+        return { dest, verification: { file: filename, ...describeCheck(check, actual), attempts: 0, cached: method } };
+      }
+      log.warn(`⚠ cached copy of ${filename} fails its checks, evicting it${offline ? '' : ' and downloading again'}`, { file: filename });
+      cache.evict(file);
+      fs.rmSync(dest, { force: true });
+    }
 
-      const writer = fs.createWriteStream(dest);
-      response.data.pipe(writer);
+    if (offline) {
+      throw new OfflineError(`${filename} is not in the download cache (or its copy failed verification), cannot download offline`, { identifier, file: filename });
+    }
 
-      await new Promise((resolve, reject) => {
-        writer.on('finish', resolve);
-        writer.on('error', reject);
-      });
+    log.info(`${identifier} ${filename} -> ${dest}`, { file: filename, url, dest });
 
-      console.log(`[download] ✓ ${filename} (${formatBytes(file.size)})`);
-      downloadedFiles.push(dest);
+    try {
+      for (let attempt = 1; ; attempt++) {
+        const { size, checksums } = await client.withRetry(
+          () => downloadToPart(client, url, dest, { identifier, filename, expectedSize, tracker }),
+          filename
+        );
+        const check = compareChecksums(expected, checksums);
+
+        if (check.status !== 'mismatch') {
+          tracker.finish(filename, size);
+          const { bytesPerSec } = tracker.summary().files.find(entry => entry.file === filename);
+          log.info(`✓ ${filename} (${formatBytes(size)}, ${formatRate(bytesPerSec)})`, { file: filename, bytes: size, bytesPerSec });
+          log.verbose(`  ${check.status === 'ok' ? `${check.checked.join(', ')} verified` : 'no checksum in metadata'}`, { file: filename, checked: check.checked });
+          if (check.status === 'ok') {
+            cacheFile(file, dest);
+          }
+          return { dest, verification: { file: filename, ...describeCheck(check, checksums), attempts: attempt } };
+        }
+
+        fs.unlinkSync(dest);
+        const mismatch = check.mismatched.map(algorithm => `${algorithm} ${checksums[algorithm]} != ${expected[algorithm]}`).join(', ');
+        if (attempt >= MAX_CHECKSUM_ATTEMPTS) {
+          throw new ChecksumMismatchError(`Checksum mismatch for ${filename} after ${attempt} downloads (${mismatch})`, {
+            identifier,
+            file: filename,
+            url,
+            expected,
+            actual: checksums
+          });
+        }
+        log.warn(`⚠ Checksum mismatch for ${filename} (${mismatch}), downloading again`, { file: filename, mismatched: check.mismatched });
+      }
     } catch (error) {
-      console.error(`[download] ✗ Failed to download ${filename}: ${error.message}`);
+      log.error(`✗ Failed to download ${filename}: ${error.message}`, { file: filename, url, error: error.message });
       throw error;
     }
   }
 
-  return downloadedFiles;
+  // Workers stop taking files after the first failure; in-flight files finish first
+  async function runWorker() {
+    while (next < files.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await fetchFile(files[index]);
+      } catch (error) {
+        failure ??= error;
+      }
+    }
+  }
+
+  try {
+    await Promise.all(Array.from({ length: poolSize }, () => runWorker()));
+  } finally {
+    tracker.stop();
+  }
+  if (failure) {
+    throw failure;
+  }
+
+  const throughput = { ...tracker.summary(), concurrency: poolSize };
+  if (throughput.bytes > 0) {
+    log.info(`${formatBytes(throughput.bytes)} in ${(throughput.durationMs / 1000).toFixed(1)}s (${formatRate(throughput.bytesPerSec)}, ${poolSize} parallel)`, {
+      bytes: throughput.bytes,
+      durationMs: throughput.durationMs,
+      bytesPerSec: throughput.bytesPerSec
+    });
+  }
+
+  return {
+    files: results.map(result => result.dest),
+    verification: results.map(result => result.verification),
+    throughput,
+    cache: cache ? { dir: cache.dir, ...cacheUse } : null
+  };
+}
+
+/**
+ * Verification entry as recorded in state.json and report.json
+ * @param {object} check - From compareChecksums
+ * @param {object} actual - Computed checksums
+ * @returns {object} - { status, checked, md5, sha1, crc32 }
+ */
+function describeCheck(check, actual) {
+  return { status: check.status, checked: check.checked, md5: actual.md5, sha1: actual.sha1, crc32: actual.crc32 };
+}
+
+/**
+ * Whether a downloaded file is complete
+ *
+ * Without an expected size, an existing file counts as complete: only
+ * finished downloads are renamed from .part.
+ *
+ * @param {string} dest - Final path
+ * @param {number|null} expectedSize - Size from the metadata files list
+ * @returns {boolean}
+ */
+function isComplete(dest, expectedSize) {
+  if (!fs.existsSync(dest)) {
+    return false;
+  }
+  return expectedSize === null || fs.statSync(dest).size === expectedSize;
+}
+
+/**
+ * Download one file through <dest>.part, resuming it when present
+ *
+ * A final file of the wrong size (written before .part files existed) is
+ * resumed when shorter and discarded when longer.
+ *
+ * @param {object} http - Client from lib/http.js (single attempt: the caller retries)
+ * @param {string} url - File URL
+ * @param {string} dest - Final path
+ * @param {object} options - { identifier, filename, expectedSize, tracker? }
+ * @returns {Promise<object>} - { size, checksums } of the complete file
+ * @throws {NetworkError} - Transfer interrupted or size mismatch (the .part is kept when shorter)
+ */
+async function downloadToPart(http, url, dest, { identifier, filename, expectedSize, tracker = null }) {
+  const partPath = `${dest}.part`;
+  const details = { identifier, file: filename, url };
+
+  if (fs.existsSync(dest)) {
+    const { size, nlink } = fs.statSync(dest);
+    // A hardlink shares its data with the download cache: never append to it
+    if (expectedSize !== null && size < expectedSize && nlink === 1) {
+      log.warn(`⚠ ${filename} is truncated (${formatBytes(size)} of ${formatBytes(expectedSize)}), resuming`, { file: filename, bytes: size, expectedBytes: expectedSize });
+      fs.renameSync(dest, partPath);
+    } else {
+      log.warn(`⚠ ${filename} does not match the expected size, downloading again`, { file: filename, bytes: size, expectedBytes: expectedSize });
+      fs.unlinkSync(dest);
+    }
+  }
+
+  let offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+  if (expectedSize !== null && offset > expectedSize) {
+    fs.unlinkSync(partPath);
+    offset = 0;
+  }
+
+  const response = offset > 0 && offset === expectedSize ? null : await http.send(url, {
+    what: `${identifier}/${filename}`,
+    details: { identifier, file: filename },
+    responseType: 'stream',
+    headers: offset > 0 ? { Range: `bytes=${offset}-` } : {}
+  }).catch(error => {
+    // 416: the .part already holds the whole file
+    if (offset > 0 && error.status === 416) {
+      return null;
+    }
+    throw error;
+  });
+
+  const checksums = createChecksums();
+  if (response) {
+    const rangeStart = Number(/^bytes (\d+)-/.exec(response.headers['content-range'] || '')?.[1]);
+    const resumed = offset > 0 && response.status === 206 && rangeStart === offset;
+    if (resumed) {
+      log.info(`Resuming ${filename} at ${formatBytes(offset)}`, { file: filename, offset });
+    } else if (offset > 0) {
+      if (response.status !== 200) {
+        response.data.destroy();
+        throw new NetworkError(`Unexpected range response for ${filename} (HTTP ${response.status})`, details);
+      }
+      log.warn(`⚠ Server ignored the range request for ${filename}, restarting`, { file: filename });
+      offset = 0;
+    }
+
+    if (resumed) {
+      await hashFile(partPath, checksums);
+    }
+
+    const totalBytes = Number(/\/(\d+)$/.exec(response.headers['content-range'] || '')?.[1])
+      || (Number(response.headers['content-length']) ? offset + Number(response.headers['content-length']) : null)
+      || expectedSize;
+    let bytes = offset;
+    let lastEmit = 0;
+    tracker?.start(filename, offset);
+    response.data.on('data', chunk => {
+      bytes += chunk.length;
+      checksums.update(chunk);
+      tracker?.update(filename, bytes, totalBytes);
+      if (Date.now() - lastEmit >= PROGRESS_INTERVAL_MS) {
+        lastEmit = Date.now();
+        emitProgress('download:progress', { file: filename, bytes, totalBytes, done: false });
+      }
+    });
+
+    const writer = fs.createWriteStream(partPath, { flags: resumed ? 'a' : 'w' });
+    response.data.pipe(writer);
+
+    // An interrupted transfer rejects once the .part is flushed, so a retry resumes at its real size
+    await new Promise((resolve, reject) => {
+      let interrupted = null;
+      writer.on('finish', () => (interrupted ? reject(interrupted) : resolve()));
+      writer.on('error', reject);
+      response.data.on('error', error => {
+        interrupted = new NetworkError(`Transfer of ${filename} interrupted: ${error.message}`, { ...details, cause: error });
+        writer.end();
+      });
+    });
+    emitProgress('download:progress', { file: filename, bytes, totalBytes, done: true });
+  } else {
+    await hashFile(partPath, checksums);
+  }
+
+  const size = fs.statSync(partPath).size;
+  if (expectedSize !== null && size !== expectedSize) {
+    // Longer than expected, or refused as already complete: start over next time
+    if (size > expectedSize || !response) {
+      fs.unlinkSync(partPath);
+    }
+    throw new NetworkError(
+      `Incomplete download of ${filename}: ${size} of ${expectedSize} bytes${size < expectedSize && response ? ' (will resume on next run)' : ''}`,
+      { ...details, bytes: size, expectedBytes: expectedSize }
+    );
+  }
+
+  fs.renameSync(partPath, dest);
+  return { size, checksums: checksums.digest() };
 }
 
 /**
@@ -0,0 +1,43 @@
+/**
+ * Archive.org endpoints
+ *
+ * Everything derives from one base URL (archiveUrl option > ARCHIVE_BASE_URL
+ * env > https://archive.org). Metadata and download endpoints can also be
+ * overridden on their own (metadataUrl / ARCHIVE_METADATA_URL,
+ * downloadUrl / ARCHIVE_DOWNLOAD_URL), e.g. to point at src/dev/mock-archive.js.
+ */
+
+const DEFAULT_BASE_URL = 'https://archive.org';
+
+/**
+ * Resolve the Archive.org base URL (option > ARCHIVE_BASE_URL env > archive.org)
+ * @param {string|null} baseUrl - Explicit base URL
+ * @returns {string}
+ */
+export function resolveBaseUrl(baseUrl = null) {
+  return trimSlashes(baseUrl || process.env.ARCHIVE_BASE_URL || DEFAULT_BASE_URL);
+}
+
+/**
+ * Resolve every endpoint used by the pipeline
+ * @param {object} options - { archiveUrl?, metadataUrl?, downloadUrl? }
+ * @returns {object} - { base, metadata, download, scrape } (no trailing slashes)
+ */
+export function resolveEndpoints({ archiveUrl = null, metadataUrl = null, downloadUrl = null } = {}) {
+  const base = resolveBaseUrl(archiveUrl);
+
+  return {
+    base,
+    metadata: trimSlashes(metadataUrl || process.env.ARCHIVE_METADATA_URL || `${base}/metadata`),
+    download: trimSlashes(downloadUrl || process.env.ARCHIVE_DOWNLOAD_URL || `${base}/download`),
+    scrape: `${base}/services/search/v1/scrape`
+  };
+}
+
+/**
+ * @param {string} url
+ * @returns {string}
+ */
+function trimSlashes(url) {
+  return url.replace(/\/+$/, '');
+}
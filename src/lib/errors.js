@@ -0,0 +1,255 @@
+/**
+ * Typed errors thrown by the processor
+ *
+ * Library callers can branch on `instanceof` or on `error.code`;
+ * the CLI maps them to messages and exit codes (see ERROR_TAXONOMY).
+ */
+
+/**
+ * Base class for every processor error
+ */
+export class NivenError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} options - { code?: string, cause?: Error, ...details }
+   */
+  constructor(message, { code = 'NIVEN_ERROR', cause, ...details } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+/**
+ * Invalid options, config file or preset
+ */
+export class ConfigError extends NivenError {
+  constructor(message, details = {}) {
+    super(message, { code: 'CONFIG_ERROR', ...details });
+  }
+}
+
+/**
+ * A pipeline stage failed for an item
+ */
+export class StageError extends NivenError {
+  /**
+   * @param {string} stage - metadata|download|split|naming|cleanup
+   * @param {string} identifier - Item identifier
+   * @param {Error} cause - Underlying error
+   */
+  constructor(stage, identifier, cause) {
+    super(cause?.message || `${stage} failed`, { code: 'STAGE_FAILED', cause, stage, identifier });
+  }
+}
+
+/**
+ * The item run was cancelled through its AbortSignal
+ */
+export class CancelledError extends NivenError {
+  /**
+   * @param {string} identifier - Item identifier
+   */
+  constructor(identifier) {
+    super(`Processing of ${identifier} was cancelled`, { code: 'CANCELLED', identifier });
+  }
+}
+
+/**
+ * Offline mode needs something that is only available online
+ */
+export class OfflineError extends NivenError {
+  constructor(message, details = {}) {
+    super(message, { code: 'OFFLINE', ...details });
+  }
+}
+
+/**
+ * The identifier (or one of its files) does not exist on Archive.org
+ */
+export class ItemNotFoundError extends NivenError {
+  constructor(message, details = {}) {
+    super(message, { code: 'NOT_FOUND', ...details });
+  }
+}
+
+/**
+ * The item is dark (withdrawn) or access-restricted
+ */
+export class ItemRestrictedError extends NivenError {
+  /**
+   * @param {string} message
+   * @param {object} details - { reason: 'dark'|'restricted', ... }
+   */
+  constructor(message, details = {}) {
+    super(message, { code: 'RESTRICTED', ...details });
+  }
+}
+
+/**
+ * Archive.org answered 429 Too Many Requests
+ */
+export class RateLimitedError extends NivenError {
+  /**
+   * @param {string} message
+   * @param {object} details - { retryAfter: seconds|null, ... }
+   */
+  constructor(message, details = {}) {
+    super(message, { code: 'RATE_LIMITED', ...details });
+  }
+}
+
+/**
+ * Connection failure, timeout, server error or truncated transfer
+ */
+export class NetworkError extends NivenError {
+  constructor(message, details = {}) {
+    super(message, { code: 'NETWORK', ...details });
+  }
+}
+
+/**
+ * The metadata response is not the expected item JSON
+ */
+export class MalformedMetadataError extends NivenError {
+  constructor(message, details = {}) {
+    super(message, { code: 'MALFORMED_METADATA', ...details });
+  }
+}
+
+/**
+ * The item has no usable audio (no audio files, or nothing ffmpeg can decode)
+ */
+export class NoAudioError extends NivenError {
+  constructor(message, details = {}) {
+    super(message, { code: 'NO_AUDIO', ...details });
+  }
+}
+
+/**
+ * Tape sides are missing or ambiguous (see lib/sides.js)
+ */
+export class MissingSidesError extends NivenError {
+  /**
+   * @param {string} message
+   * @param {object} details - { problems: Array<string>, ... }
+   */
+  constructor(message, details = {}) {
+    super(message, { code: 'MISSING_SIDES', ...details });
+  }
+}
+
+/**
+ * A downloaded file does not match the checksums of the metadata files list
+ */
+export class ChecksumMismatchError extends NivenError {
+  /**
+   * @param {string} message
+   * @param {object} details - { file, expected, actual, ... }
+   */
+  constructor(message, details = {}) {
+    super(message, { code: 'CHECKSUM_MISMATCH', ...details });
+  }
+}
+
+/**
+ * ffmpeg or ffprobe failed, timed out or could not be started
+ */
+export class FfmpegError extends NivenError {
+  /**
+   * @param {string} message
+   * @param {object} details - { tool, args, exitCode, signal, timedOut, stderr (last lines), ... }
+   */
+  constructor(message, details = {}) {
+    super(message, { code: 'FFMPEG', ...details });
+  }
+}
+
+/**
+ * Category, retryability and CLI exit code of each error code
+ *
+ * Errors without a typed class (wrapped in StageError) are categorized by
+ * the stage that failed.
+ */
+export const ERROR_TAXONOMY = {
+  CONFIG_ERROR: { category: 'config', retryable: false, exitCode: 2 },
+  NOT_FOUND: { category: 'not-found', retryable: false, exitCode: 3 },
+  RESTRICTED: { category: 'restricted', retryable: false, exitCode: 4 },
+  RATE_LIMITED: { category: 'rate-limited', retryable: true, exitCode: 5 },
+  NETWORK: { category: 'network', retryable: true, exitCode: 6 },
+  MALFORMED_METADATA: { category: 'malformed-metadata', retryable: true, exitCode: 7 },
+  NO_AUDIO: { category: 'no-audio', retryable: false, exitCode: 8 },
+  MISSING_SIDES: { category: 'missing-sides', retryable: false, exitCode: 9 },
+  OFFLINE: { category: 'offline', retryable: true, exitCode: 10 },
+  CHECKSUM_MISMATCH: { category: 'checksum', retryable: true, exitCode: 11 },
+  FFMPEG: { category: 'ffmpeg', retryable: true, exitCode: 12 },
+  CANCELLED: { category: 'cancelled', retryable: true, exitCode: 130 }
+};
+
+const STAGE_CATEGORIES = { metadata: 'metadata', download: 'download', split: 'ffmpeg' };
+
+/**
+ * Describe an error for reports and exit codes
+ * @param {Error} error
+ * @returns {object} - { code, category, retryable, exitCode }
+ */
+export function describeError(error) {
+  const code = error?.code || null;
+  const known = ERROR_TAXONOMY[code];
+  if (known) {
+    return { code, ...known };
+  }
+
+  return {
+    code: code || 'ERROR',
+    category: STAGE_CATEGORIES[error?.stage] || 'other',
+    retryable: true,
+    exitCode: 1
+  };
+}
+
+/**
+ * Retry-After header in seconds
+ * @param {string|undefined} value - Delay in seconds or an HTTP date
+ * @returns {number|null}
+ */
+function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Convert an HTTP client (axios) error into a typed error
+ * @param {Error} error - axios error
+ * @param {string} what - What was requested, e.g. "metadata for X" or "file.mp3"
+ * @param {object} details - Extra fields (identifier, file, url)
+ * @returns {NivenError}
+ */
+export function fromHttpError(error, what, details = {}) {
+  const status = error.response?.status || null;
+  const cause = error;
+
+  if (status === 404) {
+    return new ItemNotFoundError(`Not found: ${what} (HTTP 404)`, { status, cause, ...details });
+  }
+  if (status === 401 || status === 403) {
+    return new ItemRestrictedError(`Access denied: ${what} (HTTP ${status})`, { reason: 'restricted', status, cause, ...details });
+  }
+  if (status === 429) {
+    const retryAfter = parseRetryAfter(error.response.headers?.['retry-after']);
+    return new RateLimitedError(`Rate limited while fetching ${what}${retryAfter ? ` (retry after ${retryAfter}s)` : ''}`, {
+      status,
+      retryAfter,
+      cause,
+      ...details
+    });
+  }
+  return new NetworkError(`Failed to fetch ${what}: ${error.message}`, { status, cause, ...details });
+}
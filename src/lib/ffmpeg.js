@@ -0,0 +1,182 @@
+import { spawn } from 'child_process';
+import path from 'path';
+import { createLogger, canShowLiveStatus, setLiveStatus } from './logger.js';
+import { emitProgress, getAbortSignal, throwIfCancelled } from './progress.js';
+import { FfmpegError } from './errors.js';
+
+/**
+ * ffmpeg/ffprobe runner
+ *
+ * Every ffmpeg and ffprobe call goes through runFfmpeg(): the binary is
+ * spawned with an argument array (no shell, so quotes, $ or backticks in
+ * Archive.org filenames are passed through untouched) and stderr is parsed
+ * line by line as it arrives instead of being buffered:
+ *
+ *   - onLine receives every stderr line (silencedetect output...);
+ *   - "time=" progress is emitted as ffmpeg:progress events, and shown as a
+ *     live line on a TTY when the input duration is known;
+ *   - only the last STDERR_TAIL_LINES are kept, for errors.
+ *
+ * The item's AbortSignal (lib/progress.js) kills the process, as does
+ * timeoutSec. Failures throw FfmpegError with the exit code and the tail
+ * of stderr.
+ */
+
+const log = createLogger('ffmpeg');
+
+export const DEFAULT_FFMPEG_TIMEOUT_SEC = 1800;
+
+const STDERR_TAIL_LINES = 20;
+const PROGRESS_INTERVAL_MS = 1000;
+const KILL_GRACE_MS = 2000;
+
+/**
+ * Run ffmpeg (or ffprobe) and wait for it to exit
+ * @param {Array<string>} args - Arguments (without the binary)
+ * @param {object} options - { tool?: 'ffmpeg'|'ffprobe', timeoutSec?: number (0 = none), durationSec?: number, label?: string, onLine?: Function }
+ * @returns {Promise<object>} - { stdout, stderr (last lines), durationMs }
+ * @throws {FfmpegError|CancelledError}
+ */
+export function runFfmpeg(args, { tool = 'ffmpeg', timeoutSec = DEFAULT_FFMPEG_TIMEOUT_SEC, durationSec = null, label = null, onLine = null } = {}) {
+  throwIfCancelled();
+  const signal = getAbortSignal();
+  const name = label || tool;
+  const liveKey = Symbol(name);
+  const live = tool === 'ffmpeg' && durationSec > 0 && canShowLiveStatus();
+  const startedAt = Date.now();
+
+  log.debug(formatCommand(tool, args));
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(tool, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const tail = [];
+    const stdout = [];
+    let pending = '';
+    let lastProgress = 0;
+    let timedOut = false;
+    let killTimer = null;
+
+    const kill = () => {
+      child.kill('SIGTERM');
+      killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+      killTimer.unref();
+    };
+    const onAbort = () => kill();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const timer = timeoutSec > 0 ? setTimeout(() => {
+      timedOut = true;
+      kill();
+    }, timeoutSec * 1000) : null;
+
+    const handleLine = line => {
+      if (!line.trim()) {
+        return;
+      }
+      tail.push(line);
+      if (tail.length > STDERR_TAIL_LINES) {
+        tail.shift();
+      }
+      onLine?.(line);
+
+      const time = /time=\s*(-?\d+):(\d{2}):(\d{2}(?:\.\d+)?)/.exec(line);
+      if (time && Date.now() - lastProgress >= PROGRESS_INTERVAL_MS) {
+        lastProgress = Date.now();
+        const timeSec = Math.max(0, Number(time[1]) * 3600 + Number(time[2]) * 60 + Number(time[3]));
+        const percent = durationSec > 0 ? Math.min(100, Math.floor(timeSec / durationSec * 100)) : null;
+        emitProgress('ffmpeg:progress', { label: name, timeSec, durationSec, percent });
+        if (live) {
+          setLiveStatus(liveKey, [`  ${name}  ${String(percent).padStart(3)}%  ${formatTime(timeSec)}/${formatTime(durationSec)}`]);
+        }
+      }
+    };
+
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', chunk => {
+      // Progress lines end with \r, everything else with \n
+      const lines = (pending + chunk).split(/\r\n|\r|\n/);
+      pending = lines.pop();
+      lines.forEach(handleLine);
+    });
+
+    const finish = () => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      signal?.removeEventListener('abort', onAbort);
+      if (live) {
+        setLiveStatus(liveKey, null);
+      }
+    };
+
+    child.on('error', error => {
+      finish();
+      const message = error.code === 'ENOENT'
+        ? `${tool} not found (is ffmpeg installed and on PATH?)`
+        : `${tool} could not be started: ${error.message}`;
+      reject(new FfmpegError(message, { tool, args, exitCode: null, signal: null, timedOut: false, stderr: '', cause: error }));
+    });
+
+    child.on('close', (exitCode, exitSignal) => {
+      finish();
+      if (pending) {
+        handleLine(pending);
+      }
+
+      try {
+        throwIfCancelled();
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      const stderr = tail.join('\n');
+      if (timedOut) {
+        reject(new FfmpegError(`${name} timed out after ${timeoutSec}s`, { tool, args, exitCode, signal: exitSignal, timedOut: true, stderr }));
+      } else if (exitCode !== 0) {
+        const reason = exitSignal ? `killed by ${exitSignal}` : `exited with code ${exitCode}`;
+        const lastLine = tail.at(-1);
+        reject(new FfmpegError(`${name} ${reason}${lastLine ? `: ${lastLine.trim()}` : ''}`, { tool, args, exitCode, signal: exitSignal, timedOut: false, stderr }));
+      } else {
+        resolve({ stdout: Buffer.concat(stdout).toString('utf8'), stderr, durationMs: Date.now() - startedAt });
+      }
+    });
+  });
+}
+
+/**
+ * Duration of a media file, from ffprobe
+ * @param {string} filePath
+ * @param {object} options - { timeoutSec?: number }
+ * @returns {Promise<number>} - Seconds (NaN when ffprobe reports none)
+ * @throws {FfmpegError|CancelledError}
+ */
+export async function probeDuration(filePath, { timeoutSec } = {}) {
+  const { stdout } = await runFfmpeg(
+    ['-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', filePath],
+    { tool: 'ffprobe', timeoutSec, label: `ffprobe ${path.basename(filePath)}` }
+  );
+  return parseFloat(stdout.trim());
+}
+
+/**
+ * Shell-like rendering of a command, for debug logs only
+ * @param {string} tool
+ * @param {Array<string>} args
+ * @returns {string}
+ */
+export function formatCommand(tool, args) {
+  return [tool, ...args].map(arg => /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`).join(' ');
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} - h:mm:ss or m:ss
+ */
+function formatTime(seconds) {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor(total % 3600 / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
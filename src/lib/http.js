@@ -0,0 +1,240 @@
+import axios from 'axios';
+import { createLogger } from './logger.js';
+import { getAbortSignal } from './progress.js';
+import { NivenError, fromHttpError } from './errors.js';
+
+/**
+ * Shared HTTP client for every Archive.org request
+ *
+ * Metadata, downloads and collection listings go through createHttpClient():
+ *
+ *   - transient failures (no response, timeouts, 408/5xx) are retried with
+ *     exponential backoff and jitter;
+ *   - 429 waits for Retry-After (seconds or HTTP date) when given;
+ *   - a request gets connectTimeoutSec to answer with headers, then its
+ *     socket may stay idle for at most readTimeoutSec (body included);
+ *     0 disables either timeout;
+ *   - requestsPerSecond spaces out requests across every client of the
+ *     process that uses the same limit (0 = unlimited).
+ *
+ * Each client counts its requests, retries and waits in client.stats,
+ * which the pipeline copies into report.json.
+ */
+
+const log = createLogger('http');
+
+export const DEFAULT_HTTP_OPTIONS = {
+  retries: 4,
+  connectTimeoutSec: 15,
+  readTimeoutSec: 60,
+  requestsPerSecond: 0
+};
+
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+
+// Longer Retry-After values are not waited for: the item fails as rate-limited
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+
+// One limiter per requests-per-second value, shared by all clients of the process
+const limiters = new Map();
+
+/**
+ * Create an HTTP client
+ * @param {object} options - { retries, connectTimeoutSec, readTimeoutSec, requestsPerSecond } (see DEFAULT_HTTP_OPTIONS)
+ * @returns {object} - { get, send, withRetry, stats }
+ */
+export function createHttpClient(options = {}) {
+  const { retries, connectTimeoutSec, readTimeoutSec, requestsPerSecond } = { ...DEFAULT_HTTP_OPTIONS, ...stripUnset(options) };
+  const limiter = getRateLimiter(requestsPerSecond);
+  const stats = { requests: 0, retries: 0, rateLimited: 0, timeouts: 0, retryWaitMs: 0, throttleWaitMs: 0 };
+
+  /**
+   * Send one request (no retry), with rate limit and timeouts
+   * @param {string} url
+   * @param {object} config - axios config plus { what, details } for errors and logs
+   * @returns {Promise<object>} - axios response
+   * @throws {ItemNotFoundError|ItemRestrictedError|RateLimitedError|NetworkError}
+   */
+  async function send(url, { what = url, details = {}, ...config } = {}) {
+    const signal = getAbortSignal();
+    stats.throttleWaitMs += await limiter.acquire(signal);
+    stats.requests++;
+
+    // The connect timer only runs until the response headers arrive
+    const connect = new AbortController();
+    const timer = connectTimeoutSec > 0 ? setTimeout(() => connect.abort(), connectTimeoutSec * 1000) : null;
+
+    try {
+      return await axios.get(url, {
+        ...config,
+        // axios: 0 = no timeout
+        timeout: readTimeoutSec > 0 ? readTimeoutSec * 1000 : 0,
+        signal: signal ? AbortSignal.any([signal, connect.signal]) : connect.signal
+      });
+    } catch (error) {
+      if (connect.signal.aborted && !signal?.aborted) {
+        error.message = `no response after ${connectTimeoutSec}s`;
+        stats.timeouts++;
+      } else if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        stats.timeouts++;
+      }
+      throw fromHttpError(error, what, { url, ...details });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Run fn, retrying retryable typed errors with backoff
+   * @param {Function} fn - async (attempt) => result
+   * @param {string} what - What is requested (log payload)
+   * @returns {Promise<*>}
+   */
+  async function withRetry(fn, what) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn(attempt);
+      } catch (error) {
+        const signal = getAbortSignal();
+        if (signal?.aborted || !isRetryable(error) || attempt >= retries) {
+          throw error;
+        }
+
+        if (error.code === 'RATE_LIMITED') {
+          stats.rateLimited++;
+        }
+
+        const retryAfterMs = error.retryAfter ? error.retryAfter * 1000 : null;
+        if (retryAfterMs !== null && retryAfterMs > MAX_RETRY_AFTER_MS) {
+          throw error;
+        }
+        const delay = retryAfterMs ?? backoffDelay(attempt);
+
+        stats.retries++;
+        stats.retryWaitMs += delay;
+        log.warn(`⚠ ${error.message}, retry ${attempt + 1}/${retries} in ${(delay / 1000).toFixed(1)}s`, {
+          request: what,
+          attempt: attempt + 1,
+          retries,
+          delayMs: delay,
+          errorCode: error.code
+        });
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * GET with retries
+   * @param {string} url
+   * @param {object} config - axios config plus { what, details } for errors and logs
+   * @returns {Promise<object>} - axios response
+   * @throws {ItemNotFoundError|ItemRestrictedError|RateLimitedError|NetworkError}
+   */
+  function get(url, config = {}) {
+    return withRetry(() => send(url, config), config.what || url);
+  }
+
+  return { get, send, withRetry, stats };
+}
+
+/**
+ * Whether an error is worth retrying
+ * @param {Error} error - Typed error from fromHttpError (or the download loop)
+ * @returns {boolean}
+ */
+export function isRetryable(error) {
+  if (!(error instanceof NivenError)) {
+    return false;
+  }
+  if (error.code === 'RATE_LIMITED') {
+    return true;
+  }
+  return error.code === 'NETWORK' && (error.status === null || error.status === undefined || RETRYABLE_STATUS.includes(error.status));
+}
+
+/**
+ * Exponential backoff with jitter (between half and all of the ceiling)
+ * @param {number} attempt - 0 for the first retry
+ * @returns {number} - Delay in ms
+ */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Resolve after ms, or reject when the signal aborts
+ * @param {number} ms
+ * @param {AbortSignal|undefined} signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Process-wide limiter for a requests-per-second value
+ * @param {number} requestsPerSecond - 0 disables limiting
+ * @returns {object} - { acquire(signal) → Promise<waitedMs> }
+ */
+function getRateLimiter(requestsPerSecond) {
+  if (!requestsPerSecond) {
+    return { acquire: async () => 0 };
+  }
+  if (!limiters.has(requestsPerSecond)) {
+    const interval = 1000 / requestsPerSecond;
+    let nextSlot = 0;
+    limiters.set(requestsPerSecond, {
+      async acquire(signal) {
+        const now = Date.now();
+        const slot = Math.max(now, nextSlot);
+        nextSlot = slot + interval;
+        if (slot > now) {
+          await sleep(slot - now, signal);
+        }
+        return slot - now;
+      }
+    });
+  }
+  return limiters.get(requestsPerSecond);
+}
+
+/**
+ * @param {object} options
+ * @returns {object} - options without undefined/null values
+ */
+function stripUnset(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * HTTP client options from resolved processor options
+ * @param {object} options - Resolved options (httpRetries, connectTimeoutSec, readTimeoutSec, requestsPerSecond)
+ * @returns {object} - createHttpClient options
+ */
+export function getHttpOptions(options) {
+  return {
+    retries: options.httpRetries,
+    connectTimeoutSec: options.connectTimeoutSec,
+    readTimeoutSec: options.readTimeoutSec,
+    requestsPerSecond: options.requestsPerSecond
+  };
+}
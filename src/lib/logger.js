@@ -0,0 +1,239 @@
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { ConfigError } from './errors.js';
+
+/**
+ * Shared logger with levels, text/JSON output and per-item log files
+ *
+ * Text mode keeps the familiar "[stage] message" lines.
+ * JSON mode writes one event per line to stdout:
+ *   {"time","level","stage","identifier","message","payload"}
+ *
+ * The current item (identifier, log file) is tracked with AsyncLocalStorage,
+ * so concurrent items in a batch each log under their own identifier.
+ * Library callers can turn console output off per item and receive the
+ * events through onEvent instead.
+ *
+ * On a TTY in text mode, live status lines (download progress) can be kept
+ * below the log output with setLiveStatus(); log lines are printed above them.
+ */
+
+export const LOG_LEVELS = { error: 0, warn: 1, info: 2, verbose: 3, debug: 4 };
+export const LOG_FORMATS = ['text', 'json'];
+
+const loggerSettings = {
+  level: 'info',
+  format: 'text'
+};
+
+const itemContext = new AsyncLocalStorage();
+
+// Live status lines by owner key, and how many are currently on screen
+const liveStatus = { lines: new Map(), drawn: 0 };
+
+/**
+ * Set global log level and format
+ * @param {object} options - { level: error|warn|info|verbose|debug, format: text|json }
+ */
+export function configureLogger({ level, format } = {}) {
+  if (level) {
+    if (LOG_LEVELS[level] === undefined) {
+      throw new ConfigError(`Unknown log level "${level}" (${Object.keys(LOG_LEVELS).join('|')})`);
+    }
+    loggerSettings.level = level;
+  }
+
+  if (format) {
+    if (!LOG_FORMATS.includes(format)) {
+      throw new ConfigError(`Unknown log format "${format}" (${LOG_FORMATS.join('|')})`);
+    }
+    loggerSettings.format = format;
+  }
+}
+
+/**
+ * Current global logger settings
+ * @returns {object} - { level, format }
+ */
+export function getLoggerSettings() {
+  return { ...loggerSettings };
+}
+
+/**
+ * Run fn with an item logging context
+ *
+ * With captureLog, events are buffered until setLogFile() names the file.
+ * With console: false, nothing is printed; onEvent still receives every
+ * event allowed by the log level.
+ *
+ * @param {object} context - { identifier: string, captureLog: boolean, console?: boolean, onEvent?: Function }
+ * @param {Function} fn - async function
+ * @returns {Promise<*>}
+ */
+export function runWithLogContext(context, fn) {
+  return itemContext.run({ ...context, buffer: [], logFile: null }, fn);
+}
+
+/**
+ * Start writing the current item's log to a file, or stop capturing it
+ *
+ * Events logged before the item directory was known are flushed first.
+ *
+ * @param {string|null} filePath - Log file path (appended to), null to disable
+ */
+export function setLogFile(filePath) {
+  const context = itemContext.getStore();
+  if (!context) {
+    return;
+  }
+
+  if (!filePath) {
+    context.captureLog = false;
+    context.buffer = [];
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, context.buffer.join(''));
+  context.buffer = [];
+  context.logFile = filePath;
+}
+
+/**
+ * Whether live status lines would be shown for the current item
+ *
+ * Needs a TTY stdout, text format, at least the info level and console
+ * output enabled for the item.
+ *
+ * @returns {boolean}
+ */
+export function canShowLiveStatus() {
+  return !!process.stdout.isTTY
+    && loggerSettings.format === 'text'
+    && LOG_LEVELS[loggerSettings.level] >= LOG_LEVELS.info
+    && itemContext.getStore()?.console !== false;
+}
+
+/**
+ * Set or remove the live status lines of an owner
+ * @param {string} key - Owner (e.g. the item identifier)
+ * @param {Array<string>|null} lines - Lines to show, null to remove them
+ */
+export function setLiveStatus(key, lines) {
+  if (lines && lines.length > 0) {
+    liveStatus.lines.set(key, lines);
+  } else {
+    liveStatus.lines.delete(key);
+  }
+  clearLiveStatus();
+  drawLiveStatus();
+}
+
+/**
+ * Erase the live status lines from the terminal
+ */
+function clearLiveStatus() {
+  if (liveStatus.drawn > 0) {
+    process.stdout.write(`\x1b[${liveStatus.drawn}A\x1b[0J`);
+    liveStatus.drawn = 0;
+  }
+}
+
+/**
+ * Draw the live status lines, cut to the terminal width
+ */
+function drawLiveStatus() {
+  const lines = [...liveStatus.lines.values()].flat();
+  if (lines.length === 0) {
+    return;
+  }
+  const width = Math.max(20, (process.stdout.columns || 80) - 1);
+  process.stdout.write(lines.map(line => line.length > width ? line.slice(0, width - 1) + '…' : line).join('\n') + '\n');
+  liveStatus.drawn = lines.length;
+}
+
+/**
+ * Create a logger for a stage
+ * @param {string|null} stage - Stage name shown as "[stage]" (null for plain lines)
+ * @returns {object} - { error, warn, info, verbose, debug } (message, payload?)
+ */
+export function createLogger(stage) {
+  const logger = {};
+  for (const level of Object.keys(LOG_LEVELS)) {
+    logger[level] = (message, payload) => emit(level, stage, message, payload);
+  }
+  return logger;
+}
+
+/**
+ * Write one event to the console, the item callback and/or the item log file
+ * @param {string} level
+ * @param {string|null} stage
+ * @param {string} message
+ * @param {object} payload
+ */
+function emit(level, stage, message, payload = null) {
+  const context = itemContext.getStore();
+  const rank = LOG_LEVELS[level];
+  const allowed = rank <= LOG_LEVELS[loggerSettings.level];
+  const toConsole = allowed && context?.console !== false;
+  const toCallback = allowed && typeof context?.onEvent === 'function';
+  const toFile = !!context?.captureLog && rank <= Math.max(LOG_LEVELS[loggerSettings.level], LOG_LEVELS.info);
+
+  if (!toConsole && !toCallback && !toFile) {
+    return;
+  }
+
+  const text = String(message ?? '');
+  const leading = text.match(/^\n*/)[0];
+  const body = text.slice(leading.length);
+  const details = level === 'debug' && payload ? ` ${JSON.stringify(payload)}` : '';
+  const prefixed = (stage && body ? `[${stage}] ${body}` : body) + details;
+
+  const event = {
+    time: new Date().toISOString(),
+    level,
+    stage: stage || null,
+    identifier: context?.identifier || null,
+    message: body.replace(/^[✓✗⚠]\s*/u, '').trim(),
+    payload: payload || {}
+  };
+
+  // Banners and blank lines only make sense in text mode
+  const decorative = !payload && (!event.message || /^[=\-\s]+$/.test(event.message));
+
+  if (toCallback && !decorative) {
+    context.onEvent(event);
+  }
+
+  if (toConsole) {
+    if (loggerSettings.format === 'json') {
+      if (!decorative) {
+        process.stdout.write(JSON.stringify(event) + '\n');
+      }
+    } else {
+      clearLiveStatus();
+      if (level === 'error') {
+        console.error(leading + prefixed);
+      } else if (level === 'warn') {
+        console.warn(leading + prefixed);
+      } else {
+        console.log(leading + prefixed);
+      }
+      drawLiveStatus();
+    }
+  }
+
+  if (toFile && !decorative) {
+    const line = loggerSettings.format === 'json'
+      ? JSON.stringify(event) + '\n'
+      : `${event.time} ${level.toUpperCase().padEnd(7)} ${prefixed}\n`;
+
+    if (context.logFile) {
+      fs.appendFileSync(context.logFile, line);
+    } else {
+      context.buffer.push(line);
+    }
+  }
+}
@@ -1,20 +1,197 @@
-import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+import { getAbortSignal } from './progress.js';
+import { createHttpClient } from './http.js';
+import {
+  OfflineError,
+  ItemNotFoundError,
+  ItemRestrictedError,
+  MalformedMetadataError,
+  NoAudioError,
+  MissingSidesError
+} from './errors.js';
+import { resolveEndpoints } from './endpoints.js';
+import { detectSides, checkSides, describeSides } from './sides.js';
+
+const log = createLogger('metadata');
+const audioLog = createLogger('audio');
+
+export const METADATA_FILE = 'metadata.json';
+
+/**
+ * Which file of each side gets downloaded and split:
+ *   mp3      - the MP3 derivative (default)
+ *   original - the file the MP3 was derived from (source: original)
+ *   flac     - the FLAC in the MP3's derivative family
+ *   best     - lossless original, else FLAC, else MP3
+ */
+export const SOURCE_FORMATS = ['mp3', 'original', 'flac', 'best'];
+
+const LOSSLESS_EXTENSIONS = ['.flac', '.wav', '.aif', '.aiff'];
 
 /**
  * Fetch metadata for an Archive.org item
+ *
+ * With outDir, the item's metadata.json doubles as a cache: a copy younger
+ * than ttlHours is used instead of the network, a fresh fetch rewrites it,
+ * and a stale copy is still used if the fetch fails. Offline mode only
+ * reads the cache, whatever its age.
+ *
  * @param {string} identifier - Archive.org identifier
+ * @param {object} options - Cache options
+ * @param {string} options.outDir - Output root holding metadata.json caches
+ * @param {number} options.ttlHours - Cache lifetime (0 always fetches)
+ * @param {boolean} options.offline - Never use the network
+ * @param {string} options.metadataUrl - Metadata endpoint (default: see lib/endpoints.js)
+ * @param {object} options.http - HTTP client from lib/http.js (default: a new one)
  * @returns {Promise<object>} - Item metadata including files list
+ * @throws {OfflineError} - Offline with no cached metadata
+ * @throws {ItemNotFoundError|ItemRestrictedError|RateLimitedError|NetworkError|MalformedMetadataError}
  */
-export async function getMetadata(identifier) {
-  const url = `https://archive.org/metadata/${identifier}`;
-  console.log(`[metadata] Fetching ${identifier}...`);
+export async function getMetadata(identifier, { outDir = null, ttlHours = 0, offline = false, metadataUrl = null, http = null } = {}) {
+  const cached = outDir ? findMetadataCache(outDir, identifier) : null;
+
+  if (offline) {
+    if (!cached) {
+      throw new OfflineError(`No cached metadata for ${identifier} (run once online first)`);
+    }
+    log.info(`Using cached metadata (offline, ${formatAge(cached.ageMs)} old)`, { path: cached.path });
+    return cached.metadata;
+  }
+
+  if (cached && ttlHours > 0 && cached.ageMs < ttlHours * 3600 * 1000) {
+    log.info(`Using cached metadata (${formatAge(cached.ageMs)} old)`, { path: cached.path });
+    return cached.metadata;
+  }
+
+  const url = `${metadataUrl || resolveEndpoints().metadata}/${identifier}`;
+  log.info(`Fetching ${identifier}...`, { url });
 
+  let metadata;
   try {
-    const response = await axios.get(url);
-    return response.data;
+    const response = await (http || createHttpClient()).get(url, {
+      what: `metadata for ${identifier}`,
+      details: { identifier }
+    });
+    metadata = response.data;
   } catch (error) {
-    throw new Error(`Failed to fetch metadata for ${identifier}: ${error.message}`);
+    if (cached && !getAbortSignal()?.aborted) {
+      log.warn(`⚠ Fetch failed (${error.message}), using cached metadata (${formatAge(cached.ageMs)} old)`);
+      return cached.metadata;
+    }
+    throw error;
+  }
+
+  try {
+    validateMetadata(identifier, metadata);
+  } catch (error) {
+    if (cached && error instanceof MalformedMetadataError) {
+      log.warn(`⚠ ${error.message}, using cached metadata (${formatAge(cached.ageMs)} old)`);
+      return cached.metadata;
+    }
+    throw error;
+  }
+
+  if (outDir && metadata && metadata.files) {
+    const itemDir = getItemDir(outDir, identifier, metadata);
+    fs.mkdirSync(itemDir, { recursive: true });
+    fs.writeFileSync(path.join(itemDir, METADATA_FILE), JSON.stringify(metadata, null, 2));
+  }
+
+  return metadata;
+}
+
+/**
+ * Check an Archive.org metadata response
+ *
+ * Archive.org answers 200 with {} for unknown identifiers and with
+ * is_dark for withdrawn items.
+ *
+ * @param {string} identifier
+ * @param {*} metadata - Parsed response body
+ * @throws {ItemNotFoundError|ItemRestrictedError|MalformedMetadataError}
+ */
+function validateMetadata(identifier, metadata) {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    const preview = typeof metadata === 'string' ? `: ${metadata.slice(0, 80)}` : '';
+    throw new MalformedMetadataError(`Metadata for ${identifier} is not a JSON object${preview}`, { identifier });
+  }
+  if (Object.keys(metadata).length === 0) {
+    throw new ItemNotFoundError(`Item ${identifier} does not exist on Archive.org`, { identifier });
+  }
+  if (metadata.is_dark) {
+    throw new ItemRestrictedError(`Item ${identifier} is dark (withdrawn from Archive.org)`, { identifier, reason: 'dark' });
+  }
+  if (String(metadata.metadata?.['access-restricted-item']) === 'true') {
+    throw new ItemRestrictedError(`Item ${identifier} is access-restricted`, { identifier, reason: 'restricted' });
+  }
+  if (!metadata.metadata || typeof metadata.metadata !== 'object' || !metadata.files || typeof metadata.files !== 'object') {
+    throw new MalformedMetadataError(`Metadata for ${identifier} has no "metadata" or "files" section`, { identifier });
+  }
+}
+
+/**
+ * Find an item's cached metadata.json under an output root
+ *
+ * Looks in out/<identifier>/ and every out/<source>/<identifier>/.
+ *
+ * @param {string} outDir - Output root
+ * @param {string} identifier
+ * @returns {object|null} - { path, metadata, ageMs }
+ */
+export function findMetadataCache(outDir, identifier) {
+  if (!fs.existsSync(outDir)) {
+    return null;
+  }
+
+  const candidates = [
+    path.join(outDir, identifier, METADATA_FILE),
+    ...fs.readdirSync(outDir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+      .map(entry => path.join(outDir, entry.name, identifier, METADATA_FILE))
+  ];
+
+  for (const candidate of candidates) {
+    if (!fs.existsSync(candidate)) {
+      continue;
+    }
+    try {
+      const metadata = JSON.parse(fs.readFileSync(candidate, 'utf8'));
+      return { path: candidate, metadata, ageMs: Date.now() - fs.statSync(candidate).mtimeMs };
+    } catch (error) {
+      log.warn(`⚠ Ignoring unreadable ${candidate}: ${error.message}`);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Item directory for an identifier: out/<source>/<identifier>, or out/<identifier> without a source
+ * @param {string} outDir - Output root
+ * @param {string} identifier
+ * @param {object} metadata - Item metadata
+ * @returns {string}
+ */
+export function getItemDir(outDir, identifier, metadata) {
+  const sourceName = extractSourceName(metadata);
+  return sourceName
+    ? path.join(outDir, sourceName, identifier)
+    : path.join(outDir, identifier);
+}
+
+/**
+ * @param {number} ms
+ * @returns {string} - e.g. "3h", "12m"
+ */
+function formatAge(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) {
+    return `${minutes}m`;
   }
+  const hours = Math.round(minutes / 60);
+  return hours < 48 ? `${hours}h` : `${Math.round(hours / 24)}d`;
 }
 
 /**
@@ -53,7 +230,7 @@ export function extractSourceName(metadata) {
  * @returns {boolean}
  */
 function isAudioFile(file) {
-  const audioExtensions = ['.mp3', '.flac', '.wav', '.ogg'];
+  const audioExtensions = ['.mp3', '.ogg', ...LOSSLESS_EXTENSIONS];
   const name = (file.name || '').toLowerCase();
 
   // Exclude playlists and metadata files
@@ -65,90 +242,232 @@ function isAudioFile(file) {
 }
 
 /**
- * Ensure we have both Side A and Side B files
- * @param {Array} files - Array of file objects
- * @returns {object} - { hasA: boolean, hasB: boolean, sideA: object|null, sideB: object|null }
+ * @param {object} file - File object from metadata
+ * @returns {boolean}
+ */
+function isLossless(file) {
+  return LOSSLESS_EXTENSIONS.includes(path.extname(file.name).toLowerCase());
+}
+
+/**
+ * Follow `original` links from a derivative up to its source file
+ * @param {object} file - File object from metadata
+ * @param {Map<string, object>} byName - Every file of the item by name
+ * @returns {object} - The original file (the file itself if it is not a derivative)
  */
-function ensureSides(files) {
-  const sideAPattern = /_Side_A\.mp3$/i;
-  const sideBPattern = /_Side_B\.mp3$/i;
+export function findOriginalFile(file, byName) {
+  let current = file;
+  const seen = new Set();
 
-  const sideA = files.find(f => sideAPattern.test(f.name));
-  const sideB = files.find(f => sideBPattern.test(f.name));
+  while (current.source === 'derivative' && current.original && byName.has(current.original) && !seen.has(current.name)) {
+    seen.add(current.name);
+    current = byName.get(current.original);
+  }
+
+  return current;
+}
 
+/**
+ * Choose the file to process for one side, through the derivative graph
+ *
+ * The side's MP3 is traced back to its original; the original and every
+ * audio file derived from it form the side's family, from which
+ * sourceFormat picks. Falls back to the MP3 when the family has no match.
+ *
+ * @param {object} mp3 - Side MP3 (file object from metadata)
+ * @param {Array<object>} files - Every file of the item
+ * @param {string} sourceFormat - One of SOURCE_FORMATS
+ * @returns {object} - { file, derivedFrom: original name|null, fallback: boolean }
+ */
+export function resolveSourceFile(mp3, files, sourceFormat = 'mp3') {
+  if (sourceFormat === 'mp3') {
+    return { file: mp3, derivedFrom: null, fallback: false };
+  }
+
+  const byName = new Map(files.map(f => [f.name, f]));
+  const original = findOriginalFile(mp3, byName);
+  const family = files.filter(f => isAudioFile(f) && findOriginalFile(f, byName) === original);
+  const flac = family.find(f => path.extname(f.name).toLowerCase() === '.flac');
+  const derivedFrom = original !== mp3 ? original.name : null;
+
+  let file = null;
+  if (sourceFormat === 'original') {
+    file = isAudioFile(original) ? original : null;
+  } else if (sourceFormat === 'flac') {
+    file = flac || null;
+  } else if (sourceFormat === 'best') {
+    file = isLossless(original) ? original : flac || null;
+  }
+
+  return file ? { file, derivedFrom, fallback: false } : { file: mp3, derivedFrom, fallback: true };
+}
+
+/**
+ * Parse an Archive.org `length` field ("245.3" or "04:05" / "1:04:05")
+ * @param {string|number} value
+ * @returns {number|null} - Seconds
+ */
+function parseLength(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = String(value).split(':').reduce((total, part) => total * 60 + Number(part), 0);
+  return Number.isFinite(seconds) ? seconds : null;
+}
+
+/**
+ * Per-file track metadata of an already split item
+ * @param {object} file - File object from metadata
+ * @returns {object|null} - { track, title, creator, album, length } or null without a track number
+ */
+function getTrackInfo(file) {
+  const track = parseInt(String(file.track ?? '').split('/')[0], 10);
+  if (!Number.isInteger(track)) {
+    return null;
+  }
   return {
-    hasA: !!sideA,
-    hasB: !!sideB,
-    sideA,
-    sideB
+    track,
+    title: file.title || null,
+    creator: [].concat(file.creator || file.artist || [])[0] || null,
+    album: file.album || null,
+    length: parseLength(file.length)
   };
 }
 
 /**
- * Pick audio files from metadata, prioritizing Side A/B MP3s
+ * Detect an item already uploaded as one file per song
+ *
+ * Every file needs a `track` number, and either there are at least
+ * MIN_PRESPLIT_FILES files or every `length` is under MAX_PRESPLIT_TRACK_SEC
+ * (two long numbered files are more likely unrecognized tape sides).
+ *
+ * @param {Array<object>} files - Candidate audio files (one format)
+ * @returns {Array<object>|null} - Files sorted by track, or null if not already split
+ */
+export function detectPresplit(files) {
+  const MIN_PRESPLIT_FILES = 3;
+  const MAX_PRESPLIT_TRACK_SEC = 15 * 60;
+
+  const tracks = files.map(file => ({ file, info: getTrackInfo(file) }));
+  if (tracks.length === 0 || tracks.some(t => !t.info)) {
+    return null;
+  }
+
+  const shortSongs = tracks.every(t => t.info.length !== null && t.info.length < MAX_PRESPLIT_TRACK_SEC);
+  if (tracks.length < MIN_PRESPLIT_FILES && !shortSongs) {
+    return null;
+  }
+
+  return tracks
+    .sort((a, b) => a.info.track - b.info.track || a.file.name.localeCompare(b.file.name))
+    .map(t => ({ ...t.file, trackInfo: t.info }));
+}
+
+/**
+ * Pick audio files from metadata, prioritizing MP3 sides
  *
- * Expected naming pattern:
- *   <identifier>_Side_A.mp3
- *   <identifier>_Side_B.mp3
- * Example:
+ * MP3s are matched to tapes and sides (see lib/sides.js), e.g.
  *   Louis_Armstrong_Tape_1_1923-1924_Side_A.mp3
  *   Louis_Armstrong_Tape_1_1923-1924_Side_B.mp3
+ *   Niven_Tape_2_Side_1.mp3, Niven_Face_A.mp3, Niven-a.mp3
+ * and returned sorted by tape, then side, each with a `sideInfo`
+ * ({ tape, side, label }) used for numbering and naming. With a
+ * sourceFormat other than mp3, each side's MP3 is replaced by the file
+ * chosen in its derivative family (see resolveSourceFile).
+ *
+ * Items already split into songs (see detectPresplit) return one file per
+ * song, sorted by track, each with a `trackInfo` instead of a `sideInfo`.
  *
  * @param {object} metadata - Full metadata object from Archive.org
- * @param {object} options - { preferMp3: boolean }
+ * @param {object} options - { preferMp3: boolean, sidePatterns: Array<string>, sourceFormat: string }
  * @returns {Array} - Array of selected file objects
  */
-export function pickAudioFiles(metadata, { preferMp3 = true } = {}) {
+export function pickAudioFiles(metadata, { preferMp3 = true, sidePatterns = [], sourceFormat = 'mp3' } = {}) {
   const files = Object.values(metadata.files || {});
 
   // Filter to only real audio files
   const audioFiles = files.filter(isAudioFile);
 
   if (audioFiles.length === 0) {
-    throw new Error('No audio files found in item');
+    throw new NoAudioError('No audio files found in item');
   }
 
-  console.log(`[audio] Found ${audioFiles.length} audio files total`);
+  audioLog.info(`Found ${audioFiles.length} audio files total`, { count: audioFiles.length });
 
   if (preferMp3) {
-    // Priority 1: Side A/B MP3 pattern
+    // Priority 1: MP3 sides
     const mp3Files = audioFiles.filter(f => f.name.toLowerCase().endsWith('.mp3'));
 
     if (mp3Files.length > 0) {
-      const sides = ensureSides(mp3Files);
-
-      if (sides.hasA && sides.hasB) {
-        console.log(`[audio] ✓ Found Side A + Side B MP3s`);
-        console.log(`  → ${sides.sideA.name}`);
-        console.log(`  → ${sides.sideB.name}`);
-        return [sides.sideA, sides.sideB];
-      } else {
-        console.warn(`[audio] ⚠ Side A/B pattern not complete:`);
-        console.warn(`  Side A: ${sides.hasA ? '✓' : '✗'}`);
-        console.warn(`  Side B: ${sides.hasB ? '✓' : '✗'}`);
-        console.warn(`  Available audio files:`);
-        audioFiles.forEach(f => console.warn(`    - ${f.name} (${f.format})`));
-
-        throw new Error('Missing Side A or Side B MP3. Check file listing above.');
+      const { sides, unmatched } = detectSides(mp3Files, sidePatterns);
+      const problems = checkSides(sides);
+
+      if (problems.length === 0) {
+        const tapeCount = new Set(sides.map(s => s.tape)).size;
+        audioLog.info(`✓ Found ${sides.length} MP3 sides${tapeCount > 1 ? ` on ${tapeCount} tapes` : ''}`, {
+          sides: describeSides(sides)
+        });
+        sides.forEach(s => audioLog.info(`  → ${s.label}: ${s.file.name}`));
+        if (unmatched.length > 0) {
+          audioLog.warn(`⚠ Ignoring ${unmatched.length} MP3(s) matching no side pattern: ${unmatched.map(f => f.name).join(', ')}`);
+        }
+
+        return sides.map(s => {
+          const source = resolveSourceFile(s.file, files, sourceFormat);
+          if (source.fallback) {
+            audioLog.warn(`⚠ No ${sourceFormat} source for ${s.label}, using ${s.file.name}`, { side: s.label, sourceFormat });
+          } else if (source.file !== s.file) {
+            audioLog.info(`  ${s.label}: using ${source.file.name} (${sourceFormat})`, { side: s.label, file: source.file.name });
+          }
+          return {
+            ...source.file,
+            sideInfo: { tape: s.tape, side: s.side, label: s.label, mp3: s.file.name, derivedFrom: source.derivedFrom }
+          };
+        });
+      }
+
+      const presplit = detectPresplit(mp3Files);
+      if (presplit) {
+        audioLog.info(`✓ Item is already split: ${presplit.length} tracks with per-file metadata`, { count: presplit.length });
+        return presplit.map(file => {
+          const source = resolveSourceFile(file, files, sourceFormat);
+          audioLog.info(`  → ${String(file.trackInfo.track).padStart(2, '0')}. ${file.trackInfo.title || file.name}${source.file !== file ? ` (${source.file.name})` : ''}`);
+          return { ...source.file, trackInfo: file.trackInfo };
+        });
       }
+
+      audioLog.warn(`⚠ Side pattern not complete: ${problems.join('; ')}`, {
+        problems,
+        sides: describeSides(sides),
+        available: audioFiles.map(f => ({ name: f.name, format: f.format }))
+      });
+      audioLog.warn(`  Available audio files:`);
+      audioFiles.forEach(f => audioLog.warn(`    - ${f.name} (${f.format})`));
+
+      throw new MissingSidesError(`Missing or ambiguous sides: ${problems.join('; ')}. Check file listing above.`, { problems });
     }
 
     // Fallback: FLAC files
     const flacFiles = audioFiles.filter(f => f.name.toLowerCase().endsWith('.flac'));
+    const presplitFlac = detectPresplit(flacFiles);
+    if (presplitFlac) {
+      audioLog.info(`✓ Item is already split: ${presplitFlac.length} FLAC tracks with per-file metadata`, { count: presplitFlac.length });
+      return presplitFlac;
+    }
     if (flacFiles.length > 0) {
-      console.log(`[audio] No MP3s found, using ${flacFiles.length} FLAC file(s)`);
+      audioLog.info(`No MP3s found, using ${flacFiles.length} FLAC file(s)`);
       return flacFiles;
     }
 
     // Fallback: WAV files
     const wavFiles = audioFiles.filter(f => f.name.toLowerCase().endsWith('.wav'));
     if (wavFiles.length > 0) {
-      console.log(`[audio] No MP3/FLAC found, using ${wavFiles.length} WAV file(s)`);
+      audioLog.info(`No MP3/FLAC found, using ${wavFiles.length} WAV file(s)`);
       return wavFiles;
     }
   }
 
   // Last resort: return all audio files
-  console.log(`[audio] Returning all ${audioFiles.length} audio files`);
+  audioLog.info(`Returning all ${audioFiles.length} audio files`);
   return audioFiles;
 }
@@ -315,6 +315,19 @@ export function buildFallbackTitle(options) {
  * @returns {object} - Title and metadata
  */
 export function inferTrackTitle(options) {
-  // For now, always use fallback (ASR-based naming would be added later)
+  // Already split items carry their song titles in the Archive.org file metadata
+  if (options.trackTitle) {
+    const fallback = buildFallbackTitle({ ...options, side: null });
+    const trackNum = String(options.trackIndex).padStart(2, '0');
+    return {
+      ...fallback,
+      title: `${fallback.prettyBase} — ${trackNum} — ${options.trackTitle}`,
+      method: 'file-metadata',
+      trackTitle: options.trackTitle,
+      reason: 'Title from the per-file Archive.org metadata'
+    };
+  }
+
+  // Otherwise use fallback (ASR-based naming would be added later)
   return buildFallbackTitle(options);
 }
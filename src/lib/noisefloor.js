@@ -0,0 +1,189 @@
+import path from 'path';
+import { createLogger } from './logger.js';
+import { runFfmpeg } from './ffmpeg.js';
+
+/**
+ * Per-side silence threshold for --noiseDb auto
+ *
+ * Hiss levels differ a lot between tape transfers, so a fixed threshold
+ * splits some sides well and others not at all. One ffmpeg pass over the
+ * side (after the intro trim) measures:
+ *
+ *   - the RMS level of every WINDOW_SEC window (astats, reset per window, on
+ *     a mono 8 kHz downmix);
+ *   - the mean and peak volume (volumedetect).
+ *
+ * Gaps between songs are often barely 1% of a side, so no fixed percentile
+ * of the window levels lands on the hiss. The noise floor is instead the
+ * lowest cluster of levels: the quietest FLOOR_CLUSTER_DB range holding at
+ * least MIN_FLOOR_SEC of windows (shorter dips are clicks or dropouts, and
+ * too short for silencedetect anyway). The program level is the median.
+ * Digitally silent windows (-inf, e.g. zero padding) are left out: they say
+ * nothing about the hiss.
+ *
+ * The threshold sits MARGIN_DB above the floor, but never more than half
+ * way to the program level, so quiet recordings still split; it is kept
+ * within [MIN_NOISE_DB, MAX_NOISE_DB].
+ */
+
+const log = createLogger('noise');
+
+export const AUTO_NOISE_DB = 'auto';
+// Threshold used when a side gives no measurement (the niven preset's)
+export const FALLBACK_NOISE_DB = -35;
+
+const ANALYSIS_RATE = 8000;
+const WINDOW_SEC = 0.1;
+const MIN_FLOOR_SEC = 0.5;
+const FLOOR_CLUSTER_DB = 6;
+const PROGRAM_PERCENTILE = 50;
+const MARGIN_DB = 6;
+const MAX_MARGIN_SHARE = 0.5;
+const MIN_NOISE_DB = -70;
+const MAX_NOISE_DB = -20;
+
+/**
+ * Measure a side and pick its silence threshold
+ * @param {string} inputPath - Side (or its trimmed copy)
+ * @param {object} options - { durationSec?: number (progress), timeoutSec?: number }
+ * @returns {Promise<object|null>} - See pickNoiseThreshold, null when nothing could be measured
+ * @throws {FfmpegError|CancelledError}
+ */
+export async function estimateNoiseThreshold(inputPath, { durationSec = null, timeoutSec } = {}) {
+  const analysis = createAnalysis();
+
+  const filters = [
+    `aformat=channel_layouts=mono:sample_rates=${ANALYSIS_RATE}`,
+    `asetnsamples=n=${Math.round(ANALYSIS_RATE * WINDOW_SEC)}:p=0`,
+    'astats=metadata=1:reset=1',
+    'ametadata=mode=print:key=lavfi.astats.Overall.RMS_level',
+    'volumedetect'
+  ];
+  await runFfmpeg(['-i', inputPath, '-vn', '-af', filters.join(','), '-f', 'null', '-'], {
+    label: `noise ${path.basename(inputPath)}`,
+    durationSec,
+    timeoutSec,
+    onLine: line => readAnalysisLine(line, analysis)
+  });
+
+  const measurements = pickNoiseThreshold(analysis);
+  if (measurements) {
+    log.debug('Noise analysis', measurements);
+  }
+  return measurements;
+}
+
+/**
+ * Parse the stderr of the analysis pass
+ * @param {string} stderr - ametadata and volumedetect output
+ * @returns {object} - { levels: Array<number> (dB, in file order), digitalSilenceWindows, meanVolumeDb, maxVolumeDb }
+ */
+export function parseNoiseAnalysis(stderr) {
+  const analysis = createAnalysis();
+  for (const line of stderr.split(/\r\n|\r|\n/)) {
+    readAnalysisLine(line, analysis);
+  }
+  return analysis;
+}
+
+/**
+ * Pick the threshold from the measured window levels
+ * @param {object} analysis - From parseNoiseAnalysis
+ * @returns {object|null} - { noiseDb, noiseFloorDb, programDb, meanVolumeDb, maxVolumeDb, windows, digitalSilenceWindows }, null without levels
+ */
+export function pickNoiseThreshold({ levels, digitalSilenceWindows = 0, meanVolumeDb = null, maxVolumeDb = null }) {
+  if (levels.length === 0) {
+    return null;
+  }
+
+  const sorted = [...levels].sort((a, b) => a - b);
+  const noiseFloorDb = findNoiseFloor(sorted);
+  const programDb = percentile(sorted, PROGRAM_PERCENTILE);
+  const margin = Math.min(MARGIN_DB, Math.max(0, programDb - noiseFloorDb) * MAX_MARGIN_SHARE);
+  const noiseDb = Math.min(MAX_NOISE_DB, Math.max(MIN_NOISE_DB, Math.round((noiseFloorDb + margin) * 2) / 2));
+
+  return {
+    noiseDb,
+    noiseFloorDb: round1(noiseFloorDb),
+    programDb: round1(programDb),
+    meanVolumeDb,
+    maxVolumeDb,
+    windows: levels.length,
+    digitalSilenceWindows
+  };
+}
+
+/**
+ * @returns {object} - Empty analysis
+ */
+function createAnalysis() {
+  return { levels: [], digitalSilenceWindows: 0, meanVolumeDb: null, maxVolumeDb: null };
+}
+
+/**
+ * Add one stderr line to an analysis
+ * @param {string} line
+ * @param {object} analysis - Updated in place
+ */
+function readAnalysisLine(line, analysis) {
+  const rms = line.match(/lavfi\.astats\.Overall\.RMS_level=(\S+)/);
+  if (rms) {
+    const value = parseFloat(rms[1]);
+    if (Number.isFinite(value)) {
+      analysis.levels.push(value);
+    } else {
+      analysis.digitalSilenceWindows++;
+    }
+    return;
+  }
+  const mean = line.match(/mean_volume:\s*(-?[\d.]+) dB/);
+  const max = line.match(/max_volume:\s*(-?[\d.]+) dB/);
+  if (mean) {
+    analysis.meanVolumeDb = parseFloat(mean[1]);
+  }
+  if (max) {
+    analysis.maxVolumeDb = parseFloat(max[1]);
+  }
+}
+
+/**
+ * Median of the lowest cluster of levels
+ *
+ * Walks up the sorted levels and stops at the first FLOOR_CLUSTER_DB range
+ * holding at least MIN_FLOOR_SEC worth of windows.
+ *
+ * @param {Array<number>} sorted - Ascending levels
+ * @returns {number}
+ */
+function findNoiseFloor(sorted) {
+  const minWindows = Math.min(sorted.length, Math.round(MIN_FLOOR_SEC / WINDOW_SEC));
+  let end = 0;
+  for (let start = 0; start < sorted.length; start++) {
+    end = Math.max(end, start);
+    while (end + 1 < sorted.length && sorted[end + 1] <= sorted[start] + FLOOR_CLUSTER_DB) {
+      end++;
+    }
+    if (end - start + 1 >= minWindows) {
+      return percentile(sorted.slice(start, end + 1), 50);
+    }
+  }
+  // Levels too spread out to cluster: the quietest windows
+  return percentile(sorted.slice(0, minWindows), 50);
+}
+
+/**
+ * @param {Array<number>} sorted - Ascending values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number}
+ */
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(p / 100 * (sorted.length - 1)))];
+}
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
@@ -0,0 +1,743 @@
+import path from 'path';
+import fs from 'fs';
+import { getMetadata, pickAudioFiles, extractSourceName, getItemDir } from './metadata.js';
+import { downloadItemFiles } from './download.js';
+import { processSides, resplitSides, exportPresplitTracks, getTrackEncoding } from './split.js';
+import { loadSplitPoints } from './cuesheet.js';
+import { readSplitPlan } from './splitplan.js';
+import { resolveEndpoints } from './endpoints.js';
+import { createHttpClient, getHttpOptions } from './http.js';
+import { createDownloadCache, getCacheOptions } from './cache.js';
+import { resolveOptions, loadConfigFile } from './config.js';
+import { maybeCleanupItem, checkSkipStatus } from './cleanup.js';
+import { inferTrackTitle } from './naming.js';
+import {
+  loadState,
+  saveState,
+  completeStage,
+  invalidateFrom,
+  isStageCurrent,
+  hashSettings,
+  getCurrentTracks,
+  allExist,
+  STAGES
+} from './state.js';
+import { createLogger, runWithLogContext, setLogFile } from './logger.js';
+import { runWithProgress, emitProgress, getAbortSignal, throwIfCancelled } from './progress.js';
+import { NivenError, ConfigError, StageError, CancelledError, OfflineError, FfmpegError, describeError } from './errors.js';
+
+const log = createLogger(null);
+const namingLog = createLogger('naming');
+const sourceLog = createLogger('source');
+const itemLog = createLogger('item');
+const skipLog = createLogger('skip');
+const rerunLog = createLogger('re-run');
+const stateLog = createLogger('state');
+const reportLog = createLogger('report');
+const doneLog = createLogger('done');
+
+/**
+ * Item pipeline: metadata → download → split → naming → cleanup
+ *
+ * Shared by the CLI and library callers (see src/index.js).
+ */
+
+/**
+ * Generate enriched track names and optionally rename files
+ * @param {object} options - Configuration
+ * @returns {object} - Track names data
+ */
+async function generateTrackNames(options) {
+  const { tracks, identifier, metadata, itemDir, renameFiles = false, sides = null, trackTitles = null } = options;
+
+  const trackNamesData = {
+    identifier,
+    generatedAt: new Date().toISOString(),
+    tracks: [],
+    renamedCount: 0
+  };
+
+  for (let i = 0; i < tracks.length; i++) {
+    const trackPath = tracks[i];
+    const trackFilename = path.basename(trackPath);
+    const trackIndex = i + 1;
+
+    // Side from the split stage's mapping (items split before it existed: guess from the number)
+    let side = null;
+    const sideMatch = trackFilename.match(/track_(\d{3})\.\w+$/i);
+    if (sides) {
+      side = sides.find(s => trackIndex >= s.firstTrack && trackIndex < s.firstTrack + s.trackCount)?.label || null;
+    } else if (sideMatch) {
+      const trackNum = parseInt(sideMatch[1]);
+      // Simple heuristic: if track number > half of total, likely Side B
+      side = trackNum <= Math.ceil(tracks.length / 2) ? 'Side A' : 'Side B';
+    }
+
+    // Infer track title (no transcript for now, but structure is ready)
+    const titleInfo = inferTrackTitle({
+      identifier,
+      metadata,
+      transcriptText: null, // Will be available when transcription is implemented
+      trackIndex,
+      side,
+      sourceFilename: trackFilename,
+      trackTitle: trackTitles?.[i] || null
+    });
+
+    // Clean title for filesystem
+    const safeName = sanitizeFilename(titleInfo.title);
+    const newFilename = `${safeName}${path.extname(trackFilename)}`;
+    const newPath = path.join(path.dirname(trackPath), newFilename);
+
+    const trackData = {
+      originalFilename: trackFilename,
+      originalPath: trackPath,
+      trackIndex,
+      side,
+      suggestedTitle: titleInfo.title,
+      suggestedFilename: newFilename,
+      newPath: renameFiles ? newPath : null,
+      renamed: false,
+      ...titleInfo // Include all metadata from inferTrackTitle
+    };
+
+    // Rename file if requested
+    if (renameFiles) {
+      try {
+        // Check if file exists and new name is different
+        if (fs.existsSync(trackPath) && trackPath !== newPath) {
+          fs.renameSync(trackPath, newPath);
+          trackData.renamed = true;
+          trackData.newPath = newPath;
+          trackNamesData.renamedCount++;
+        }
+      } catch (error) {
+        namingLog.warn(`⚠ Failed to rename ${trackFilename}: ${error.message}`);
+        trackData.renameError = error.message;
+      }
+    }
+
+    trackNamesData.tracks.push(trackData);
+  }
+
+  // Save names.json
+  const namesPath = path.join(itemDir, 'names.json');
+  fs.writeFileSync(namesPath, JSON.stringify(trackNamesData, null, 2));
+  namingLog.info(`Saved to ${namesPath}`);
+
+  return trackNamesData;
+}
+
+/**
+ * Sanitize filename for filesystem
+ * @param {string} title - Title to sanitize
+ * @returns {string}
+ */
+function sanitizeFilename(title) {
+  return title
+    .replace(/[<>:"/\\|?*]/g, '') // Remove invalid chars
+    .replace(/\s+/g, '_') // Replace spaces with underscores
+    .replace(/_+/g, '_') // Collapse multiple underscores
+    .replace(/^_|_$/g, '') // Remove leading/trailing underscores
+    .substring(0, 200); // Limit length
+}
+
+/**
+ * Undo file renames made by a previous naming stage
+ * @param {object} state - Item state (split + naming outputs)
+ */
+function restoreSplitNames(state) {
+  const splitTracks = state.stages.split?.outputs?.tracks || [];
+  const namedTracks = state.stages.naming?.outputs?.tracks || [];
+
+  splitTracks.forEach((original, i) => {
+    const current = namedTracks[i];
+    if (current && current !== original && fs.existsSync(current) && !fs.existsSync(original)) {
+      fs.renameSync(current, original);
+    }
+  });
+}
+
+/**
+ * Process a single Archive.org item
+ *
+ * Options are the same keys as the CLI flags and config file (out, preset,
+ * noiseDb, cleanup, ...); they take precedence over `config`, which plays
+ * the role of niven.config.json (item overrides included).
+ *
+ * @param {string} identifier - Archive.org identifier
+ * @param {object} options - Processing options
+ * @param {object} options.config - Parsed config file (loaded from configFile when omitted)
+ * @param {string} options.configFile - Config file path, recorded in report.json
+ * @param {EventEmitter} options.events - Receives progress events (see lib/progress.js) and "log" events
+ * @param {boolean} options.console - Print log lines to the console (default: false)
+ * @param {AbortSignal} options.signal - Cancels the run (throws CancelledError)
+ * @returns {Promise<object|null>} - report.json content, null when every stage was already complete
+ * @throws {ConfigError|StageError|CancelledError}
+ */
+export function processItem(identifier, options = {}) {
+  const {
+    config = null,
+    configFile = null,
+    events = null,
+    console: printLogs = false,
+    signal = null,
+    ...itemOptions
+  } = options;
+
+  const fileConfig = config || (configFile ? loadConfigFile(configFile).config : {});
+  const logContext = {
+    identifier,
+    captureLog: true,
+    console: printLogs,
+    onEvent: events ? event => events.emit('log', event) : null
+  };
+
+  return runWithLogContext(logContext, () => runWithProgress(events, identifier, () =>
+    runItem(identifier, { cli: itemOptions, fileConfig, configFile }),
+  signal));
+}
+
+/**
+ * Run the item pipeline
+ *
+ * Runs metadata → download → split → naming → cleanup as stages checkpointed
+ * in <itemDir>/state.json. A re-run resumes from the first stage that is
+ * incomplete or whose settings changed (see lib/state.js).
+ *
+ * @param {string} identifier
+ * @param {object} config - { cli, fileConfig, configFile }
+ * @returns {Promise<object|null>}
+ */
+async function runItem(identifier, config) {
+  log.info(`\n========================================`);
+  log.info(`Processing item: ${identifier}`);
+  log.info(`========================================\n`);
+
+  const startTime = Date.now();
+  let processingFailed = false;
+
+  // Merge preset, config file, item overrides and CLI flags
+  let resolved;
+  try {
+    resolved = resolveOptions(identifier, config.cli, config.fileConfig);
+    // resplit: cut again from the edited split plans, never touching the network
+    if (resolved.options.resplit) {
+      if (resolved.options.cue || resolved.options.labels) {
+        throw new ConfigError(`resplit reads splits/*.splits.json; edit those instead of passing --cue/--labels`);
+      }
+      resolved.options.offline = true;
+    }
+  } catch (error) {
+    log.error(`\n✗ Invalid settings for ${identifier}:`);
+    log.error(`  ${error.message}\n`);
+    throw error;
+  }
+  const { options, settings, sources, presetName } = resolved;
+
+  if (!options.logFile) {
+    setLogFile(null);
+  }
+
+  let state = null;
+  let stateDir = null;
+  let currentStage = null;
+  let stageStartedAt = null;
+  const http = createHttpClient(getHttpOptions(options));
+
+  const startStage = stage => {
+    throwIfCancelled();
+    currentStage = stage;
+    stageStartedAt = Date.now();
+    emitProgress('stage:start', { stage });
+  };
+  const endStage = (data = {}) => {
+    emitProgress('stage:end', { stage: currentStage, durationMs: Date.now() - stageStartedAt, ...data });
+  };
+
+  try {
+    // 1. Fetch metadata first to get source name
+    startStage('metadata');
+    const endpoints = resolveEndpoints(options);
+    const metadata = await getMetadata(identifier, {
+      outDir: options.out,
+      ttlHours: options.metadataTtlHours,
+      offline: options.offline,
+      metadataUrl: endpoints.metadata,
+      http
+    });
+    const sourceName = extractSourceName(metadata);
+
+    // Build item directory path with source organization
+    const itemDir = getItemDir(options.out, identifier, metadata);
+    stateDir = itemDir;
+
+    if (sourceName) {
+      sourceLog.info(`Organizing under: ${sourceName}`);
+    }
+    itemLog.info(`${metadata.metadata?.title || identifier}\n`);
+
+    if (options.logFile) {
+      setLogFile(path.join(itemDir, 'process.log'));
+    }
+
+    state = loadState(itemDir, identifier);
+    const hasCheckpoint = Object.keys(state.stages).length > 0;
+
+    // Items processed before state.json existed: keep the intelligent re-run check
+    if (!hasCheckpoint && options.cleanup) {
+      const skipStatus = await checkSkipStatus(itemDir);
+      if (skipStatus.skip) {
+        skipLog.info(`✓ ${skipStatus.reason}`);
+        endStage({ itemDir });
+        log.info(`\n✓ Already complete\n`);
+        return null;
+      }
+
+      if (skipStatus.needsDownload) {
+        rerunLog.info(`Missing raw files, will re-download`);
+      } else if (skipStatus.needsSplit) {
+        rerunLog.info(`Missing tracks, will re-split`);
+      }
+    }
+
+    // 2. Pick the MP3 sides (sorted by tape, then side), or the songs of an already split item
+    const audioFiles = pickAudioFiles(metadata, {
+      preferMp3: true,
+      sidePatterns: settings.sidePatterns,
+      sourceFormat: options.sourceFormat
+    });
+    const sides = audioFiles.filter(f => f.sideInfo).map(f => ({ file: f.name, ...f.sideInfo }));
+    const presplit = audioFiles.every(f => f.trackInfo);
+    const sourceTracks = presplit ? audioFiles.map(f => ({ file: f.name, ...f.trackInfo })) : null;
+    log.info('');
+
+    if (options.resplit && presplit) {
+      throw new ConfigError(`${identifier} is already split into songs, there is nothing to resplit`);
+    }
+
+    // Hand-edited split points (--cue/--labels) replace silence detection for their sides
+    let splitPoints = {};
+    if (options.cue || options.labels) {
+      if (presplit) {
+        log.warn(`⚠ ${identifier} is already split into songs, --cue/--labels ignored`);
+      } else {
+        splitPoints = loadSplitPoints({ cue: options.cue, labels: options.labels }, audioFiles.map(f => f.name));
+      }
+    }
+
+    completeStage(itemDir, state, 'metadata', {
+      inputs: { identifier },
+      settingsHash: hashSettings({ identifier }),
+      outputs: {
+        title: metadata.metadata?.title || null,
+        source: sourceName || null,
+        audioFiles: audioFiles.map(f => f.name),
+        layout: presplit ? 'tracks' : 'sides',
+        sides,
+        sourceTracks
+      }
+    });
+    endStage({ itemDir });
+
+    // Plan stages: hashes are chained, so an upstream change invalidates downstream stages
+    const trashDir = options.trashDir || path.join(options.out, '.trash');
+    const hashes = {};
+    hashes.download = hashSettings({
+      files: audioFiles.map(f => ({ name: f.name, size: f.size, md5: f.md5 }))
+    });
+    // Omitted for MP3 sources cut to MP3 (copy), so those hashes match earlier runs
+    const encodings = audioFiles.map(f => getTrackEncoding(f.name, options));
+    const reencoded = encodings.some(e => e.reencode);
+    // Already split items are only converted: silence settings do not apply
+    hashes.split = hashSettings({
+      upstream: hashes.download,
+      ...(presplit ? { presplit: true } : {
+        introTrimSec: settings.introTrimSec,
+        noiseDb: settings.noiseDb,
+        minSilence: settings.minSilence,
+        minSegment: settings.minSegment
+      }),
+      splitPoints: Object.keys(splitPoints).length > 0
+        ? Object.fromEntries(Object.entries(splitPoints).map(([file, points]) => [file, points.segments]))
+        : undefined,
+      outputFormat: options.outputFormat !== 'mp3' || reencoded ? options.outputFormat : undefined,
+      outputBitrate: options.outputFormat === 'mp3' && reencoded ? options.outputBitrate : undefined
+    });
+    hashes.naming = hashSettings({
+      upstream: hashes.split,
+      generateNames: options.generateNames,
+      renameFiles: options.renameFiles,
+      sides: sides.map(s => s.label),
+      titles: sourceTracks ? sourceTracks.map(t => t.title) : undefined
+    });
+    hashes.cleanup = hashSettings({
+      upstream: hashes.naming,
+      cleanup: options.cleanup,
+      cleanupLevel: options.cleanupLevel,
+      dryRun: options.dryRun,
+      purgeTrash: options.purgeTrash
+    });
+
+    // Edited plans are checked before any stage is invalidated, so a typo leaves the current split alone
+    const splitsDir = path.join(itemDir, 'splits');
+    const resplitPlans = options.resplit ? audioFiles.map(f => readSplitPlan(splitsDir, f.name)) : null;
+
+    const rawPaths = audioFiles.map(f => path.join(itemDir, 'raw', f.name));
+    const splitCurrent = isStageCurrent(state, 'split', hashes.split) && allExist(getCurrentTracks(state));
+    let runDownload = !isStageCurrent(state, 'download', hashes.download) || ((!splitCurrent || options.resplit) && !allExist(rawPaths));
+
+    // Raw files the shared download cache holds are deleted by cleanup rather than trashed
+    const cache = options.cache ? createDownloadCache(getCacheOptions(options)) : null;
+    const rawFiles = new Map(audioFiles.map((f, i) => [path.resolve(rawPaths[i]), f]));
+    const isCached = cache ? filePath => cache.has(rawFiles.get(path.resolve(filePath))) : null;
+    const cacheHoldsAll = !!cache && audioFiles.every(f => cache.has(f));
+
+    // Offline: existing raw files (or the download cache) stand in for the download stage
+    if (runDownload && options.offline && !(cacheHoldsAll && !allExist(rawPaths))) {
+      if (!allExist(rawPaths)) {
+        throw new OfflineError(`Raw files missing for ${identifier}, cannot download offline`);
+      }
+      completeStage(itemDir, state, 'download', {
+        inputs: { files: audioFiles.map(f => f.name) },
+        settingsHash: hashes.download,
+        outputs: { files: rawPaths }
+      });
+      runDownload = false;
+    }
+
+    const runSplit = runDownload || !splitCurrent || !!options.resplit;
+    const runNaming = runSplit || !isStageCurrent(state, 'naming', hashes.naming);
+    const runCleanup = runNaming || !isStageCurrent(state, 'cleanup', hashes.cleanup);
+
+    if (!runCleanup) {
+      STAGES.slice(1).forEach(stage => emitProgress('stage:skip', { stage }));
+      stateLog.info(`✓ All stages complete with current settings`);
+      log.info(`\n✓ Already complete\n`);
+      return null;
+    }
+
+    const plan = { download: runDownload, split: runSplit, naming: runNaming, cleanup: runCleanup };
+    const stagesRun = Object.keys(plan).filter(stage => plan[stage]);
+    if (hasCheckpoint) {
+      stateLog.info(`Resuming from stage: ${stagesRun[0]}\n`, { stagesRun });
+    }
+    for (const stage of Object.keys(plan).filter(stage => !plan[stage])) {
+      emitProgress('stage:skip', { stage });
+    }
+
+    // 3. Download files (using itemDir which includes source folder)
+    const baseOutDir = sourceName
+      ? path.join(options.out, sourceName)
+      : options.out;
+
+    let downloadedPaths = state.stages.download?.outputs?.files || rawPaths;
+    if (runDownload) {
+      startStage('download');
+      invalidateFrom(state, 'download');
+      const downloaded = await downloadItemFiles(
+        identifier,
+        audioFiles,
+        baseOutDir,
+        metadata,
+        { downloadUrl: endpoints.download, http, concurrency: options.downloadConcurrency, cache, offline: options.offline }
+      );
+      downloadedPaths = downloaded.files;
+      completeStage(itemDir, state, 'download', {
+        inputs: { files: audioFiles.map(f => f.name) },
+        settingsHash: hashes.download,
+        outputs: { files: downloadedPaths, verification: downloaded.verification, throughput: downloaded.throughput, cache: downloaded.cache }
+      });
+      endStage();
+      log.info('');
+    } else {
+      stateLog.info(`✓ download complete, skipping`);
+    }
+
+    // 4. Split into tracks
+    const tracksDir = path.join(itemDir, 'tracks');
+
+    let tracks = state.stages.split?.outputs?.tracks || [];
+    if (runSplit && options.resplit) {
+      startStage('split');
+      // Tracks renamed by naming go back to their track_NNN names to be matched
+      restoreSplitNames(state);
+      const previous = state.stages.split?.outputs?.segments || [];
+      invalidateFrom(state, 'split');
+
+      const result = await resplitSides(downloadedPaths, tracksDir, {
+        splitsDir,
+        plans: resplitPlans,
+        sideLabels: audioFiles.map(f => f.sideInfo?.label),
+        previous,
+        outputFormat: options.outputFormat,
+        outputBitrate: options.outputBitrate,
+        ffmpegTimeoutSec: options.ffmpegTimeoutSec
+      });
+      tracks = result.tracks;
+      completeStage(itemDir, state, 'split', {
+        inputs: { files: downloadedPaths.map(p => path.basename(p)) },
+        settingsHash: hashes.split,
+        outputs: { tracks, sides: result.sides, segments: result.segments, resplit: { exported: result.exported, kept: result.kept } }
+      });
+      endStage();
+
+      doneLog.info(`\n✓ Re-split into ${tracks.length} tracks`, { trackCount: tracks.length, exported: result.exported, kept: result.kept });
+    } else if (runSplit) {
+      startStage('split');
+      const staleTracks = getCurrentTracks(state);
+      invalidateFrom(state, 'split');
+      staleTracks.filter(t => fs.existsSync(t)).forEach(t => fs.unlinkSync(t));
+
+      const result = presplit ? {
+        tracks: await exportPresplitTracks(downloadedPaths, audioFiles.map(f => f.trackInfo), tracksDir, {
+          outputFormat: options.outputFormat,
+          outputBitrate: options.outputBitrate,
+          album: metadata.metadata?.title || null,
+          artist: [].concat(metadata.metadata?.creator || [])[0] || null,
+          ffmpegTimeoutSec: options.ffmpegTimeoutSec
+        }),
+        sides: []
+      } : await processSides(downloadedPaths, tracksDir, {
+        ...settings,
+        sideLabels: audioFiles.map(f => f.sideInfo?.label),
+        splitsDir,
+        splitPoints,
+        outputFormat: options.outputFormat,
+        outputBitrate: options.outputBitrate,
+        ffmpegTimeoutSec: options.ffmpegTimeoutSec,
+        progressiveCleanup: options.cleanup,
+        cleanupLevel: options.cleanupLevel,
+        trashDir,
+        identifier,
+        dryRun: options.dryRun,
+        isCached
+      });
+      tracks = result.tracks;
+      completeStage(itemDir, state, 'split', {
+        inputs: { files: downloadedPaths.map(p => path.basename(p)) },
+        settingsHash: hashes.split,
+        outputs: { tracks, sides: result.sides, segments: result.segments || [] }
+      });
+      endStage();
+
+      doneLog.info(`\n✓ Processed ${tracks.length} tracks`, { trackCount: tracks.length });
+    } else {
+      stateLog.info(`✓ split complete, skipping (${tracks.length} tracks)`);
+    }
+
+    // 5. Generate enriched names if enabled
+    if (runNaming) {
+      startStage('naming');
+      if (!runSplit) {
+        restoreSplitNames(state);
+      }
+      invalidateFrom(state, 'naming');
+
+      let namingOutputs = { enabled: false, tracks, renamedCount: 0 };
+      if (options.generateNames) {
+        namingLog.info(`\nGenerating enriched track titles...`);
+        const trackNamesData = await generateTrackNames({
+          tracks,
+          identifier,
+          metadata,
+          itemDir,
+          renameFiles: options.renameFiles,
+          sides: state.stages.split?.outputs?.sides || null,
+          trackTitles: sourceTracks ? sourceTracks.map(t => t.title) : null
+        });
+        namingLog.info(`✓ Generated ${trackNamesData.tracks.length} track titles`);
+
+        if (options.renameFiles) {
+          namingLog.info(`✓ Renamed ${trackNamesData.renamedCount} files`);
+        }
+
+        namingOutputs = {
+          enabled: true,
+          tracks: trackNamesData.tracks.map(t => (t.renamed ? t.newPath : t.originalPath)),
+          renamedCount: trackNamesData.renamedCount,
+          namesJsonPath: 'names.json'
+        };
+      }
+
+      completeStage(itemDir, state, 'naming', {
+        inputs: { tracks: tracks.map(t => path.basename(t)) },
+        settingsHash: hashes.naming,
+        outputs: namingOutputs
+      });
+      endStage();
+    }
+
+    const naming = state.stages.naming.outputs;
+
+    // 6. Cleanup if enabled
+    startStage('cleanup');
+    const cleanupReport = await maybeCleanupItem({
+      itemDir,
+      identifier,
+      cleanup: options.cleanup,
+      cleanupLevel: options.cleanupLevel,
+      dryRun: options.dryRun,
+      trashDir,
+      purgeTrash: options.purgeTrash,
+      failed: processingFailed,
+      isCached
+    });
+    completeStage(itemDir, state, 'cleanup', {
+      inputs: { level: options.cleanupLevel },
+      settingsHash: hashes.cleanup,
+      outputs: cleanupReport
+    });
+    endStage();
+
+    // 7. Write report
+    const finalTracks = getCurrentTracks(state);
+    const report = {
+      identifier,
+      source: sourceName || 'unknown',
+      timestamp: new Date().toISOString(),
+      settings,
+      configFile: config.configFile || null,
+      effectiveSettings: { preset: presetName, ...settings, ...options },
+      settingsSources: sources,
+      inputFiles: audioFiles.map(f => f.name),
+      verification: state.stages.download?.outputs?.verification || null,
+      throughput: runDownload ? state.stages.download?.outputs?.throughput || null : null,
+      cache: runDownload ? state.stages.download?.outputs?.cache || null : null,
+      resplit: options.resplit ? state.stages.split?.outputs?.resplit || null : null,
+      http: { ...http.stats },
+      encoding: {
+        sourceFormat: options.sourceFormat,
+        outputFormat: options.outputFormat,
+        outputBitrate: options.outputFormat === 'mp3' && reencoded ? options.outputBitrate : null,
+        reencoded
+      },
+      layout: presplit ? 'tracks' : 'sides',
+      sourceTracks,
+      sides: sides.map(side => {
+        const split = (state.stages.split?.outputs?.sides || []).find(s => s.file === path.basename(side.file));
+        return {
+          ...side,
+          firstTrack: split?.firstTrack ?? null,
+          trackCount: split?.trackCount ?? null,
+          splitSource: split?.splitSource ?? null,
+          noise: split?.noise ?? null,
+          plan: split?.plan ? path.relative(itemDir, split.plan) : null,
+          cue: split?.cue ? path.relative(itemDir, split.cue) : null,
+          labels: split?.labels ? path.relative(itemDir, split.labels) : null
+        };
+      }),
+      tracks: finalTracks.map(t => path.basename(t)),
+      trackCount: finalTracks.length,
+      durationMs: Date.now() - startTime,
+      stagesRun,
+      cleanup: cleanupReport,
+      naming: naming.enabled ? {
+        enabled: true,
+        tracksNamed: naming.tracks.length,
+        filesRenamed: options.renameFiles,
+        renamedCount: naming.renamedCount || 0,
+        namesJsonPath: naming.namesJsonPath
+      } : {
+        enabled: false
+      }
+    };
+
+    const reportPath = path.join(itemDir, 'report.json');
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+    reportLog.info(`Saved to ${reportPath}`);
+
+    log.info(`\n✓ Complete in ${(report.durationMs / 1000).toFixed(1)}s`, {
+      durationMs: report.durationMs,
+      trackCount: report.trackCount,
+      stagesRun
+    });
+    log.info(`  Output: ${itemDir}\n`);
+
+    return report;
+  } catch (error) {
+    processingFailed = true;
+
+    // A cancelled run is not a failure: leave the stage pending so the next run resumes it
+    if (error instanceof CancelledError || getAbortSignal()?.aborted) {
+      log.warn(`\n⚠ Cancelled ${identifier} during ${currentStage}`, { stage: currentStage });
+      if (state && stateDir && state.stages[currentStage]) {
+        try {
+          state.stages[currentStage].status = 'pending';
+          saveState(stateDir, state);
+        } catch {
+          // Ignore state write errors
+        }
+      }
+      throw error instanceof CancelledError ? error : new CancelledError(identifier);
+    }
+
+    const failure = error instanceof NivenError ? error : new StageError(currentStage, identifier, error);
+    failure.stage ??= currentStage;
+    failure.identifier ??= identifier;
+    // Where the error report goes: next to state.json, or out/<identifier> if metadata failed
+    failure.itemDir ??= stateDir || path.join(options.out, identifier);
+    const { code: errorCode, category, retryable } = describeError(failure);
+
+    log.error(`\n✗ Error processing ${identifier}:`, { stage: currentStage, error: error.message, errorCode, category });
+    log.error(`  ${error.message}\n`);
+
+    // Record the failed stage so the next run resumes from it
+    if (state && stateDir) {
+      try {
+        state.stages[currentStage] = {
+          ...(state.stages[currentStage] || {}),
+          status: 'failed',
+          failedAt: new Date().toISOString(),
+          error: error.message
+        };
+        saveState(stateDir, state);
+      } catch {
+        // Ignore state write errors
+      }
+    }
+
+    // Try to save error report
+    try {
+      const { itemDir } = failure;
+
+      const trashDir = options.trashDir || path.join(options.out, '.trash');
+      const cleanupReport = await maybeCleanupItem({
+        itemDir,
+        identifier,
+        cleanup: options.cleanup,
+        cleanupLevel: options.cleanupLevel,
+        dryRun: options.dryRun,
+        trashDir,
+        purgeTrash: options.purgeTrash,
+        failed: true
+      });
+
+      const errorReport = {
+        identifier,
+        timestamp: new Date().toISOString(),
+        error: error.message,
+        stage: currentStage,
+        errorCode,
+        category,
+        retryable,
+        failed: true,
+        ...(error instanceof FfmpegError ? { ffmpeg: { tool: error.tool, exitCode: error.exitCode, timedOut: error.timedOut, stderr: error.stderr } } : {}),
+        http: { ...http.stats },
+        settings,
+        configFile: config.configFile || null,
+        effectiveSettings: { preset: presetName, ...settings, ...options },
+        settingsSources: sources,
+        cleanup: cleanupReport
+      };
+
+      const reportPath = path.join(itemDir, 'report.json');
+      fs.mkdirSync(itemDir, { recursive: true });
+      fs.writeFileSync(reportPath, JSON.stringify(errorReport, null, 2));
+    } catch (reportError) {
+      // Ignore report write errors
+    }
+
+    throw failure;
+  }
+}
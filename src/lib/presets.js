@@ -1,3 +1,12 @@
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+import { ConfigError } from './errors.js';
+import { compileSidePatterns } from './sides.js';
+import { AUTO_NOISE_DB } from './noisefloor.js';
+
+const log = createLogger('preset');
+
 /**
  * Default presets for different types of audio processing
  */
@@ -23,21 +32,244 @@ export const PRESETS = {
   }
 };
 
+export const DEFAULT_PRESETS_DIR = './presets';
+
+/**
+ * Schema for preset values
+ * type: number|integer|string|patterns (array of side regexes, see lib/sides.js),
+ * min/max: inclusive bounds, keywords: strings accepted in place of a number
+ */
+export const PRESET_SCHEMA = {
+  name: { type: 'string' },
+  description: { type: 'string' },
+  extends: { type: 'string' },
+  noiseDb: { type: 'number', min: -100, max: 0, keywords: [AUTO_NOISE_DB] },
+  minSilence: { type: 'number', min: 0 },
+  minSegment: { type: 'number', min: 0 },
+  introTrimSec: { type: 'number', min: 0 },
+  concurrency: { type: 'integer', min: 1, max: 64 },
+  sidePatterns: { type: 'patterns' }
+};
+
+/**
+ * Validate preset values against PRESET_SCHEMA
+ * @param {object} values - Preset values
+ * @param {string} label - Preset name for error messages
+ * @throws {ConfigError} - Listing every invalid key
+ */
+export function validatePreset(values, label) {
+  const errors = [];
+
+  for (const [key, value] of Object.entries(values)) {
+    const rule = PRESET_SCHEMA[key];
+
+    if (!rule) {
+      errors.push(`unknown key "${key}"`);
+      continue;
+    }
+    if (value === undefined || value === null) {
+      continue;
+    }
+
+    if (rule.type === 'patterns') {
+      if (!Array.isArray(value) || value.some(p => typeof p !== 'string')) {
+        errors.push(`${key} must be an array of regex strings`);
+      } else {
+        try {
+          compileSidePatterns(value);
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+      continue;
+    }
+
+    if (rule.type === 'string') {
+      if (typeof value !== 'string') {
+        errors.push(`${key} must be a string`);
+      }
+      continue;
+    }
+
+    if (rule.keywords?.includes(value)) {
+      continue;
+    }
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      const keywords = rule.keywords ? ` or ${rule.keywords.map(k => `"${k}"`).join('|')}` : '';
+      errors.push(`${key} must be a number${keywords} (got ${JSON.stringify(value)})`);
+    } else if (rule.type === 'integer' && !Number.isInteger(value)) {
+      errors.push(`${key} must be an integer (got ${value})`);
+    } else if (rule.min !== undefined && value < rule.min) {
+      errors.push(`${key} must be >= ${rule.min} (got ${value})`);
+    } else if (rule.max !== undefined && value > rule.max) {
+      errors.push(`${key} must be <= ${rule.max} (got ${value})`);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new ConfigError(`Invalid preset "${label}": ${errors.join(', ')}`);
+  }
+}
+
+/**
+ * Load user-defined presets (one <name>.json per preset)
+ * @param {string} presetsDir - Directory holding preset files
+ * @returns {object} - { [name]: { values, path } }
+ */
+export function loadUserPresets(presetsDir = DEFAULT_PRESETS_DIR) {
+  const userPresets = {};
+
+  if (!presetsDir || !fs.existsSync(presetsDir)) {
+    return userPresets;
+  }
+
+  for (const file of fs.readdirSync(presetsDir).sort()) {
+    if (path.extname(file).toLowerCase() !== '.json') {
+      continue;
+    }
+
+    const presetPath = path.join(presetsDir, file);
+    const name = path.basename(file, path.extname(file));
+    let values;
+
+    try {
+      values = JSON.parse(fs.readFileSync(presetPath, 'utf8'));
+    } catch (error) {
+      throw new ConfigError(`Invalid preset file ${presetPath}: ${error.message}`);
+    }
+
+    validatePreset(values, name);
+    userPresets[name] = { values, path: presetPath };
+  }
+
+  return userPresets;
+}
+
+/**
+ * List built-in and user presets
+ * @param {string} presetsDir - User presets directory
+ * @returns {Array<object>} - [{ name, source, extends, description, path }]
+ */
+export function listPresets(presetsDir = DEFAULT_PRESETS_DIR) {
+  const userPresets = loadUserPresets(presetsDir);
+  const builtIn = Object.entries(PRESETS)
+    .filter(([name]) => !userPresets[name])
+    .map(([name, values]) => ({
+      name,
+      source: 'built-in',
+      extends: null,
+      description: values.description,
+      path: null
+    }));
+
+  const user = Object.entries(userPresets).map(([name, preset]) => ({
+    name,
+    source: 'user',
+    extends: preset.values.extends || null,
+    description: preset.values.description || '',
+    path: preset.path
+  }));
+
+  return [...builtIn, ...user];
+}
+
+/**
+ * Resolve a preset by name, following "extends" chains
+ *
+ * User presets shadow built-in presets of the same name; a user preset
+ * may extend the built-in it shadows.
+ *
+ * @param {string} presetName - Preset name
+ * @param {string} presetsDir - User presets directory
+ * @returns {object} - { settings, chain: Array<string> }
+ * @throws {ConfigError} - Unknown preset, cycle or invalid values
+ */
+export function resolvePreset(presetName, presetsDir = DEFAULT_PRESETS_DIR) {
+  const userPresets = loadUserPresets(presetsDir);
+  const chain = [];
+
+  function resolve(name, allowUser) {
+    const key = `${allowUser ? 'user' : 'built-in'}:${name}`;
+    if (chain.includes(key)) {
+      throw new ConfigError(`Preset inheritance cycle: ${[...chain, key].join(' -> ')}`);
+    }
+    chain.push(key);
+
+    if (allowUser && userPresets[name]) {
+      const { extends: parentName, ...values } = userPresets[name].values;
+      // Extending the shadowed built-in of the same name is allowed
+      const parent = parentName ? resolve(parentName, parentName !== name) : {};
+      return { ...parent, ...values };
+    }
+
+    if (PRESETS[name]) {
+      return { ...PRESETS[name] };
+    }
+
+    const available = [...new Set([...Object.keys(PRESETS), ...Object.keys(userPresets)])].join(', ');
+    throw new ConfigError(`Unknown preset "${name}" (available: ${available})`);
+  }
+
+  const settings = resolve(presetName, true);
+  return { settings, chain: chain.map(key => key.split(':')[1]) };
+}
+
+/**
+ * Save settings as a user preset file
+ * @param {string} presetName - New preset name
+ * @param {object} values - Preset values (may include extends/description)
+ * @param {string} presetsDir - User presets directory
+ * @returns {string} - Path written
+ */
+export function savePreset(presetName, values, presetsDir = DEFAULT_PRESETS_DIR) {
+  if (!/^[a-zA-Z0-9_-]+$/.test(presetName)) {
+    throw new ConfigError(`Invalid preset name "${presetName}" (use letters, digits, _ and -)`);
+  }
+  if (PRESETS[presetName] && values.extends !== presetName) {
+    throw new ConfigError(`Cannot overwrite built-in preset "${presetName}"`);
+  }
+
+  const cleanValues = Object.fromEntries(
+    Object.entries(values).filter(([_, v]) => v !== undefined && v !== null)
+  );
+  validatePreset(cleanValues, presetName);
+
+  fs.mkdirSync(presetsDir, { recursive: true });
+  const presetPath = path.join(presetsDir, `${presetName}.json`);
+  const previous = fs.existsSync(presetPath) ? fs.readFileSync(presetPath, 'utf8') : null;
+  fs.writeFileSync(presetPath, JSON.stringify(cleanValues, null, 2) + '\n');
+
+  // Make sure the saved preset resolves (parent exists, no cycle)
+  try {
+    resolvePreset(presetName, presetsDir);
+  } catch (error) {
+    if (previous !== null) {
+      fs.writeFileSync(presetPath, previous);
+    } else {
+      fs.unlinkSync(presetPath);
+    }
+    throw error;
+  }
+
+  return presetPath;
+}
+
 /**
  * Get preset by name, with CLI overrides
  * @param {string} presetName - Name of preset (or null)
  * @param {object} cliOverrides - CLI flag overrides
+ * @param {object} options - { presetsDir: string }
  * @returns {object} - Final settings
+ * @throws {ConfigError} - Unknown preset or invalid settings
  */
-export function getPreset(presetName = null, cliOverrides = {}) {
+export function getPreset(presetName = null, cliOverrides = {}, { presetsDir = DEFAULT_PRESETS_DIR } = {}) {
   let baseSettings = {};
 
-  if (presetName && PRESETS[presetName]) {
-    baseSettings = { ...PRESETS[presetName] };
-    console.log(`[preset] Using "${baseSettings.name}" preset`);
-  } else if (presetName) {
-    console.warn(`[preset] Unknown preset "${presetName}", using default`);
-    baseSettings = { ...PRESETS.default };
+  if (presetName) {
+    const resolved = resolvePreset(presetName, presetsDir);
+    baseSettings = resolved.settings;
+    const via = resolved.chain.length > 1 ? ` (${resolved.chain.join(' -> ')})` : '';
+    log.info(`Using "${baseSettings.name || presetName}" preset${via}`);
   } else {
     // No preset specified, use Niven as default for this tool
     baseSettings = { ...PRESETS.niven };
@@ -51,13 +283,18 @@ export function getPreset(presetName = null, cliOverrides = {}) {
     )
   };
 
+  validatePreset(finalSettings, presetName || 'niven');
+
   // Show effective settings
-  console.log('[preset] Effective settings:');
-  console.log(`  noiseDb: ${finalSettings.noiseDb}dB`);
-  console.log(`  minSilence: ${finalSettings.minSilence}s`);
-  console.log(`  minSegment: ${finalSettings.minSegment}s`);
-  console.log(`  introTrimSec: ${finalSettings.introTrimSec}s`);
-  console.log(`  concurrency: ${finalSettings.concurrency}`);
+  const noise = typeof finalSettings.noiseDb === 'number' ? `${finalSettings.noiseDb}dB` : `${finalSettings.noiseDb} (measured per side)`;
+  log.info(
+    `Effective settings: noiseDb ${noise}, minSilence ${finalSettings.minSilence}s, minSegment ${finalSettings.minSegment}s, ` +
+    `introTrimSec ${finalSettings.introTrimSec}s, concurrency ${finalSettings.concurrency}`,
+    { preset: presetName || 'niven', settings: finalSettings }
+  );
+  if (finalSettings.sidePatterns?.length) {
+    log.verbose(`  sidePatterns: ${finalSettings.sidePatterns.join(', ')}`);
+  }
 
   return finalSettings;
 }
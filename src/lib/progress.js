@@ -0,0 +1,88 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { CancelledError } from './errors.js';
+
+/**
+ * Progress events for programmatic callers
+ *
+ * The pipeline attaches an EventEmitter to the current item with
+ * runWithProgress(); lib modules call emitProgress() and never need a
+ * reference to it. Each event is emitted under its own type and under
+ * "progress":
+ *
+ *   stage:start       { stage }
+ *   stage:end         { stage, durationMs, itemDir? (metadata) }
+ *   stage:skip        { stage }
+ *   download:progress { file, bytes, totalBytes, done }
+ *   ffmpeg:progress   { label, timeSec, durationSec, percent }
+ *   track             { track, path, start, end, durationSec }
+ *   cleanup           { action: trash|purge|dry-run|remove-cached, path, trashPath?, bytes? }
+ *
+ * Every event also carries { type, identifier, time }.
+ *
+ * The same context carries the caller's AbortSignal, so long-running
+ * steps (downloads, ffmpeg) can be cancelled without threading it through.
+ */
+
+export const PROGRESS_EVENTS = [
+  'stage:start',
+  'stage:end',
+  'stage:skip',
+  'download:progress',
+  'ffmpeg:progress',
+  'track',
+  'cleanup'
+];
+
+const progressContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with progress events routed to an emitter
+ * @param {EventEmitter|null} emitter - Receives events (null disables them)
+ * @param {string} identifier - Item identifier added to every event
+ * @param {Function} fn - async function
+ * @param {AbortSignal|null} signal - Cancels the run
+ * @returns {Promise<*>}
+ */
+export function runWithProgress(emitter, identifier, fn, signal = null) {
+  return progressContext.run({ emitter, identifier, signal }, fn);
+}
+
+/**
+ * AbortSignal of the current item run, if any
+ * @returns {AbortSignal|undefined}
+ */
+export function getAbortSignal() {
+  return progressContext.getStore()?.signal || undefined;
+}
+
+/**
+ * Throw CancelledError when the current item run was cancelled
+ * @throws {CancelledError}
+ */
+export function throwIfCancelled() {
+  if (getAbortSignal()?.aborted) {
+    throw new CancelledError(progressContext.getStore().identifier);
+  }
+}
+
+/**
+ * Emit a progress event for the current item (no-op without an emitter)
+ * @param {string} type - One of PROGRESS_EVENTS
+ * @param {object} data - Event fields
+ */
+export function emitProgress(type, data = {}) {
+  const context = progressContext.getStore();
+  if (!context?.emitter) {
+    return;
+  }
+
+  const event = {
+    type,
+    identifier: context.identifier,
+    time: new Date().toISOString(),
+    ...data
+  };
+
+  context.emitter.emit(type, event);
+  context.emitter.emit('progress', event);
+}
@@ -0,0 +1,294 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { processItem } from './pipeline.js';
+import { CancelledError, describeError } from './errors.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('queue');
+
+/**
+ * Persistent job queue for the serve command
+ *
+ * Jobs live in <out>/.queue/jobs.json and are processed by a fixed number
+ * of workers through processItem. Jobs that were running when the process
+ * stopped are queued again on start; the item's state.json makes them
+ * resume from their first incomplete stage.
+ *
+ * Job statuses: queued → running → succeeded|failed|skipped|cancelled
+ */
+
+export const QUEUE_DIR = '.queue';
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed', 'skipped', 'cancelled'];
+
+const FINISHED = ['succeeded', 'failed', 'skipped', 'cancelled'];
+
+/**
+ * Load the queue file (empty queue if missing or unreadable)
+ * @param {string} queuePath
+ * @returns {object} - { nextId, jobs }
+ */
+function loadQueueFile(queuePath) {
+  if (fs.existsSync(queuePath)) {
+    try {
+      const data = JSON.parse(fs.readFileSync(queuePath, 'utf8'));
+      if (Array.isArray(data.jobs)) {
+        return { nextId: data.nextId || data.jobs.length + 1, jobs: data.jobs };
+      }
+    } catch (error) {
+      log.warn(`⚠ Ignoring unreadable queue ${queuePath}: ${error.message}`);
+    }
+  }
+  return { nextId: 1, jobs: [] };
+}
+
+/**
+ * Create a job queue bound to an output directory
+ * @param {object} options
+ * @param {string} options.out - Output root (queue file and item output)
+ * @param {number} options.concurrency - Worker count
+ * @param {object} options.itemOptions - processItem options shared by every job (config, CLI flags)
+ * @returns {object} - Queue API { start, stop, submit, list, get, cancel, events }
+ */
+export function createJobQueue({ out, concurrency = 2, itemOptions = {} }) {
+  const queuePath = path.join(out, QUEUE_DIR, 'jobs.json');
+  const data = loadQueueFile(queuePath);
+  const controllers = new Map();
+  const events = new EventEmitter();
+  let running = false;
+
+  for (const job of data.jobs) {
+    if (job.status === 'running') {
+      job.status = 'queued';
+      job.stage = null;
+      log.info(`Re-queued interrupted job ${job.id} (${job.identifier})`);
+    }
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(queuePath), { recursive: true });
+    const tmpPath = `${queuePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, queuePath);
+  }
+
+  function findActive(identifier) {
+    return data.jobs.find(j => j.identifier === identifier && !FINISHED.includes(j.status)) || null;
+  }
+
+  function update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    save();
+    events.emit('job', job);
+  }
+
+  /**
+   * Track progress events of a running job (kept in memory, saved on stage changes)
+   */
+  function progressListener(job) {
+    const emitter = new EventEmitter();
+
+    emitter.on('stage:start', event => update(job, { stage: event.stage }));
+    emitter.on('stage:end', event => {
+      if (event.itemDir) {
+        update(job, { itemDir: event.itemDir });
+      }
+    });
+    emitter.on('download:progress', event => {
+      job.progress.download = { file: event.file, bytes: event.bytes, totalBytes: event.totalBytes };
+    });
+    emitter.on('track', () => {
+      job.progress.tracks++;
+    });
+    emitter.on('cleanup', () => {
+      job.progress.cleanupActions++;
+    });
+
+    return emitter;
+  }
+
+  async function runJob(job) {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    update(job, {
+      status: 'running',
+      startedAt: new Date().toISOString(),
+      attempts: (job.attempts || 0) + 1,
+      progress: { download: null, tracks: 0, cleanupActions: 0 }
+    });
+
+    try {
+      const report = await processItem(job.identifier, {
+        ...itemOptions,
+        ...job.options,
+        out,
+        events: progressListener(job),
+        signal: controller.signal
+      });
+
+      update(job, {
+        status: report ? 'succeeded' : 'skipped',
+        stage: null,
+        finishedAt: new Date().toISOString(),
+        trackCount: report ? report.trackCount : null,
+        error: null
+      });
+    } catch (error) {
+      if (error instanceof CancelledError) {
+        // Stopping the server re-queues the job; an explicit cancel finishes it
+        const requeue = controller.signal.reason === 'shutdown';
+        update(job, {
+          status: requeue ? 'queued' : 'cancelled',
+          finishedAt: requeue ? null : new Date().toISOString()
+        });
+      } else {
+        update(job, {
+          status: 'failed',
+          finishedAt: new Date().toISOString(),
+          itemDir: error.itemDir ?? job.itemDir ?? path.join(out, job.identifier),
+          error: error.message,
+          errorCode: error.code || null,
+          category: describeError(error).category
+        });
+      }
+    } finally {
+      controllers.delete(job.id);
+    }
+  }
+
+  async function worker() {
+    while (running) {
+      const job = data.jobs.find(j => j.status === 'queued');
+      if (!job) {
+        await new Promise(resolve => events.once('submitted', resolve));
+        continue;
+      }
+      await runJob(job);
+    }
+  }
+
+  return {
+    events,
+
+    /**
+     * Start the workers
+     */
+    start() {
+      running = true;
+      save();
+      log.info(`${concurrency} workers, ${data.jobs.filter(j => j.status === 'queued').length} jobs queued`);
+      for (let i = 0; i < Math.max(1, concurrency); i++) {
+        worker();
+      }
+    },
+
+    /**
+     * Stop the workers; running jobs are aborted and re-queued
+     * @returns {Promise<void>} - Resolves once running jobs have stopped
+     */
+    async stop() {
+      running = false;
+      events.emit('submitted');
+      const stopping = [...controllers.keys()].map(id => new Promise(resolve => {
+        const job = data.jobs.find(j => j.id === id);
+        const onJob = changed => {
+          if (changed === job && changed.status !== 'running') {
+            events.off('job', onJob);
+            resolve();
+          }
+        };
+        events.on('job', onJob);
+      }));
+      for (const controller of controllers.values()) {
+        controller.abort('shutdown');
+      }
+      await Promise.all(stopping);
+    },
+
+    /**
+     * Queued or running job of an identifier
+     * @param {string} identifier
+     * @returns {object|null}
+     */
+    findActive,
+
+    /**
+     * Add identifiers to the queue
+     *
+     * An identifier that is already queued or running is not added twice
+     * (its existing job, with its own options, is returned).
+     *
+     * @param {Array<string>} identifiers
+     * @param {object} options - processItem options for these jobs
+     * @returns {Array<object>} - Jobs (new or existing)
+     */
+    submit(identifiers, options = {}) {
+      const jobs = identifiers.map(identifier => {
+        const active = findActive(identifier);
+        if (active) {
+          return active;
+        }
+
+        const job = {
+          id: data.nextId++,
+          identifier,
+          status: 'queued',
+          stage: null,
+          options,
+          createdAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString(),
+          startedAt: null,
+          finishedAt: null,
+          itemDir: null,
+          progress: null,
+          attempts: 0,
+          error: null
+        };
+        data.jobs.push(job);
+        log.info(`Queued job ${job.id}: ${identifier}`);
+        return job;
+      });
+
+      save();
+      events.emit('submitted');
+      return jobs;
+    },
+
+    /**
+     * List jobs, optionally by status
+     * @param {string|null} status
+     * @returns {Array<object>}
+     */
+    list(status = null) {
+      return data.jobs.filter(job => !status || job.status === status);
+    },
+
+    /**
+     * @param {number} id
+     * @returns {object|null}
+     */
+    get(id) {
+      return data.jobs.find(job => job.id === id) || null;
+    },
+
+    /**
+     * Cancel a queued or running job
+     * @param {number} id
+     * @returns {object|null} - The job, null if unknown
+     */
+    cancel(id) {
+      const job = data.jobs.find(j => j.id === id);
+      if (!job) {
+        return null;
+      }
+
+      if (job.status === 'queued') {
+        update(job, { status: 'cancelled', finishedAt: new Date().toISOString() });
+      } else if (job.status === 'running') {
+        log.info(`Cancelling job ${job.id} (${job.identifier})`);
+        controllers.get(job.id)?.abort('cancel');
+      }
+      return job;
+    }
+  };
+}
@@ -0,0 +1,186 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { findItemDirs } from './status.js';
+import { SETTING_KEYS } from './config.js';
+import { ERROR_TAXONOMY } from './errors.js';
+
+/**
+ * Failed item discovery and retry bookkeeping (retry-failed command)
+ *
+ * Failed items are found from the error report.json the pipeline writes
+ * ({ failed: true, error, stage, settings... }). Every retry attempt is
+ * appended to report.retryHistory, which survives the report rewrite.
+ */
+
+export const ERROR_CATEGORIES = [
+  ...new Set([...Object.values(ERROR_TAXONOMY).map(entry => entry.category), 'metadata', 'download', 'ffmpeg', 'other'])
+];
+
+/**
+ * Categories skipped by retry-failed unless selected with --category
+ */
+export const NON_RETRYABLE_CATEGORIES = Object.values(ERROR_TAXONOMY)
+  .filter(entry => !entry.retryable)
+  .map(entry => entry.category);
+
+/**
+ * Options replayed from the original run (everything except paths and logging)
+ */
+const REPLAYED_OPTIONS = [
+  'preset',
+  ...SETTING_KEYS,
+  'presetsDir',
+  'cleanup',
+  'cleanupLevel',
+  'dryRun',
+  'purgeTrash',
+  'trashDir',
+  'generateNames',
+  'renameFiles',
+  'sourceFormat',
+  'outputFormat',
+  'outputBitrate'
+];
+
+/**
+ * Classify an error report
+ *
+ * Uses the category recorded by the pipeline, then the failed stage;
+ * older reports only carry the message.
+ *
+ * @param {object} report - Error report.json content
+ * @returns {string} - One of ERROR_CATEGORIES
+ */
+export function categorizeError(report) {
+  if (report.category && ERROR_CATEGORIES.includes(report.category)) {
+    return report.category;
+  }
+
+  const message = report.error || '';
+  const stage = report.stage || null;
+
+  if (/Missing Side A or Side B|Missing or ambiguous sides|No audio files/i.test(message)) {
+    return 'missing-sides';
+  }
+  if (stage === 'metadata' || /Failed to fetch metadata/i.test(message)) {
+    return 'metadata';
+  }
+  if (stage === 'download') {
+    return 'download';
+  }
+  if (stage === 'split' || /ffmpeg|ffprobe|Silence detection|Trim failed/i.test(message)) {
+    return 'ffmpeg';
+  }
+  return 'other';
+}
+
+/**
+ * Find every failed item under an output root
+ * @param {string} outDir - Output root
+ * @returns {Promise<Array<object>>} - [{ identifier, source, itemDir, report, category }]
+ */
+export async function findFailedItems(outDir) {
+  const failed = [];
+
+  for (const entry of await findItemDirs(outDir)) {
+    const reportPath = path.join(entry.itemDir, 'report.json');
+    let report;
+    try {
+      report = await fs.readJson(reportPath);
+    } catch {
+      continue;
+    }
+
+    if (report.failed && !report.supersededBy) {
+      failed.push({ ...entry, report, category: categorizeError(report) });
+    }
+  }
+
+  return failed;
+}
+
+/**
+ * Group failed items by error category
+ * @param {Array<object>} items - From findFailedItems
+ * @returns {object} - { category: [items] }
+ */
+export function groupByCategory(items) {
+  const groups = {};
+  for (const item of items) {
+    groups[item.category] = groups[item.category] || [];
+    groups[item.category].push(item);
+  }
+  return groups;
+}
+
+/**
+ * Options an item originally ran with, as recorded in its report
+ * @param {object} report - Error report.json content
+ * @returns {object|null} - processItem options, null when the report predates settings recording
+ */
+export function getRetryOptions(report) {
+  const recorded = report.effectiveSettings;
+  if (!recorded) {
+    return null;
+  }
+
+  const options = {};
+  for (const key of REPLAYED_OPTIONS) {
+    if (recorded[key] !== undefined && recorded[key] !== null) {
+      options[key] = recorded[key];
+    }
+  }
+  return options;
+}
+
+/**
+ * Append a retry attempt to the item's report.json
+ *
+ * The pipeline has just rewritten report.json (success or error report);
+ * the previous history is carried over and the new attempt appended.
+ *
+ * @param {string} itemDir - Directory holding the new report.json
+ * @param {object} previousReport - report.json before the retry
+ * @param {object} attempt - { startedAt, status, durationMs, error? }
+ * @returns {Promise<object>} - Updated report
+ */
+export async function recordRetryAttempt(itemDir, previousReport, attempt) {
+  const reportPath = path.join(itemDir, 'report.json');
+  let report;
+  try {
+    report = await fs.readJson(reportPath);
+  } catch {
+    report = { ...previousReport };
+  }
+
+  const history = previousReport.retryHistory || [];
+  report.retryHistory = [
+    ...history,
+    {
+      attempt: history.length + 1,
+      ...attempt,
+      previousError: previousReport.error || null,
+      previousCategory: categorizeError(previousReport)
+    }
+  ];
+
+  await fs.writeJson(reportPath, report, { spaces: 2 });
+  return report;
+}
+
+/**
+ * Mark an error report left in another directory as resolved
+ *
+ * An item whose metadata failed was reported under out/<identifier>;
+ * once its metadata loads (whether the retry then succeeds or fails
+ * further on) it is reported under out/<source>/<identifier>.
+ *
+ * @param {string} staleDir - Directory of the old error report
+ * @param {string} itemDir - Directory of the new report
+ */
+export async function markSuperseded(staleDir, itemDir) {
+  const reportPath = path.join(staleDir, 'report.json');
+  const report = await fs.readJson(reportPath);
+  report.supersededBy = itemDir;
+  await fs.writeJson(reportPath, report, { spaces: 2 });
+}
@@ -0,0 +1,187 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+import { SETTING_KEYS } from './config.js';
+
+const log = createLogger('serve');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Options a job may set. Anything touching the filesystem (out, cleanup,
+ * trash, cache, presets and log paths...) stays as the server was started:
+ * every local user can submit jobs.
+ */
+export const JOB_OPTION_KEYS = [
+  'preset',
+  ...SETTING_KEYS,
+  'sourceFormat',
+  'outputFormat',
+  'outputBitrate',
+  'generateNames',
+  'renameFiles'
+];
+
+/**
+ * Local HTTP API over a job queue (serve command)
+ *
+ *   POST   /jobs              { identifier | identifiers: [], options?: {} } → 201 { jobs }
+ *                              (400 for options outside JOB_OPTION_KEYS, 409 when an
+ *                              identifier is already queued or running with other options)
+ *   GET    /jobs[?status=]    → { jobs }
+ *   GET    /jobs/:id          → job (status, stage, progress, error)
+ *   DELETE /jobs/:id          → cancel a queued or running job
+ *   GET    /jobs/:id/report   → report.json of a finished job
+ *   GET    /health            → { ok, jobs: { status: count } }
+ */
+
+/**
+ * Create the API server (not listening yet)
+ * @param {object} queue - From createJobQueue
+ * @returns {http.Server}
+ */
+export function createApiServer(queue) {
+  return http.createServer(async (req, res) => {
+    try {
+      await route(queue, req, res);
+    } catch (error) {
+      sendJson(res, error.statusCode || 500, { error: error.message });
+    }
+  });
+}
+
+/**
+ * @param {object} queue
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+async function route(queue, req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const parts = url.pathname.split('/').filter(Boolean);
+  log.verbose(`${req.method} ${url.pathname}`);
+
+  if (req.method === 'GET' && url.pathname === '/health') {
+    const counts = {};
+    for (const job of queue.list()) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+    return sendJson(res, 200, { ok: true, jobs: counts });
+  }
+
+  if (parts[0] !== 'jobs' || parts.length > 3) {
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+
+  if (parts.length === 1) {
+    if (req.method === 'GET') {
+      return sendJson(res, 200, { jobs: queue.list(url.searchParams.get('status')) });
+    }
+    if (req.method === 'POST') {
+      const body = await readJsonBody(req);
+      const identifiers = body.identifiers || (body.identifier ? [body.identifier] : []);
+      if (!Array.isArray(identifiers) || identifiers.length === 0 || identifiers.some(id => typeof id !== 'string' || !id.trim())) {
+        return sendJson(res, 400, { error: 'Expected "identifier" or a non-empty "identifiers" array' });
+      }
+      if (body.options !== undefined && (typeof body.options !== 'object' || Array.isArray(body.options) || body.options === null)) {
+        return sendJson(res, 400, { error: '"options" must be an object' });
+      }
+      const options = { ...body.options };
+      const rejected = Object.keys(options).filter(key => !JOB_OPTION_KEYS.includes(key));
+      if (rejected.length > 0) {
+        return sendJson(res, 400, { error: `Options not allowed per job: ${rejected.join(', ')} (allowed: ${JOB_OPTION_KEYS.join(', ')})` });
+      }
+
+      const trimmed = identifiers.map(id => id.trim());
+      const conflicts = trimmed
+        .map(identifier => queue.findActive(identifier))
+        .filter(job => job && !sameOptions(job.options, options));
+      if (conflicts.length > 0) {
+        return sendJson(res, 409, {
+          error: `Already queued or running with other options: ${conflicts.map(job => `${job.identifier} (job ${job.id})`).join(', ')}`,
+          jobs: conflicts
+        });
+      }
+
+      const jobs = queue.submit(trimmed, options);
+      return sendJson(res, 201, { jobs });
+    }
+    return sendJson(res, 405, { error: 'Method not allowed' });
+  }
+
+  const job = queue.get(Number(parts[1]));
+  if (!job) {
+    return sendJson(res, 404, { error: `Unknown job ${parts[1]}` });
+  }
+
+  if (parts.length === 2) {
+    if (req.method === 'GET') {
+      return sendJson(res, 200, job);
+    }
+    if (req.method === 'DELETE') {
+      if (!['queued', 'running'].includes(job.status)) {
+        return sendJson(res, 409, { error: `Job ${job.id} is already ${job.status}` });
+      }
+      return sendJson(res, 202, queue.cancel(job.id));
+    }
+    return sendJson(res, 405, { error: 'Method not allowed' });
+  }
+
+  if (parts[2] === 'report' && req.method === 'GET') {
+    const reportPath = job.itemDir ? path.join(job.itemDir, 'report.json') : null;
+    if (!['succeeded', 'failed', 'skipped'].includes(job.status) || !reportPath || !fs.existsSync(reportPath)) {
+      return sendJson(res, 404, { error: `No report for job ${job.id} (${job.status})` });
+    }
+    return sendJson(res, 200, JSON.parse(fs.readFileSync(reportPath, 'utf8')));
+  }
+
+  return sendJson(res, 404, { error: 'Not found' });
+}
+
+/**
+ * Whether two job option objects are the same, whatever the key order
+ * @param {object} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+function sameOptions(a = {}, b = {}) {
+  const normalize = options => JSON.stringify(Object.entries(options).sort(([x], [y]) => x.localeCompare(y)));
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<object>}
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error('Request body too large'), { statusCode: 413 });
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new Error('expected a JSON object');
+    }
+    return body;
+  } catch (error) {
+    throw Object.assign(new Error(`Invalid JSON body: ${error.message}`), { statusCode: 400 });
+  }
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {object} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body, null, 2) + '\n');
+}
@@ -0,0 +1,156 @@
+/**
+ * Side detection for cassette items
+ *
+ * Audio file names are matched (without extension, case-insensitive)
+ * against a list of regular expressions with a named group `side` and an
+ * optional named group `tape`. The first pattern that matches wins, so
+ * patterns from presets/config (sidePatterns) are tried before the
+ * built-in ones. Sides are sorted by tape, then side (A=1, B=2, ...).
+ */
+
+import { ConfigError } from './errors.js';
+
+export const DEFAULT_SIDE_PATTERNS = [
+  // Tape 2 Side A, Cassette_1-Face_B, K7 3 Side 2
+  '(?:^|[^a-z])(?:tape|cassette|k7)[ _-]?(?<tape>\\d+)[ _-]*(?:side|face)[ _-]?(?<side>[a-z]|\\d+)$',
+  // _Side_A, Side 2, Face B
+  '(?:^|[^a-z])(?:side|face)[ _-]?(?<side>[a-z]|\\d+)$',
+  // Tape1A, Tape_2_B
+  '(?:^|[^a-z])(?:tape|cassette|k7)[ _-]?(?<tape>\\d+)[ _-]?(?<side>[ab])$',
+  // _A, -b
+  '[ _-](?<side>[ab])$'
+];
+
+/**
+ * Compile side patterns (user patterns first, then the built-in ones)
+ * @param {Array<string>} extraPatterns - Patterns from presets/config
+ * @returns {Array<RegExp>}
+ * @throws {ConfigError} - Invalid regex or missing (?<side>...) group
+ */
+export function compileSidePatterns(extraPatterns = []) {
+  return [...(extraPatterns || []), ...DEFAULT_SIDE_PATTERNS].map(pattern => {
+    let regex;
+    try {
+      regex = new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new ConfigError(`Invalid side pattern "${pattern}": ${error.message}`);
+    }
+    if (!/\(\?<side>/.test(pattern)) {
+      throw new ConfigError(`Side pattern "${pattern}" has no (?<side>...) group`);
+    }
+    return regex;
+  });
+}
+
+/**
+ * Order of a side within its tape: A/1 → 1, B/2 → 2, ...
+ * @param {string} side - Normalized side (letter or number)
+ * @returns {number}
+ */
+function sideOrder(side) {
+  return /^\d+$/.test(side) ? Number(side) : side.charCodeAt(0) - 64;
+}
+
+/**
+ * Match audio files to tapes and sides
+ * @param {Array<object>} files - Metadata file objects
+ * @param {Array<string>} extraPatterns - Patterns from presets/config
+ * @returns {object} - { sides: [{ file, tape, side, order, label, pattern }] sorted, unmatched: [file] }
+ */
+export function detectSides(files, extraPatterns = []) {
+  const patterns = compileSidePatterns(extraPatterns);
+  const sides = [];
+  const unmatched = [];
+
+  for (const file of files) {
+    const stem = file.name.replace(/^.*\//, '').replace(/\.[^.]+$/, '');
+    const pattern = patterns.find(p => p.test(stem));
+
+    if (!pattern) {
+      unmatched.push(file);
+      continue;
+    }
+
+    const groups = stem.match(pattern).groups;
+    const side = groups.side.toUpperCase();
+    sides.push({
+      file,
+      tape: groups.tape ? Number(groups.tape) : null,
+      side,
+      order: sideOrder(side),
+      label: null,
+      pattern: pattern.source
+    });
+  }
+
+  // Files without a tape number belong to the first tape
+  const tapes = [...new Set(sides.map(s => s.tape).filter(t => t !== null))].sort((a, b) => a - b);
+  for (const entry of sides) {
+    entry.tape = entry.tape ?? tapes[0] ?? 1;
+  }
+
+  sides.sort((a, b) => a.tape - b.tape || a.order - b.order || a.file.name.localeCompare(b.file.name));
+
+  const multiTape = new Set(sides.map(s => s.tape)).size > 1;
+  for (const entry of sides) {
+    entry.label = multiTape ? `Tape ${entry.tape} Side ${entry.side}` : `Side ${entry.side}`;
+  }
+
+  return { sides, unmatched };
+}
+
+/**
+ * Check that every tape has its sides, without duplicates or gaps
+ *
+ * Each tape needs at least two sides, numbered from A (or 1) without gaps.
+ *
+ * @param {Array<object>} sides - From detectSides
+ * @returns {Array<string>} - Problems (empty when complete)
+ */
+export function checkSides(sides) {
+  const problems = [];
+  const byTape = new Map();
+
+  for (const entry of sides) {
+    if (!byTape.has(entry.tape)) {
+      byTape.set(entry.tape, []);
+    }
+    byTape.get(entry.tape).push(entry);
+  }
+
+  if (byTape.size === 0) {
+    return ['no file matches a side pattern'];
+  }
+
+  const multiTape = byTape.size > 1;
+  for (const [tape, entries] of byTape) {
+    const prefix = multiTape ? `Tape ${tape} ` : '';
+    const orders = entries.map(e => e.order);
+
+    for (const entry of entries) {
+      const twins = entries.filter(e => e.order === entry.order);
+      if (twins.length > 1 && twins[0] === entry) {
+        problems.push(`duplicate ${entry.label}: ${twins.map(e => e.file.name).join(', ')}`);
+      }
+    }
+
+    const last = Math.max(2, ...orders);
+    const letters = entries.every(e => !/^\d+$/.test(e.side));
+    for (let order = 1; order <= last; order++) {
+      if (!orders.includes(order)) {
+        problems.push(`missing ${prefix}Side ${letters ? String.fromCharCode(64 + order) : order}`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Side mapping as recorded in state.json and report.json
+ * @param {Array<object>} sides - From detectSides
+ * @returns {Array<object>} - [{ file, tape, side, label }]
+ */
+export function describeSides(sides) {
+  return sides.map(({ file, tape, side, label }) => ({ file: file.name, tape, side, label }));
+}
@@ -1,62 +1,168 @@
-import { exec } from 'child_process';
-import { promisify } from 'util';
 import fs from 'fs';
 import path from 'path';
+import { createLogger } from './logger.js';
+import { emitProgress, throwIfCancelled } from './progress.js';
+import { runFfmpeg, probeDuration } from './ffmpeg.js';
+import { NoAudioError, FfmpegError } from './errors.js';
+import { writeSplitPoints } from './cuesheet.js';
+import { writeSplitPlan } from './splitplan.js';
+import { estimateNoiseThreshold, AUTO_NOISE_DB, FALLBACK_NOISE_DB } from './noisefloor.js';
+
+const log = createLogger('split');
+const silenceLog = createLogger('silence');
+const trimLog = createLogger('trim');
+const noiseLog = createLogger('noise');
+const processLog = createLogger('process');
+const cleanupLog = createLogger('cleanup');
 
-const execAsync = promisify(exec);
+/**
+ * Track encodings. A source already in the output format is cut with
+ * `-c copy` (no re-encode); anything else is encoded.
+ */
+export const OUTPUT_FORMATS = ['mp3', 'flac'];
+
+/**
+ * ffmpeg codec arguments for exporting tracks from a source file
+ * @param {string} inputPath - Source file (its extension decides copy vs encode)
+ * @param {object} options - { outputFormat: mp3|flac, outputBitrate: kbps for MP3 encoding }
+ * @returns {object} - { extension: '.mp3'|'.flac', args: Array<string>, reencode: boolean }
+ */
+export function getTrackEncoding(inputPath, { outputFormat = 'mp3', outputBitrate = 192 } = {}) {
+  const extension = `.${outputFormat}`;
+
+  if (path.extname(inputPath).toLowerCase() === extension) {
+    return { extension, args: ['-c', 'copy'], reencode: false };
+  }
+  if (outputFormat === 'flac') {
+    return { extension, args: ['-map_metadata', '0', '-c:a', 'flac'], reencode: true };
+  }
+  return { extension, args: ['-map_metadata', '0', '-codec:a', 'libmp3lame', '-b:a', `${outputBitrate}k`], reencode: true };
+}
+
+/**
+ * Whether an ffmpeg/ffprobe failure means the input has no decodable audio
+ * @param {Error} error - FfmpegError (last stderr lines attached)
+ * @returns {boolean}
+ */
+function isUndecodable(error) {
+  return /does not contain any stream|Invalid data found when processing input|could not find codec parameters/i
+    .test(`${error.stderr || ''} ${error.message}`);
+}
 
 /**
  * Detect silence segments in audio file using ffmpeg
  * @param {string} inputPath - Path to input audio file
- * @param {object} options - { noiseDb: number, minSilence: number }
+ * @param {object} options - { noiseDb: number (this side's threshold, see resolveNoiseDb), minSilence: number, durationSec?: number (progress), timeoutSec?: number }
  * @returns {Promise<Array>} - Array of silence segments { start, end, duration }
  */
-async function detectSilence(inputPath, { noiseDb = -35, minSilence = 0.6 } = {}) {
-  console.log(`[silence] Detecting silence in ${path.basename(inputPath)}`);
-  console.log(`[silence] Settings: noise=${noiseDb}dB, minSilence=${minSilence}s`);
+async function detectSilence(inputPath, { noiseDb = -35, minSilence = 0.6, durationSec = null, timeoutSec } = {}) {
+  silenceLog.info(`Detecting silence in ${path.basename(inputPath)}`);
+  silenceLog.verbose(`Settings: noise=${noiseDb}dB, minSilence=${minSilence}s`, { noiseDb, minSilence });
 
-  const command = `ffmpeg -i "${inputPath}" -af silencedetect=noise=${noiseDb}dB:d=${minSilence} -f null -`;
+  const silences = [];
+  let currentSilence = {};
 
-  try {
-    const { stderr } = await execAsync(command);
-    const silences = [];
-    let currentSilence = {};
+  // silencedetect lines are parsed as ffmpeg prints them
+  const onLine = line => {
+    const startMatch = line.match(/silence_start: ([\d.]+)/);
+    const endMatch = line.match(/silence_end: ([\d.]+)/);
 
-    const lines = stderr.split('\n');
-    for (const line of lines) {
-      const startMatch = line.match(/silence_start: ([\d.]+)/);
-      const endMatch = line.match(/silence_end: ([\d.]+)/);
+    if (startMatch) {
+      currentSilence.start = parseFloat(startMatch[1]);
+    }
+    if (endMatch && currentSilence.start !== undefined) {
+      currentSilence.end = parseFloat(endMatch[1]);
+      currentSilence.duration = currentSilence.end - currentSilence.start;
+      silences.push({ ...currentSilence });
+      currentSilence = {};
+    }
+  };
 
-      if (startMatch) {
-        currentSilence.start = parseFloat(startMatch[1]);
-      }
-      if (endMatch && currentSilence.start !== undefined) {
-        currentSilence.end = parseFloat(endMatch[1]);
-        currentSilence.duration = currentSilence.end - currentSilence.start;
-        silences.push({ ...currentSilence });
-        currentSilence = {};
-      }
+  try {
+    await runFfmpeg(['-i', inputPath, '-af', `silencedetect=noise=${noiseDb}dB:d=${minSilence}`, '-f', 'null', '-'], {
+      label: `silence ${path.basename(inputPath)}`,
+      durationSec,
+      timeoutSec,
+      onLine
+    });
+  } catch (error) {
+    if (isUndecodable(error)) {
+      throw new NoAudioError(`No decodable audio in ${path.basename(inputPath)}`, { file: path.basename(inputPath), cause: error });
+    }
+    if (error instanceof FfmpegError) {
+      error.message = `Silence detection failed: ${error.message}`;
     }
+    throw error;
+  }
+
+  silenceLog.info(`Found ${silences.length} silence segments`, { count: silences.length });
+  silenceLog.debug('Silence segments', { silences });
+  return silences;
+}
+
+/**
+ * Silence threshold of a side: the configured number, or measured for "auto"
+ * @param {string} workingFile - Side (or its trimmed copy)
+ * @param {number|string} noiseDb - dB or "auto"
+ * @param {object} options - { durationSec, timeoutSec, sideLabel }
+ * @returns {Promise<object>} - { mode: fixed|auto, noiseDb, ...measurements (auto) }
+ */
+async function resolveNoiseDb(workingFile, noiseDb, { durationSec, timeoutSec, sideLabel }) {
+  if (noiseDb !== AUTO_NOISE_DB) {
+    return { mode: 'fixed', noiseDb };
+  }
 
-    console.log(`[silence] Found ${silences.length} silence segments`);
-    return silences;
+  const name = sideLabel || path.basename(workingFile);
+  noiseLog.info(`Measuring noise floor of ${name}`);
+  let analysis;
+  try {
+    analysis = await estimateNoiseThreshold(workingFile, { durationSec, timeoutSec });
   } catch (error) {
-    throw new Error(`Silence detection failed: ${error.message}`);
+    if (isUndecodable(error)) {
+      throw new NoAudioError(`No decodable audio in ${path.basename(workingFile)}`, { file: path.basename(workingFile), cause: error });
+    }
+    if (error instanceof FfmpegError) {
+      error.message = `Noise analysis failed: ${error.message}`;
+    }
+    throw error;
+  }
+
+  if (!analysis) {
+    noiseLog.warn(`⚠ ${name}: no level measured, using ${FALLBACK_NOISE_DB}dB`, { noiseDb: FALLBACK_NOISE_DB });
+    return { mode: 'auto', noiseDb: FALLBACK_NOISE_DB, fallback: true };
   }
+
+  const volume = analysis.meanVolumeDb !== null ? `, mean ${analysis.meanVolumeDb} dB, peak ${analysis.maxVolumeDb} dB` : '';
+  noiseLog.info(`${name}: floor ${analysis.noiseFloorDb} dB, median ${analysis.programDb} dB${volume} → threshold ${analysis.noiseDb} dB`, analysis);
+  return { mode: 'auto', ...analysis };
 }
 
 /**
  * Split audio file into tracks based on silence detection
  *
+ * With splitPoints (hand-edited CUE sheet or labels, in raw file seconds),
+ * silence detection and the intro trim are skipped and the raw file is cut
+ * at those points.
+ *
+ * With splitsDir, the plan (splits/<side>.splits.json, see lib/splitplan.js),
+ * a CUE sheet and an Audacity label track are saved for the side.
+ *
  * @param {string} inputPath - Path to input audio file
  * @param {string} outDir - Output directory for tracks
  * @param {object} options - Processing options
  * @param {number} options.introTrimSec - Seconds to trim from the start
- * @param {number} options.noiseDb - Noise threshold for silence detection
+ * @param {number|string} options.noiseDb - Noise threshold for silence detection (dB), or "auto" to measure it on this side
  * @param {number} options.minSilence - Minimum silence duration
  * @param {number} options.minSegment - Minimum segment duration to keep
  * @param {number} options.startIndex - Track index to start numbering from (default: 1)
- * @returns {Promise<object>} - { tracks: Array, nextIndex: number }
+ * @param {string} options.outputFormat - Track format: mp3 (default) or flac
+ * @param {number} options.outputBitrate - MP3 bitrate (kbps) when encoding from another format
+ * @param {number} options.ffmpegTimeoutSec - Time limit of each ffmpeg run (0 = none)
+ * @param {Array<object>} options.splitPoints - [{ start, end|null }] to cut at instead of detecting silence
+ * @param {string} options.splitSource - Where splitPoints come from (cue|labels), recorded in the plan
+ * @param {string} options.splitsDir - Where to save the plan, CUE sheet and labels (none when omitted)
+ * @param {string} options.sideLabel - Side name for the plan and the CUE title
+ * @returns {Promise<object>} - { tracks: Array, nextIndex: number, segments: [{ track, start, end, duration, encoding }] in raw file seconds, splitFiles: { plan, cue, labels }|null, noise: { mode, noiseDb, ...measurements }|null }
  */
 export async function splitIntoTracks(inputPath, outDir, options = {}) {
   const {
@@ -64,101 +170,273 @@ export async function splitIntoTracks(inputPath, outDir, options = {}) {
     noiseDb = -35,
     minSilence = 0.6,
     minSegment = 20,
-    startIndex = 1
+    startIndex = 1,
+    outputFormat = 'mp3',
+    outputBitrate = 192,
+    ffmpegTimeoutSec: timeoutSec,
+    splitPoints = null,
+    splitSource = 'silence',
+    splitsDir = null,
+    sideLabel = null
   } = options;
 
   fs.mkdirSync(outDir, { recursive: true });
+  const encoding = getTrackEncoding(inputPath, { outputFormat, outputBitrate });
+  if (encoding.reencode) {
+    log.info(`Encoding tracks as ${outputFormat}${outputFormat === 'mp3' ? ` ${outputBitrate}k` : ''} from ${path.extname(inputPath).slice(1)}`);
+  }
 
-  // Apply intro trim if needed
+  // Apply intro trim if needed (hand-edited split points already skip the intro)
   let workingFile = inputPath;
-  if (introTrimSec > 0) {
-    console.log(`[trim] Removing first ${introTrimSec}s from ${path.basename(inputPath)}`);
+  if (introTrimSec > 0 && !splitPoints) {
+    trimLog.info(`Removing first ${introTrimSec}s from ${path.basename(inputPath)}`, { introTrimSec });
     const trimmedPath = path.join(outDir, `_trimmed_${path.basename(inputPath)}`);
-    const trimCommand = `ffmpeg -i "${inputPath}" -ss ${introTrimSec} -c copy "${trimmedPath}" -y`;
 
     try {
-      await execAsync(trimCommand);
+      await runFfmpeg(['-i', inputPath, '-ss', String(introTrimSec), '-c', 'copy', trimmedPath, '-y'], {
+        label: `trim ${path.basename(inputPath)}`,
+        timeoutSec
+      });
       workingFile = trimmedPath;
-      console.log(`[trim] ✓ Trimmed file created`);
+      trimLog.info(`✓ Trimmed file created`);
     } catch (error) {
-      throw new Error(`Trim failed: ${error.message}`);
-    }
-  }
-
-  // Detect silence
-  const silences = await detectSilence(workingFile, { noiseDb, minSilence });
-
-  if (silences.length === 0) {
-    console.warn(`[split] No silence detected, exporting whole file as single track`);
-    const outputPath = path.join(outDir, `track_${String(startIndex).padStart(3, '0')}.mp3`);
-    const copyCommand = `ffmpeg -i "${workingFile}" -c copy "${outputPath}" -y`;
-    await execAsync(copyCommand);
-    return { tracks: [outputPath], nextIndex: startIndex + 1 };
-  }
-
-  // Build segments from silences
-  const segments = [];
-  let lastEnd = 0;
-
-  for (const silence of silences) {
-    if (silence.start > lastEnd) {
-      const duration = silence.start - lastEnd;
-      if (duration >= minSegment) {
-        segments.push({ start: lastEnd, end: silence.start, duration });
+      if (error instanceof FfmpegError) {
+        error.message = `Trim failed: ${error.message}`;
       }
+      throw error;
     }
-    lastEnd = silence.end;
   }
 
-  // Add final segment (from last silence to end)
-  const { stdout } = await execAsync(`ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 "${workingFile}"`);
-  const totalDuration = parseFloat(stdout.trim());
-  if (totalDuration > lastEnd) {
-    const duration = totalDuration - lastEnd;
-    if (duration >= minSegment) {
-      segments.push({ start: lastEnd, end: totalDuration, duration });
+  // The duration drives the progress of silence detection and closes the last segment
+  const totalDuration = await probeDuration(workingFile, { timeoutSec }).catch(error => {
+    if (isUndecodable(error)) {
+      return NaN;
     }
+    throw error;
+  });
+  if (Number.isNaN(totalDuration)) {
+    throw new NoAudioError(`No decodable audio in ${path.basename(inputPath)} (ffprobe reports no duration)`, {
+      file: path.basename(inputPath)
+    });
   }
 
-  console.log(`[split] Extracted ${segments.length} segments (min ${minSegment}s)`);
+  const noise = splitPoints ? null : await resolveNoiseDb(workingFile, noiseDb, { durationSec: totalDuration, timeoutSec, sideLabel });
+
+  // Segment times are relative to the working file; the trim is added back in the plan
+  const offset = workingFile === inputPath ? 0 : introTrimSec;
+  const detected = splitPoints
+    ? getManualSegments(splitPoints, totalDuration)
+    : await getSilenceSegments(workingFile, { noiseDb: noise.noiseDb, minSilence, minSegment, totalDuration, timeoutSec });
+  const toRaw = segment => ({
+    ...segment,
+    start: roundMs(offset + segment.start),
+    end: roundMs(offset + segment.end),
+    duration: roundMs(segment.duration)
+  });
+  const dropped = detected.dropped.map(toRaw);
+  if (offset > 0) {
+    dropped.unshift({ start: 0, end: offset, duration: offset, reason: 'intro trim' });
+  }
 
   // Export tracks
   const tracks = [];
+  const exported = [];
   let trackIndex = startIndex;
 
-  for (const segment of segments) {
-    const trackName = `track_${String(trackIndex).padStart(3, '0')}.mp3`;
-    const outputPath = path.join(outDir, trackName);
+  if (!splitPoints && detected.silences.length === 0) {
+    log.warn(`No silence detected, exporting whole file as single track`);
+    const outputPath = path.join(outDir, `track_${String(startIndex).padStart(3, '0')}${encoding.extension}`);
+    await runFfmpeg(['-i', workingFile, ...encoding.args, outputPath, '-y'], {
+      label: path.basename(outputPath),
+      durationSec: totalDuration,
+      timeoutSec
+    });
+    tracks.push(outputPath);
+    exported.push(toRaw({ track: path.basename(outputPath), start: 0, end: totalDuration, duration: totalDuration }));
+    trackIndex++;
+  }
 
-    const exportCommand = `ffmpeg -i "${workingFile}" -ss ${segment.start} -to ${segment.end} -c copy "${outputPath}" -y`;
+  for (const segment of detected.segments) {
+    throwIfCancelled();
+    const trackName = `track_${String(trackIndex).padStart(3, '0')}${encoding.extension}`;
+    const outputPath = path.join(outDir, trackName);
 
     try {
-      await execAsync(exportCommand);
-      console.log(`[split] ✓ ${trackName} (${segment.duration.toFixed(1)}s)`);
+      await exportSegment(workingFile, segment, outputPath, { encoding, timeoutSec });
       tracks.push(outputPath);
+      exported.push(toRaw({ track: trackName, start: segment.start, end: segment.end, duration: segment.duration }));
       trackIndex++;
     } catch (error) {
-      console.error(`[split] ✗ Failed to export ${trackName}: ${error.message}`);
+      throwIfCancelled();
+      log.error(`✗ Failed to export ${trackName}: ${error.message}`, { track: trackName, error: error.message, stderr: error.stderr });
+      dropped.push(toRaw({ start: segment.start, end: segment.end, duration: segment.duration, reason: `export failed: ${error.message}` }));
+    }
+  }
+
+  removeTrimmedFile(workingFile, inputPath);
+
+  const splitFiles = splitsDir ? saveSplitFiles(splitsDir, inputPath, {
+    side: sideLabel,
+    source: splitPoints ? splitSource : 'silence',
+    durationSec: offset + totalDuration,
+    settings: {
+      introTrimSec: offset,
+      ...(splitPoints ? {} : { noiseDb: noise.noiseDb, minSilence, minSegment }),
+      outputFormat,
+      outputBitrate: encoding.reencode && outputFormat === 'mp3' ? outputBitrate : null
+    },
+    noise,
+    silences: detected.silences.map(toRaw),
+    segments: exported,
+    dropped: dropped.sort((a, b) => a.start - b.start)
+  }) : null;
+
+  return {
+    tracks,
+    nextIndex: trackIndex,
+    segments: exported.map(segment => ({ ...segment, encoding: encoding.args.join(' ') })),
+    splitFiles,
+    noise
+  };
+}
+
+/**
+ * Export one segment as a track
+ * @param {string} inputPath - Side (or its trimmed copy)
+ * @param {object} segment - { start, end, duration } in inputPath seconds
+ * @param {string} outputPath
+ * @param {object} options - { encoding (from getTrackEncoding), timeoutSec }
+ * @throws {FfmpegError|CancelledError}
+ */
+async function exportSegment(inputPath, segment, outputPath, { encoding, timeoutSec }) {
+  const trackName = path.basename(outputPath);
+  await runFfmpeg(['-i', inputPath, '-ss', String(segment.start), '-to', String(segment.end), ...encoding.args, outputPath, '-y'], {
+    label: trackName,
+    durationSec: segment.duration,
+    timeoutSec
+  });
+  log.info(`✓ ${trackName} (${segment.duration.toFixed(1)}s)`, {
+    track: trackName,
+    start: segment.start,
+    end: segment.end,
+    durationSec: segment.duration
+  });
+  emitProgress('track', {
+    track: trackName,
+    path: outputPath,
+    start: segment.start,
+    end: segment.end,
+    durationSec: segment.duration
+  });
+}
+
+/**
+ * Save the plan, CUE sheet and label track of a side
+ * @param {string} splitsDir
+ * @param {string} inputPath - Raw side file
+ * @param {object} plan - See writeSplitPlan in lib/splitplan.js (segments carry their track name)
+ * @returns {object} - { plan, cue, labels } written paths
+ */
+function saveSplitFiles(splitsDir, inputPath, plan) {
+  const planPath = writeSplitPlan(splitsDir, inputPath, plan);
+  const points = plan.segments.map(segment => ({ ...segment, title: path.parse(segment.track).name }));
+  const written = points.length > 0 ? writeSplitPoints(splitsDir, inputPath, points, { title: plan.side }) : {};
+  return { plan: planPath, cue: written.cue || null, labels: written.labels || null };
+}
+
+/**
+ * Segments between detected silences
+ * @param {string} workingFile - Side (or its trimmed copy)
+ * @param {object} options - { noiseDb, minSilence, minSegment, totalDuration, timeoutSec }
+ * @returns {Promise<object>} - { silences, segments: [{ start, end, duration }], dropped: [{ start, end, duration, reason }] }
+ */
+async function getSilenceSegments(workingFile, { noiseDb, minSilence, minSegment, totalDuration, timeoutSec }) {
+  const silences = await detectSilence(workingFile, { noiseDb, minSilence, durationSec: totalDuration, timeoutSec });
+  if (silences.length === 0) {
+    return { silences, segments: [], dropped: [] };
+  }
+
+  // Build segments from silences (and the final one, from the last silence to the end)
+  const segments = [];
+  const dropped = [];
+  const bounds = [...silences, { start: totalDuration, end: totalDuration }];
+  let lastEnd = 0;
+
+  for (const silence of bounds) {
+    if (silence.start > lastEnd) {
+      const segment = { start: lastEnd, end: silence.start, duration: silence.start - lastEnd };
+      if (segment.duration >= minSegment) {
+        segments.push(segment);
+      } else {
+        dropped.push({ ...segment, reason: `shorter than minSegment (${minSegment}s)` });
+      }
     }
+    lastEnd = Math.max(lastEnd, silence.end);
   }
 
-  // Clean up trimmed temp file
+  log.info(`Extracted ${segments.length} segments (min ${minSegment}s)`, { count: segments.length, minSegment });
+  return { silences, segments, dropped };
+}
+
+/**
+ * Segments from hand-edited split points, fitted to the file duration
+ *
+ * minSegment does not apply: every track given is kept.
+ *
+ * @param {Array<object>} splitPoints - [{ start, end|null }]
+ * @param {number} totalDuration
+ * @returns {object} - { silences: [], segments: [{ start, end, duration }], dropped }
+ */
+function getManualSegments(splitPoints, totalDuration) {
+  const segments = [];
+  const dropped = [];
+  for (const point of splitPoints) {
+    if (point.start >= totalDuration) {
+      log.warn(`⚠ Split point at ${point.start.toFixed(1)}s is past the end of the file (${totalDuration.toFixed(1)}s), ignored`, {
+        start: point.start,
+        totalDuration
+      });
+      dropped.push({ start: point.start, end: point.end ?? point.start, duration: 0, reason: 'past the end of the file' });
+      continue;
+    }
+    const end = Math.min(point.end ?? totalDuration, totalDuration);
+    segments.push({ start: point.start, end, duration: end - point.start });
+  }
+
+  log.info(`Using ${segments.length} hand-edited segments`, { count: segments.length });
+  return { silences: [], segments, dropped };
+}
+
+/**
+ * @param {number} seconds
+ * @returns {number} - Rounded to the millisecond (plan and state values)
+ */
+function roundMs(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * Delete the trimmed copy of a side, if one was made
+ * @param {string} workingFile
+ * @param {string} inputPath
+ */
+function removeTrimmedFile(workingFile, inputPath) {
   if (workingFile !== inputPath && fs.existsSync(workingFile)) {
     fs.unlinkSync(workingFile);
   }
-
-  return { tracks, nextIndex: trackIndex };
 }
 
 /**
- * Process Side A and Side B with continuous track numbering
- * @param {Array} sideFiles - [sideAPath, sideBPath]
+ * Process every side in order with continuous track numbering
+ * @param {Array} sideFiles - Side paths, sorted by tape then side
  * @param {string} outDir - Output directory
- * @param {object} options - Split options + cleanup options
- * @returns {Promise<Array>} - All track paths
+ * @param {object} options - Split options + cleanup options + sideLabels (one per file), splitsDir (plans, CUE sheets and labels) and splitPoints ({ [file name]: { source, path, segments } })
+ * @returns {Promise<object>} - { tracks: all track paths, sides: [{ label, file, firstTrack, trackCount, splitSource, noise, plan, cue, labels }], segments: [{ track, file, start, end, encoding }] }
  */
 export async function processSides(sideFiles, outDir, options = {}) {
   const allTracks = [];
+  const allSegments = [];
+  const sides = [];
   let currentIndex = 1;
 
   const {
@@ -167,21 +445,44 @@ export async function processSides(sideFiles, outDir, options = {}) {
     trashDir = 'out/.trash',
     identifier = '',
     dryRun = false,
+    isCached = null,
+    sideLabels = [],
+    splitPoints = {},
     ...splitOptions
   } = options;
 
   for (let i = 0; i < sideFiles.length; i++) {
-    const sideName = i === 0 ? 'Side A' : 'Side B';
+    const sideName = sideLabels[i] || `Side ${String.fromCharCode(65 + i)}`;
     const sidePath = sideFiles[i];
 
-    console.log(`\n[process] === ${sideName} ===`);
+    processLog.info(`\n=== ${sideName} ===`, { side: sideName, file: path.basename(sidePath) });
+
+    const manual = splitPoints[path.basename(sidePath)] || null;
+    if (manual) {
+      log.info(`Splitting at the points of ${path.basename(manual.path)}`, { source: manual.source, path: manual.path });
+    }
 
     const result = await splitIntoTracks(sidePath, outDir, {
       ...splitOptions,
-      startIndex: currentIndex
+      startIndex: currentIndex,
+      splitPoints: manual?.segments || null,
+      splitSource: manual?.source,
+      sideLabel: sideName
     });
 
+    sides.push({
+      label: sideName,
+      file: path.basename(sidePath),
+      firstTrack: allTracks.length + 1,
+      trackCount: result.tracks.length,
+      splitSource: manual?.source || 'silence',
+      noise: result.noise,
+      plan: result.splitFiles?.plan || null,
+      cue: result.splitFiles?.cue || null,
+      labels: result.splitFiles?.labels || null
+    });
     allTracks.push(...result.tracks);
+    allSegments.push(...result.segments.map(segment => ({ ...segment, file: path.basename(sidePath) })));
     currentIndex = result.nextIndex;
 
     // Progressive cleanup: delete raw file after successful split if enabled
@@ -194,15 +495,221 @@ export async function processSides(sideFiles, outDir, options = {}) {
           trashDir,
           identifier,
           dryRun,
-          prerequisiteValid: result.tracks.length > 0
+          prerequisiteValid: result.tracks.length > 0,
+          isCached
         });
 
         if (cleaned) {
-          console.log(`[cleanup] ✓ progressive cleanup: ${sideName} raw file moved to trash`);
+          cleanupLog.info(`✓ progressive cleanup: ${sideName} raw file cleaned up`, { side: sideName });
         }
       }
     }
   }
 
-  return allTracks;
+  return { tracks: allTracks, sides, segments: allSegments };
+}
+
+/**
+ * Re-export tracks from edited split plans, without detecting silence
+ *
+ * Each side is cut at the segments of its plan (splits/<side>.splits.json,
+ * read with readSplitPlan): raw file seconds, no trim. Tracks are numbered
+ * continuously across sides.
+ *
+ * A track whose side, start, end and encoding match a track of the previous
+ * export is kept, and renamed when its number moved; only new or moved
+ * segments go through ffmpeg. Previous tracks that are no longer planned
+ * are deleted. Plans, CUE sheets and labels are rewritten with the new
+ * numbers.
+ *
+ * @param {Array<string>} sideFiles - Raw side paths, sorted by tape then side
+ * @param {string} outDir - Tracks directory
+ * @param {object} options - { splitsDir, plans (one per side), sideLabels, previous: [{ track, file, start, end, encoding }], outputFormat, outputBitrate, ffmpegTimeoutSec }
+ * @returns {Promise<object>} - Same as processSides, plus { exported, kept } track counts
+ * @throws {FfmpegError|CancelledError}
+ */
+export async function resplitSides(sideFiles, outDir, options = {}) {
+  const { splitsDir, plans, sideLabels = [], previous = [], outputFormat = 'mp3', outputBitrate = 192, ffmpegTimeoutSec: timeoutSec } = options;
+  fs.mkdirSync(outDir, { recursive: true });
+
+  // Number every planned segment first: a side's tracks depend on the sides before it
+  const sides = [];
+  const planned = [];
+  sideFiles.forEach((sidePath, i) => {
+    const plan = plans[i];
+    const encoding = getTrackEncoding(sidePath, { outputFormat, outputBitrate });
+    const side = {
+      label: sideLabels[i] || plan.side || `Side ${String.fromCharCode(65 + i)}`,
+      file: path.basename(sidePath),
+      path: sidePath,
+      plan,
+      encoding,
+      firstTrack: planned.length + 1,
+      trackCount: plan.segments.length
+    };
+    sides.push(side);
+    for (const segment of plan.segments) {
+      const track = `track_${String(planned.length + 1).padStart(3, '0')}${encoding.extension}`;
+      planned.push({ ...segment, track, side });
+    }
+  });
+
+  // Match planned segments with the tracks already on disk
+  const keyOf = (file, start, end, encoding) => `${file}|${start.toFixed(3)}|${end.toFixed(3)}|${encoding}`;
+  const available = new Map();
+  for (const entry of previous) {
+    const trackPath = path.join(outDir, entry.track);
+    const key = keyOf(entry.file, entry.start, entry.end, entry.encoding);
+    if (fs.existsSync(trackPath) && !available.has(key)) {
+      available.set(key, trackPath);
+    }
+  }
+  for (const entry of planned) {
+    const key = keyOf(entry.side.file, entry.start, entry.end, entry.side.encoding.args.join(' '));
+    entry.reuse = available.get(key) || null;
+    available.delete(key);
+  }
+
+  // Park kept tracks under temporary names, drop the rest, then move kept tracks to their new numbers
+  const reused = planned.filter(entry => entry.reuse);
+  for (const entry of reused) {
+    const parked = path.join(outDir, `.resplit-${path.basename(entry.reuse)}`);
+    fs.renameSync(entry.reuse, parked);
+    entry.reuse = parked;
+  }
+  // Kept tracks are parked by now: what is left under a previous name is no longer planned
+  let removed = 0;
+  for (const entry of previous) {
+    const trackPath = path.join(outDir, entry.track);
+    if (fs.existsSync(trackPath)) {
+      fs.unlinkSync(trackPath);
+      removed++;
+    }
+  }
+  for (const entry of reused) {
+    fs.renameSync(entry.reuse, path.join(outDir, entry.track));
+    const from = path.basename(entry.reuse).replace(/^\.resplit-/, '');
+    log.verbose(`= ${entry.track} unchanged${from !== entry.track ? ` (was ${from})` : ''}`, { track: entry.track, from });
+  }
+
+  for (const entry of planned.filter(e => !e.reuse)) {
+    throwIfCancelled();
+    const outputPath = path.join(outDir, entry.track);
+    try {
+      await exportSegment(entry.side.path, entry, outputPath, { encoding: entry.side.encoding, timeoutSec });
+    } catch (error) {
+      if (error instanceof FfmpegError) {
+        error.message = `ffmpeg export failed for ${entry.track}: ${error.message}`;
+      }
+      throw error;
+    }
+  }
+
+  // Rewrite the plans with the new track numbers
+  for (const side of sides) {
+    const segments = planned.filter(entry => entry.side === side).map(({ track, start, end, duration }) => ({ track, start, end, duration }));
+    const overlaps = dropped => segments.some(segment => dropped.start < segment.end && dropped.end > segment.start);
+    const { version, file, savedAt, ...plan } = side.plan;
+    side.splitFiles = saveSplitFiles(splitsDir, side.path, {
+      ...plan,
+      side: side.label,
+      source: 'splits.json',
+      segments,
+      dropped: (plan.dropped || []).filter(dropped => !overlaps(dropped))
+    });
+  }
+
+  const exported = planned.length - reused.length;
+  log.info(`Re-exported ${exported} track(s), kept ${reused.length}, removed ${removed}`, { exported, kept: reused.length, removed });
+
+  return {
+    tracks: planned.map(entry => path.join(outDir, entry.track)),
+    sides: sides.map(side => ({
+      label: side.label,
+      file: side.file,
+      firstTrack: side.firstTrack,
+      trackCount: side.trackCount,
+      splitSource: 'splits.json',
+      noise: side.plan.noise ?? null,
+      plan: side.splitFiles.plan,
+      cue: side.splitFiles.cue,
+      labels: side.splitFiles.labels
+    })),
+    segments: planned.map(entry => ({
+      track: entry.track,
+      file: entry.side.file,
+      start: entry.start,
+      end: entry.end,
+      duration: entry.duration,
+      encoding: entry.side.encoding.args.join(' ')
+    })),
+    exported,
+    kept: reused.length
+  };
+}
+
+/**
+ * Export the songs of an already split item as tracks (no silence split)
+ *
+ * Each file becomes one track, numbered in the given order, converted with
+ * the same encoding rules as split tracks and tagged with its per-file
+ * metadata (title, track number, artist, album).
+ *
+ * @param {Array<string>} files - Downloaded song paths, sorted by track
+ * @param {Array<object>} trackInfos - trackInfo of each file (see detectPresplit in lib/metadata.js)
+ * @param {string} outDir - Output directory
+ * @param {object} options - { outputFormat, outputBitrate, album, artist, ffmpegTimeoutSec }
+ * @returns {Promise<Array>} - Track paths
+ */
+export async function exportPresplitTracks(files, trackInfos, outDir, options = {}) {
+  const { outputFormat = 'mp3', outputBitrate = 192, album = null, artist = null, ffmpegTimeoutSec: timeoutSec } = options;
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const tracks = [];
+  for (let i = 0; i < files.length; i++) {
+    throwIfCancelled();
+    const info = trackInfos[i] || {};
+    const encoding = getTrackEncoding(files[i], { outputFormat, outputBitrate });
+    const trackName = `track_${String(i + 1).padStart(3, '0')}${encoding.extension}`;
+    const outputPath = path.join(outDir, trackName);
+
+    const tags = {
+      title: info.title,
+      track: `${i + 1}/${files.length}`,
+      artist: info.creator || artist,
+      album: info.album || album
+    };
+    const args = ['-i', files[i], ...encoding.args];
+    for (const [key, value] of Object.entries(tags)) {
+      if (value) {
+        args.push('-metadata', `${key}=${value}`);
+      }
+    }
+    args.push(outputPath, '-y');
+
+    try {
+      await runFfmpeg(args, { label: trackName, durationSec: info.length || null, timeoutSec });
+    } catch (error) {
+      if (error instanceof FfmpegError) {
+        error.message = `ffmpeg export failed for ${path.basename(files[i])}: ${error.message}`;
+      }
+      throw error;
+    }
+
+    log.info(`✓ ${trackName} ← ${path.basename(files[i])}${info.title ? ` (${info.title})` : ''}`, {
+      track: trackName,
+      source: path.basename(files[i]),
+      title: info.title || null
+    });
+    emitProgress('track', {
+      track: trackName,
+      path: outputPath,
+      start: 0,
+      end: info.length,
+      durationSec: info.length
+    });
+    tracks.push(outputPath);
+  }
+
+  return tracks;
 }
@@ -0,0 +1,96 @@
+import fs from 'fs';
+import path from 'path';
+import { ConfigError } from './errors.js';
+
+/**
+ * Split plans (splits/<raw name>.splits.json)
+ *
+ * splitIntoTracks saves, for each side, everything it decided: the settings
+ * used, the detected silences, the kept segments (one per track) and the
+ * dropped ones with the reason. All times are in seconds of the raw file
+ * (the intro trim is added back).
+ *
+ * The plan is meant to be edited: `resplit` reads the start/end of each
+ * entry of "segments" (add, remove or move entries, or copy one from
+ * "dropped") and re-exports the changed tracks. Every other field is
+ * informative and rewritten by the next split.
+ */
+
+export const SPLIT_PLAN_VERSION = 1;
+
+/**
+ * Plan path of a side
+ * @param {string} splitsDir - <itemDir>/splits
+ * @param {string} sideFile - Raw side file (path or name)
+ * @returns {string}
+ */
+export function getSplitPlanPath(splitsDir, sideFile) {
+  return path.join(splitsDir, `${path.parse(path.basename(sideFile)).name}.splits.json`);
+}
+
+/**
+ * Save the plan of a side
+ * @param {string} splitsDir
+ * @param {string} sideFile
+ * @param {object} plan - { side, source, durationSec, settings, silences, segments, dropped }
+ * @returns {string} - Written path
+ */
+export function writeSplitPlan(splitsDir, sideFile, plan) {
+  fs.mkdirSync(splitsDir, { recursive: true });
+  const planPath = getSplitPlanPath(splitsDir, sideFile);
+  fs.writeFileSync(planPath, JSON.stringify({
+    version: SPLIT_PLAN_VERSION,
+    file: path.basename(sideFile),
+    savedAt: new Date().toISOString(),
+    ...plan
+  }, null, 2));
+  return planPath;
+}
+
+/**
+ * Read and check an edited plan
+ *
+ * Segments are sorted by start; missing, empty or overlapping segments are
+ * rejected with their position in the file.
+ *
+ * @param {string} splitsDir
+ * @param {string} sideFile
+ * @returns {object} - Plan, segments as [{ start, end, duration }]
+ * @throws {ConfigError}
+ */
+export function readSplitPlan(splitsDir, sideFile) {
+  const planPath = getSplitPlanPath(splitsDir, sideFile);
+  if (!fs.existsSync(planPath)) {
+    throw new ConfigError(`No split plan for ${path.basename(sideFile)} (${planPath}); run "item" once to create it`);
+  }
+
+  let plan;
+  try {
+    plan = JSON.parse(fs.readFileSync(planPath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError(`Invalid split plan ${planPath}: ${error.message}`);
+  }
+  if (!plan || plan.version !== SPLIT_PLAN_VERSION || !Array.isArray(plan.segments)) {
+    throw new ConfigError(`Invalid split plan ${planPath}: expected version ${SPLIT_PLAN_VERSION} with a "segments" array`);
+  }
+
+  const segments = plan.segments.map((segment, i) => {
+    const start = Number(segment?.start);
+    const end = Number(segment?.end);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+      throw new ConfigError(`${planPath}: segments[${i}] needs 0 <= start < end (got ${JSON.stringify(segment)})`);
+    }
+    return { start, end, duration: end - start };
+  }).sort((a, b) => a.start - b.start);
+
+  if (segments.length === 0) {
+    throw new ConfigError(`${planPath}: no segments`);
+  }
+  segments.forEach((segment, i) => {
+    if (i > 0 && segment.start < segments[i - 1].end) {
+      throw new ConfigError(`${planPath}: segment at ${segment.start}s overlaps the one ending at ${segments[i - 1].end}s`);
+    }
+  });
+
+  return { ...plan, segments };
+}
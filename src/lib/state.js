@@ -0,0 +1,151 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger('state');
+
+/**
+ * Checkpoint manifest (state.json) for the staged item pipeline
+ *
+ * Each stage records its inputs, a settings hash and its outputs.
+ * Stage hashes are chained (every hash includes the upstream stage hash),
+ * so a change upstream invalidates everything downstream of it.
+ */
+
+export const STATE_FILE = 'state.json';
+export const STAGES = ['metadata', 'download', 'split', 'naming', 'cleanup'];
+
+const STATE_VERSION = 1;
+
+/**
+ * Hash a settings object (stable key order)
+ * @param {*} value - Any JSON-serializable value
+ * @returns {string} - Short sha1 hex digest
+ */
+export function hashSettings(value) {
+  return crypto.createHash('sha1').update(stableStringify(value)).digest('hex').substring(0, 16);
+}
+
+/**
+ * JSON.stringify with sorted object keys
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Load state.json for an item (empty state if missing or unreadable)
+ * @param {string} itemDir - Item directory
+ * @param {string} identifier - Item identifier
+ * @returns {object}
+ */
+export function loadState(itemDir, identifier) {
+  const statePath = path.join(itemDir, STATE_FILE);
+
+  if (fs.existsSync(statePath)) {
+    try {
+      const state = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      if (state.version === STATE_VERSION && state.stages) {
+        return state;
+      }
+      log.warn(`⚠ Ignoring state.json with unknown version`);
+    } catch (error) {
+      log.warn(`⚠ Ignoring unreadable state.json: ${error.message}`);
+    }
+  }
+
+  return {
+    version: STATE_VERSION,
+    identifier,
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+    stages: {}
+  };
+}
+
+/**
+ * Write state.json for an item
+ * @param {string} itemDir - Item directory
+ * @param {object} state - State object
+ */
+export function saveState(itemDir, state) {
+  state.updatedAt = new Date().toISOString();
+  fs.mkdirSync(itemDir, { recursive: true });
+  fs.writeFileSync(path.join(itemDir, STATE_FILE), JSON.stringify(state, null, 2));
+}
+
+/**
+ * Check whether a stage completed with the expected settings hash
+ * @param {object} state - State object
+ * @param {string} stage - Stage name
+ * @param {string} settingsHash - Expected hash for this run
+ * @returns {boolean}
+ */
+export function isStageCurrent(state, stage, settingsHash) {
+  const entry = state.stages[stage];
+  return !!entry && entry.status === 'complete' && entry.settingsHash === settingsHash;
+}
+
+/**
+ * Mark a stage complete and persist the state
+ * @param {string} itemDir - Item directory
+ * @param {object} state - State object
+ * @param {string} stage - Stage name
+ * @param {object} entry - { inputs, settingsHash, outputs }
+ */
+export function completeStage(itemDir, state, stage, { inputs = {}, settingsHash, outputs = {} }) {
+  state.stages[stage] = {
+    status: 'complete',
+    completedAt: new Date().toISOString(),
+    inputs,
+    settingsHash,
+    outputs
+  };
+  saveState(itemDir, state);
+}
+
+/**
+ * Mark a stage and every stage after it as pending
+ * @param {object} state - State object
+ * @param {string} stage - First stage to invalidate
+ */
+export function invalidateFrom(state, stage) {
+  const start = STAGES.indexOf(stage);
+  for (const name of STAGES.slice(start)) {
+    if (state.stages[name]) {
+      state.stages[name].status = 'pending';
+    }
+  }
+}
+
+/**
+ * Current track paths recorded by the state (renamed names win over split names)
+ * @param {object} state - State object
+ * @returns {Array<string>}
+ */
+export function getCurrentTracks(state) {
+  const naming = state.stages.naming;
+  if (naming && naming.status === 'complete' && naming.outputs.tracks) {
+    return naming.outputs.tracks;
+  }
+  return state.stages.split?.outputs?.tracks || [];
+}
+
+/**
+ * Check that every path exists
+ * @param {Array<string>} paths
+ * @returns {boolean}
+ */
+export function allExist(paths = []) {
+  return paths.length > 0 && paths.every(p => fs.existsSync(p));
+}
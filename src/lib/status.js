@@ -0,0 +1,275 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { isTracksOutputValid, getDirSize, formatBytes } from './cleanup.js';
+import { STATE_FILE } from './state.js';
+
+/**
+ * Inventory of an output tree (out/<source>/<identifier>/)
+ *
+ * Everything is read from what the pipeline left on disk: report.json,
+ * names.json, state.json, metadata.json and the tracks/ and raw/ folders.
+ */
+
+const ITEM_MARKERS = ['report.json', STATE_FILE, 'metadata.json', 'tracks'];
+
+/**
+ * Find item directories under an output root
+ *
+ * Items are either out/<source>/<identifier> or, when the source
+ * could not be resolved, out/<identifier>. Dot folders (.trash,
+ * .collections) are ignored.
+ *
+ * @param {string} outDir - Output root
+ * @returns {Promise<Array<object>>} - [{ identifier, source, itemDir }]
+ */
+export async function findItemDirs(outDir) {
+  if (!await fs.pathExists(outDir)) {
+    return [];
+  }
+
+  const found = [];
+
+  for (const entry of await listDirs(outDir)) {
+    const entryPath = path.join(outDir, entry);
+
+    if (await isItemDir(entryPath)) {
+      found.push({ identifier: entry, source: null, itemDir: entryPath });
+      continue;
+    }
+
+    for (const child of await listDirs(entryPath)) {
+      const childPath = path.join(entryPath, child);
+      if (await isItemDir(childPath)) {
+        found.push({ identifier: child, source: entry, itemDir: childPath });
+      }
+    }
+  }
+
+  return found.sort((a, b) =>
+    (a.source || '').localeCompare(b.source || '') || a.identifier.localeCompare(b.identifier)
+  );
+}
+
+/**
+ * List visible subdirectories
+ * @param {string} dirPath
+ * @returns {Promise<Array<string>>}
+ */
+async function listDirs(dirPath) {
+  const entries = await fs.readdir(dirPath, { withFileTypes: true });
+  return entries
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.'))
+    .map(entry => entry.name);
+}
+
+/**
+ * @param {string} dirPath
+ * @returns {Promise<boolean>}
+ */
+async function isItemDir(dirPath) {
+  for (const marker of ITEM_MARKERS) {
+    if (await fs.pathExists(path.join(dirPath, marker))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Read a JSON file, null when missing or unreadable
+ * @param {string} filePath
+ * @returns {Promise<object|null>}
+ */
+async function readJson(filePath) {
+  try {
+    return await fs.readJson(filePath);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Describe one processed item
+ * @param {object} entry - { identifier, source, itemDir } from findItemDirs
+ * @returns {Promise<object>}
+ */
+export async function inspectItem({ identifier, source, itemDir }) {
+  const report = await readJson(path.join(itemDir, 'report.json'));
+  const state = await readJson(path.join(itemDir, STATE_FILE));
+  const metadata = await readJson(path.join(itemDir, 'metadata.json'));
+  const namesGenerated = await fs.pathExists(path.join(itemDir, 'names.json'));
+  const rawPresent = await fs.pathExists(path.join(itemDir, 'raw'));
+  const tracks = await isTracksOutputValid(itemDir);
+
+  const failedStage = Object.entries(state?.stages || {}).find(([, entry]) => entry.status === 'failed');
+  const failed = (!!report?.failed && !report.supersededBy) || !!failedStage;
+
+  let status = 'incomplete';
+  if (failed) {
+    status = 'failed';
+  } else if (report && tracks.valid) {
+    status = 'ok';
+  }
+
+  const settings = report?.settings
+    ? { preset: report.effectiveSettings?.preset || null, ...pickSettings(report.settings) }
+    : null;
+
+  return {
+    identifier,
+    source,
+    itemDir,
+    title: metadata?.metadata?.title || state?.stages?.metadata?.outputs?.title || null,
+    status,
+    trackCount: report?.trackCount ?? tracks.trackCount ?? 0,
+    durationSec: tracks.valid ? tracks.durationSec : null,
+    tracksValid: tracks.valid,
+    tracksReason: tracks.valid ? null : tracks.reason,
+    lastRun: report?.timestamp || state?.updatedAt || null,
+    settings,
+    rawPresent,
+    namesGenerated,
+    error: failed ? (report?.error || failedStage?.[1].error || null) : null,
+    failedStage: failed ? (report?.stage || failedStage?.[0] || null) : null,
+    diskBytes: await getDirSize(itemDir)
+  };
+}
+
+/**
+ * @param {object} settings - Report settings (preset values)
+ * @returns {object} - Split settings only
+ */
+function pickSettings(settings) {
+  const { noiseDb, minSilence, minSegment, introTrimSec } = settings;
+  return { noiseDb, minSilence, minSegment, introTrimSec };
+}
+
+/**
+ * Inventory every item under an output root
+ * @param {string} outDir - Output root
+ * @param {object} filters - { failed?: boolean, source?: string }
+ * @returns {Promise<object>} - { outDir, items, sources, totals }
+ */
+export async function getOutputStatus(outDir, { failed = false, source = null } = {}) {
+  const entries = (await findItemDirs(outDir))
+    .filter(entry => !source || entry.source === source);
+
+  const items = [];
+  for (const entry of entries) {
+    const item = await inspectItem(entry);
+    if (!failed || item.status === 'failed') {
+      items.push(item);
+    }
+  }
+
+  const sources = {};
+  for (const item of items) {
+    const key = item.source || '(none)';
+    sources[key] = sources[key] || { items: 0, failed: 0, trackCount: 0, diskBytes: 0 };
+    sources[key].items++;
+    sources[key].failed += item.status === 'failed' ? 1 : 0;
+    sources[key].trackCount += item.trackCount;
+    sources[key].diskBytes += item.diskBytes;
+  }
+
+  const totals = {
+    items: items.length,
+    failed: items.filter(item => item.status === 'failed').length,
+    trackCount: items.reduce((sum, item) => sum + item.trackCount, 0),
+    diskBytes: items.reduce((sum, item) => sum + item.diskBytes, 0)
+  };
+
+  return { outDir, items, sources, totals };
+}
+
+/**
+ * Render a status inventory as text table lines, grouped by source
+ * @param {object} status - From getOutputStatus
+ * @returns {Array<string>}
+ */
+export function formatStatusTable(status) {
+  const lines = [];
+  const columns = [
+    ['IDENTIFIER', 28],
+    ['TITLE', 28],
+    ['TRACKS', 6],
+    ['DURATION', 9],
+    ['LAST RUN', 16],
+    ['SETTINGS', 22],
+    ['RAW', 3],
+    ['NAMES', 5],
+    ['STATUS', 10],
+    ['SIZE', 10]
+  ];
+  const row = values => '  ' + values.map((value, i) => fit(value, columns[i][1])).join(' ');
+
+  if (status.items.length === 0) {
+    return [`No items found in ${status.outDir}`];
+  }
+
+  for (const [source, totals] of Object.entries(status.sources)) {
+    lines.push(`\n${source} (${totals.items} items, ${totals.trackCount} tracks, ${formatBytes(totals.diskBytes)})`);
+    lines.push(row(columns.map(([name]) => name)));
+
+    for (const item of status.items.filter(i => (i.source || '(none)') === source)) {
+      lines.push(row([
+        item.identifier,
+        item.title || '-',
+        String(item.trackCount),
+        formatDuration(item.durationSec),
+        item.lastRun ? item.lastRun.replace('T', ' ').substring(0, 16) : '-',
+        formatSettings(item.settings),
+        item.rawPresent ? 'yes' : 'no',
+        item.namesGenerated ? 'yes' : 'no',
+        item.status,
+        formatBytes(item.diskBytes)
+      ]));
+
+      if (item.error) {
+        lines.push(`    ✗ ${item.failedStage ? `${item.failedStage}: ` : ''}${item.error}`);
+      }
+    }
+  }
+
+  const { totals } = status;
+  lines.push(`\nTotal: ${totals.items} items, ${totals.failed} failed, ${totals.trackCount} tracks, ${formatBytes(totals.diskBytes)}\n`);
+  return lines;
+}
+
+/**
+ * Pad or truncate a cell
+ * @param {string} value
+ * @param {number} width
+ * @returns {string}
+ */
+function fit(value, width) {
+  const text = String(value);
+  return text.length > width ? text.substring(0, width - 1) + '…' : text.padEnd(width);
+}
+
+/**
+ * @param {number|null} seconds
+ * @returns {string} - h:mm:ss or m:ss
+ */
+function formatDuration(seconds) {
+  if (seconds === null || seconds === undefined) {
+    return '-';
+  }
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/**
+ * @param {object|null} settings
+ * @returns {string} - e.g. "niven -35/0.6/20/12"
+ */
+function formatSettings(settings) {
+  if (!settings) {
+    return '-';
+  }
+  const { preset, noiseDb, minSilence, minSegment, introTrimSec } = settings;
+  return `${preset || '?'} ${noiseDb}/${minSilence}/${minSegment}/${introTrimSec}`;
+}
@@ -0,0 +1,206 @@
+import { createLogger, canShowLiveStatus, setLiveStatus } from './logger.js';
+import { formatBytes } from './cleanup.js';
+
+/**
+ * Download progress and throughput of an item
+ *
+ * The download stage reports bytes per file to a tracker. On a TTY the
+ * tracker keeps one live line per active file plus a total line under the
+ * log output (see setLiveStatus in lib/logger.js); otherwise it logs a plain
+ * progress line every PLAIN_INTERVAL_MS. Rates only count bytes received in
+ * this run, so a resumed .part does not inflate them.
+ */
+
+const log = createLogger('download');
+
+const LIVE_INTERVAL_MS = 250;
+const PLAIN_INTERVAL_MS = 5000;
+
+/**
+ * Create a progress tracker for a set of files
+ * @param {string} key - Live status owner (item identifier)
+ * @param {Array<object>} files - Metadata file objects ({ name, size })
+ * @returns {object} - { start, update, finish, stop, summary }
+ */
+export function createTransferTracker(key, files) {
+  const startedAt = Date.now();
+  const live = canShowLiveStatus();
+  const entries = new Map(files.map(file => [file.name, {
+    file: file.name,
+    totalBytes: Number(file.size) || null,
+    bytes: 0,
+    lastBytes: 0,
+    received: 0,
+    resumedFrom: 0,
+    startedAt: null,
+    finishedAt: null,
+    active: false
+  }]));
+
+  const timer = setInterval(live ? draw : logPlain, live ? LIVE_INTERVAL_MS : PLAIN_INTERVAL_MS);
+  timer.unref();
+
+  /**
+   * A transfer of a file starts (again, after a retry) at offset
+   * @param {string} name
+   * @param {number} offset - Bytes already on disk
+   */
+  function start(name, offset = 0) {
+    const entry = entries.get(name);
+    entry.startedAt ??= Date.now();
+    entry.resumedFrom = entry.received === 0 ? offset : entry.resumedFrom;
+    entry.bytes = offset;
+    entry.lastBytes = offset;
+    entry.active = true;
+  }
+
+  /**
+   * @param {string} name
+   * @param {number} bytes - Bytes of the file on disk so far
+   * @param {number|null} totalBytes - Expected size
+   */
+  function update(name, bytes, totalBytes) {
+    const entry = entries.get(name);
+    entry.received += Math.max(0, bytes - entry.lastBytes);
+    entry.lastBytes = bytes;
+    entry.bytes = bytes;
+    entry.totalBytes = totalBytes || entry.totalBytes;
+  }
+
+  /**
+   * @param {string} name
+   * @param {number} size - Final size on disk
+   */
+  function finish(name, size) {
+    const entry = entries.get(name);
+    entry.bytes = size;
+    entry.totalBytes = size;
+    entry.finishedAt = Date.now();
+    entry.active = false;
+  }
+
+  /**
+   * Stop rendering (the live lines are removed)
+   */
+  function stop() {
+    clearInterval(timer);
+    if (live) {
+      setLiveStatus(key, null);
+    }
+  }
+
+  /**
+   * Overall progress
+   * @returns {object} - { bytes, totalBytes, received, bytesPerSec, etaSec }
+   */
+  function totals() {
+    const all = [...entries.values()];
+    const bytes = all.reduce((sum, entry) => sum + entry.bytes, 0);
+    const totalBytes = all.every(entry => entry.totalBytes) ? all.reduce((sum, entry) => sum + entry.totalBytes, 0) : null;
+    const received = all.reduce((sum, entry) => sum + entry.received, 0);
+    const bytesPerSec = rate(received, Date.now() - startedAt);
+    return { bytes, totalBytes, received, bytesPerSec, etaSec: eta(bytes, totalBytes, bytesPerSec) };
+  }
+
+  function draw() {
+    const lines = [];
+    for (const entry of entries.values()) {
+      if (entry.active) {
+        const bytesPerSec = rate(entry.received, Date.now() - entry.startedAt);
+        lines.push(`  ${formatLine(entry.file, entry.bytes, entry.totalBytes, bytesPerSec, eta(entry.bytes, entry.totalBytes, bytesPerSec))}`);
+      }
+    }
+    const overall = totals();
+    lines.push(`  ${formatLine(`${key} total`, overall.bytes, overall.totalBytes, overall.bytesPerSec, overall.etaSec)}`);
+    setLiveStatus(key, lines);
+  }
+
+  function logPlain() {
+    const overall = totals();
+    log.info(formatLine('progress', overall.bytes, overall.totalBytes, overall.bytesPerSec, overall.etaSec), {
+      bytes: overall.bytes,
+      totalBytes: overall.totalBytes,
+      bytesPerSec: Math.round(overall.bytesPerSec),
+      etaSec: overall.etaSec
+    });
+  }
+
+  /**
+   * Measured throughput, as recorded in report.json
+   * @returns {object} - { bytes, durationMs, bytesPerSec, files: [{ file, bytes, resumedFrom, durationMs, bytesPerSec }] }
+   */
+  function summary() {
+    const durationMs = Date.now() - startedAt;
+    const received = [...entries.values()].reduce((sum, entry) => sum + entry.received, 0);
+    return {
+      bytes: received,
+      durationMs,
+      bytesPerSec: Math.round(rate(received, durationMs)),
+      files: [...entries.values()].filter(entry => entry.startedAt).map(entry => {
+        const fileMs = (entry.finishedAt || Date.now()) - entry.startedAt;
+        return {
+          file: entry.file,
+          bytes: entry.received,
+          resumedFrom: entry.resumedFrom,
+          durationMs: fileMs,
+          bytesPerSec: Math.round(rate(entry.received, fileMs))
+        };
+      })
+    };
+  }
+
+  return { start, update, finish, stop, summary };
+}
+
+/**
+ * @param {number} bytes
+ * @param {number} ms
+ * @returns {number} - Bytes per second (0 before anything was measured)
+ */
+function rate(bytes, ms) {
+  return ms > 0 ? bytes / (ms / 1000) : 0;
+}
+
+/**
+ * @param {number} bytes
+ * @param {number|null} totalBytes
+ * @param {number} bytesPerSec
+ * @returns {number|null} - Seconds left, null when unknown
+ */
+function eta(bytes, totalBytes, bytesPerSec) {
+  if (!totalBytes || bytesPerSec <= 0) {
+    return null;
+  }
+  return Math.max(0, Math.round((totalBytes - bytes) / bytesPerSec));
+}
+
+/**
+ * One progress line: "name  42%  1.2 MB/2.9 MB  350 KB/s  ETA 0:05"
+ * @param {string} name
+ * @param {number} bytes
+ * @param {number|null} totalBytes
+ * @param {number} bytesPerSec
+ * @param {number|null} etaSec
+ * @returns {string}
+ */
+function formatLine(name, bytes, totalBytes, bytesPerSec, etaSec) {
+  const percent = totalBytes ? `${String(Math.floor(bytes / totalBytes * 100)).padStart(3)}%` : '   ?';
+  const size = `${formatBytes(bytes)}/${totalBytes ? formatBytes(totalBytes) : '?'}`;
+  return `${name}  ${percent}  ${size}  ${formatRate(bytesPerSec)}  ETA ${etaSec === null ? '?' : formatSeconds(etaSec)}`;
+}
+
+/**
+ * @param {number} bytesPerSec
+ * @returns {string} - e.g. "1.2 MB/s"
+ */
+export function formatRate(bytesPerSec) {
+  return `${formatBytes(Math.round(bytesPerSec))}/s`;
+}
+
+/**
+ * @param {number} seconds
+ * @returns {string} - m:ss
+ */
+function formatSeconds(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
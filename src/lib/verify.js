@@ -0,0 +1,156 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { findItemDirs } from './status.js';
+import { STATE_FILE } from './state.js';
+import { hashFile, expectedChecksums, compareChecksums } from './checksum.js';
+import { formatBytes } from './cleanup.js';
+
+/**
+ * Bit-exact check of downloaded raw/ files (verify command)
+ *
+ * Every file under <item>/raw is hashed and compared with the checksums
+ * and size of the item's saved metadata.json. Files the download stage
+ * recorded in state.json but that are gone from raw/ are reported missing,
+ * unless the item ran with cleanup (raw files are moved to the trash).
+ */
+
+/**
+ * Verify one item's raw files
+ * @param {object} entry - { identifier, source, itemDir } from findItemDirs
+ * @returns {Promise<object>} - { identifier, source, itemDir, status, files: [{ file, status, checked, mismatched, bytes }] }
+ */
+export async function verifyItem({ identifier, source, itemDir }) {
+  const result = { identifier, source, itemDir, status: 'ok', files: [] };
+  const rawDir = path.join(itemDir, 'raw');
+
+  let metadata;
+  try {
+    metadata = await fs.readJson(path.join(itemDir, 'metadata.json'));
+  } catch {
+    result.status = 'no-metadata';
+    return result;
+  }
+
+  const rawFiles = await listRawFiles(rawDir);
+  const state = await fs.readJson(path.join(itemDir, STATE_FILE)).catch(() => null);
+  const report = await fs.readJson(path.join(itemDir, 'report.json')).catch(() => null);
+  const recorded = report?.effectiveSettings?.cleanup
+    ? []
+    : (state?.stages?.download?.inputs?.files || []).map(name => path.join(...name.split('/')));
+  const missing = recorded.filter(file => !rawFiles.includes(file));
+
+  if (rawFiles.length === 0 && missing.length === 0) {
+    result.status = 'no-raw';
+    return result;
+  }
+
+  const byName = new Map((metadata.files || []).map(file => [file.name, file]));
+
+  for (const name of rawFiles) {
+    const filePath = path.join(rawDir, name);
+    const bytes = (await fs.stat(filePath)).size;
+    const file = byName.get(name.split(path.sep).join('/'));
+
+    if (!file) {
+      result.files.push({ file: name, status: 'unknown', checked: [], mismatched: [], bytes });
+      continue;
+    }
+
+    const check = compareChecksums(expectedChecksums(file), (await hashFile(filePath)).digest());
+    const expectedSize = Number(file.size) || null;
+    if (expectedSize !== null && bytes !== expectedSize) {
+      check.status = 'mismatch';
+      check.mismatched = ['size', ...check.mismatched];
+    }
+    result.files.push({ file: name, ...check, bytes });
+  }
+
+  for (const name of missing) {
+    result.files.push({ file: name, status: 'missing', checked: [], mismatched: [], bytes: null });
+  }
+
+  const statuses = result.files.map(file => file.status);
+  if (statuses.includes('mismatch') || statuses.includes('missing')) {
+    result.status = 'mismatch';
+  } else if (statuses.some(status => status !== 'ok')) {
+    result.status = 'unverified';
+  }
+  return result;
+}
+
+/**
+ * Raw files of an item, relative to raw/ (unfinished .part downloads excluded)
+ * @param {string} rawDir
+ * @returns {Promise<Array<string>>}
+ */
+async function listRawFiles(rawDir) {
+  if (!await fs.pathExists(rawDir)) {
+    return [];
+  }
+  const entries = await fs.readdir(rawDir, { recursive: true, withFileTypes: true });
+  return entries
+    .filter(entry => entry.isFile() && !entry.name.endsWith('.part'))
+    .map(entry => path.relative(rawDir, path.join(entry.parentPath ?? entry.path, entry.name)))
+    .sort();
+}
+
+/**
+ * Verify every item under an output root
+ * @param {string} outDir - Output root
+ * @param {object} filters - { source?: string, identifier?: string }
+ * @returns {Promise<object>} - { outDir, verifiedAt, items, totals }
+ */
+export async function verifyOutput(outDir, { source = null, identifier = null } = {}) {
+  const entries = (await findItemDirs(outDir))
+    .filter(entry => !source || entry.source === source)
+    .filter(entry => !identifier || entry.identifier === identifier);
+
+  const items = [];
+  for (const entry of entries) {
+    items.push(await verifyItem(entry));
+  }
+
+  const files = items.flatMap(item => item.files);
+  const totals = {
+    items: items.length,
+    files: files.length,
+    ok: files.filter(file => file.status === 'ok').length,
+    mismatch: files.filter(file => file.status === 'mismatch').length,
+    missing: files.filter(file => file.status === 'missing').length,
+    unverified: files.filter(file => file.status === 'unverified' || file.status === 'unknown').length,
+    bytes: files.reduce((sum, file) => sum + (file.bytes || 0), 0)
+  };
+
+  return { outDir, verifiedAt: new Date().toISOString(), items, totals };
+}
+
+/**
+ * Render a verify result as text lines
+ * @param {object} result - From verifyOutput
+ * @returns {Array<string>}
+ */
+export function formatVerifyReport(result) {
+  if (result.items.length === 0) {
+    return [`No items found in ${result.outDir}`];
+  }
+
+  const lines = [];
+  for (const item of result.items) {
+    const name = item.source ? `${item.source}/${item.identifier}` : item.identifier;
+    lines.push(`${item.status === 'ok' ? '✓' : item.status === 'mismatch' ? '✗' : '-'} ${name}: ${item.status}`);
+
+    for (const file of item.files) {
+      const detail = {
+        mismatch: `${file.mismatched.join(', ')} differ`,
+        missing: 'recorded by the download stage but not in raw/',
+        unknown: 'not listed in metadata.json',
+        unverified: 'no checksum in metadata'
+      }[file.status] || file.checked.join(', ');
+      lines.push(`    ${file.status.padEnd(10)} ${file.file}${file.bytes !== null ? ` (${formatBytes(file.bytes)})` : ''} - ${detail}`);
+    }
+  }
+
+  const { totals } = result;
+  lines.push(`\nTotal: ${totals.items} items, ${totals.files} files, ${totals.ok} ok, ${totals.mismatch} mismatched, ${totals.missing} missing, ${totals.unverified} unverified (${formatBytes(totals.bytes)})\n`);
+  return lines;
+}